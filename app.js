@@ -3,1721 +3,9919 @@
 // Enhanced Professional Design with Modern UX
 // ============================================
 
-class ThoraxLabPro {
-    constructor() {
-        // User data
-        this.user = this.loadJSON('thoraxlab_user') || null;
-        this.isVisitor = this.loadJSON('thoraxlab_visitor') || false;
-        
-        // Application state
-        this.currentProject = null;
-        this.currentDiscussion = null;
-        this.selectedTags = new Set();
-        this.activityFilter = 'all';
-        this.projectSort = 'recent';
-        
-        // Initialize
-        this.initialize();
+// ============================================
+// Storage Adapters
+// Every adapter exposes the same interface:
+// open(), get(store, key), getAll(store), put(store, record),
+// delete(store, key), clear(store) and transaction(stores, mode, work)
+// ============================================
+
+const STORAGE_DB_NAME = 'thoraxlab';
+const STORAGE_DB_VERSION = 2;
+const STORAGE_STORES = ['projects', 'discussions', 'comments', 'likes', 'activity', 'documents'];
+// Blob stores are read on demand and never hydrated into memory
+const STORAGE_BLOB_STORES = ['attachments'];
+const STORAGE_MIGRATION_MARKER = '__migrated_from_localstorage';
+
+class IndexedDBAdapter {
+    constructor(name = STORAGE_DB_NAME, version = STORAGE_DB_VERSION) {
+        this.name = name;
+        this.version = version;
+        this.db = null;
+        this.supportsBlobs = true;
     }
     
-    // ========== INITIALIZATION ==========
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.name, this.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [...STORAGE_STORES, ...STORAGE_BLOB_STORES].forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store, { keyPath: 'id' });
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
     
-    initialize() {
-        this.initializeDemoData();
-        this.setupEventListeners();
-        this.setupRouter();
-        this.checkAuth();
-        this.setupQuickActions();
+    get(store, key) {
+        return this.transaction([store], 'readonly', tx => tx.get(store, key));
     }
     
-    // ========== JSON DATA MANAGEMENT ==========
+    getAll(store) {
+        return this.transaction([store], 'readonly', tx => tx.getAll(store));
+    }
     
-    loadJSON(key) {
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error(`Error loading ${key}:`, error);
-            return null;
-        }
+    put(store, record) {
+        return this.transaction([store], 'readwrite', tx => tx.put(store, record));
     }
     
-    saveJSON(key, data) {
-        try {
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (error) {
-            console.error(`Error saving ${key}:`, error);
-        }
+    delete(store, key) {
+        return this.transaction([store], 'readwrite', tx => tx.delete(store, key));
     }
     
-    // ========== DEMO DATA ==========
+    clear(store) {
+        return this.transaction([store], 'readwrite', tx => tx.clear(store));
+    }
     
-    initializeDemoData() {
-        // Initialize projects if not exists
-        if (!this.loadJSON('thoraxlab_projects')) {
-            const demoProjects = [
-                {
-                    id: 'proj_1',
-                    title: 'AI-Powered COPD Exacerbation Prediction',
-                    description: 'Developing machine learning models to predict COPD exacerbations 48 hours in advance using patient vitals, spirometry data, and environmental factors. This innovation aims to reduce hospital readmissions by enabling early intervention.',
-                    tags: ['AI', 'COPD', 'prediction', 'machine learning', 'pulmonary'],
-                    ownerId: 'demo_user_1',
-                    ownerName: 'Dr. Sarah Chen',
-                    ownerType: 'clinical',
-                    ownerPosition: 'Principal Investigator',
-                    institution: 'Cambridge University Hospitals',
-                    teamMembers: [
-                        { id: 'member_1', name: 'Dr. Michael Johnson', type: 'clinical', position: 'Co-Investigator' },
-                        { id: 'member_2', name: 'Dr. Lisa Wang', type: 'academic', position: 'Data Scientist' }
-                    ],
-                    createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-                    updatedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-                    discussions: [
-                        {
-                            id: 'disc_1',
-                            title: 'Which clinical features are most predictive?',
-                            content: 'We need to decide on the most important clinical features for our prediction model. Should we prioritize spirometry data, patient-reported symptoms, or environmental factors? Clinical relevance and statistical significance both need consideration.',
-                            type: 'brainstorm',
-                            tags: ['clinical features', 'spirometry', 'patient-reported outcomes'],
-                            authorId: 'demo_user_1',
-                            authorName: 'Dr. Sarah Chen',
-                            authorType: 'clinical',
-                            createdAt: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString(),
-                            likes: 24,
-                            comments: 12,
-                            views: 156,
-                            commentsList: [
-                                {
-                                    id: 'comment_1',
-                                    content: 'Based on our preliminary analysis, spirometry data shows the highest correlation with exacerbation events. The FEV1/FVC ratio appears particularly significant.',
-                                    type: 'analysis',
-                                    authorName: 'Dr. Michael Johnson',
-                                    authorType: 'clinical',
-                                    createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
-                                    likes: 8
-                                }
-                            ]
-                        }
-                    ]
-                },
-                {
-                    id: 'proj_2',
-                    title: 'Genomic Biomarkers for Immunotherapy Response in NSCLC',
-                    description: 'Identifying genomic signatures that predict response to immune checkpoint inhibitors in non-small cell lung cancer. Multi-center collaboration with genomic sequencing data from 500+ patients across 12 institutions.',
-                    tags: ['genomics', 'oncology', 'immunotherapy', 'biomarkers', 'NSCLC'],
-                    ownerId: 'demo_user_2',
-                    ownerName: 'Prof. Robert Kim',
-                    ownerType: 'academic',
-                    ownerPosition: 'Principal Investigator',
-                    institution: 'Oxford University',
-                    teamMembers: [
-                        { id: 'member_3', name: 'Dr. Emma Davis', type: 'industry', position: 'Genomics Specialist' }
-                    ],
-                    createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
-                    updatedAt: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
-                    discussions: [
-                        {
-                            id: 'disc_2',
-                            title: 'Tumor Mutational Burden vs PD-L1 Expression',
-                            content: 'We need to determine which biomarker shows stronger predictive value for immunotherapy response in our cohort. Both TMB and PD-L1 have shown promise, but their relative importance needs clarification.',
-                            type: 'question',
-                            tags: ['biomarkers', 'immunotherapy', 'predictive analytics'],
-                            authorId: 'demo_user_2',
-                            authorName: 'Prof. Robert Kim',
-                            authorType: 'academic',
-                            createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-                            likes: 18,
-                            comments: 9,
-                            views: 89,
-                            commentsList: []
-                        }
-                    ]
-                }
-            ];
-            
-            this.saveJSON('thoraxlab_projects', demoProjects);
-        }
-        
-        // Initialize activity if not exists
-        if (!this.loadJSON('thoraxlab_activity')) {
-            const demoActivity = [
-                {
-                    id: 'act_1',
-                    type: 'project_created',
-                    title: 'New Project Created',
-                    description: 'Dr. Sarah Chen initiated "AI-Powered COPD Exacerbation Prediction"',
-                    timestamp: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-                    userId: 'demo_user_1',
-                    projectId: 'proj_1'
-                },
-                {
-                    id: 'act_2',
-                    type: 'discussion_started',
-                    title: 'Discussion Started',
-                    description: 'Dr. Sarah Chen asked "Which clinical features are most predictive?"',
-                    timestamp: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString(),
-                    userId: 'demo_user_1',
-                    discussionId: 'disc_1'
-                },
-                {
-                    id: 'act_3',
-                    type: 'comment_added',
-                    title: 'Expert Insight Added',
-                    description: 'Dr. Michael Johnson contributed to the COPD prediction discussion',
-                    timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
-                    userId: 'demo_user_1',
-                    discussionId: 'disc_1'
-                }
-            ];
-            
-            this.saveJSON('thoraxlab_activity', demoActivity);
-        }
-        
-        // Initialize tags if not exists
-        if (!this.loadJSON('thoraxlab_tags')) {
-            const demoTags = {
-                'AI': { count: 15, frequency: 'high' },
-                'COPD': { count: 8, frequency: 'medium' },
-                'machine learning': { count: 12, frequency: 'high' },
-                'genomics': { count: 10, frequency: 'high' },
-                'oncology': { count: 9, frequency: 'medium' },
-                'immunotherapy': { count: 7, frequency: 'medium' },
-                'digital health': { count: 6, frequency: 'medium' },
-                'biomarkers': { count: 8, frequency: 'medium' },
-                'pulmonary': { count: 6, frequency: 'low' }
+    // Runs `work` inside a single IDB transaction and resolves once it commits.
+    // Requests must be issued synchronously or from request callbacks, otherwise
+    // the browser auto-commits the transaction early.
+    transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            const wrap = request => {
+                const promise = new Promise((res, rej) => {
+                    request.onsuccess = () => res(request.result);
+                    request.onerror = () => rej(request.error);
+                });
+                // Callers may drop the promise; tx.onerror reports the failure
+                promise.catch(() => {});
+                return promise;
+            };
+            const scope = {
+                get: (store, key) => wrap(tx.objectStore(store).get(key)),
+                getAll: (store) => wrap(tx.objectStore(store).getAll()),
+                put: (store, record) => wrap(tx.objectStore(store).put(record)),
+                delete: (store, key) => wrap(tx.objectStore(store).delete(key)),
+                clear: (store) => wrap(tx.objectStore(store).clear())
             };
+            let result;
             
-            this.saveJSON('thoraxlab_tags', demoTags);
-        }
-        
-        // Initialize likes if not exists
-        if (!this.loadJSON('thoraxlab_likes')) {
-            this.saveJSON('thoraxlab_likes', {});
-        }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            
+            Promise.resolve()
+                .then(() => work(scope))
+                .then(value => { result = value; })
+                .catch(error => {
+                    try { tx.abort(); } catch (abortError) { /* already finished */ }
+                    reject(error);
+                });
+        });
+    }
+}
+
+class LocalStorageAdapter {
+    constructor(prefix = 'thoraxlab_store') {
+        this.prefix = prefix;
+        this.supportsBlobs = false;
     }
     
-    // ========== AUTHENTICATION ==========
+    async open() {
+        const probe = `${this.prefix}:probe`;
+        localStorage.setItem(probe, '1');
+        localStorage.removeItem(probe);
+        return this;
+    }
     
-    checkAuth() {
-        if (this.user) {
-            this.showApp();
-            this.updateUserDisplay();
-            this.loadDashboard();
-        } else {
-            this.showAuth();
+    keyFor(store, key) {
+        return `${this.prefix}:${store}:${key}`;
+    }
+    
+    keysOf(store) {
+        const start = `${this.prefix}:${store}:`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(start)) keys.push(key);
         }
+        return keys;
     }
     
-    showAuth() {
-        document.getElementById('authScreen')?.classList.remove('hidden');
-        document.getElementById('mainApp')?.classList.add('hidden');
+    async get(store, key) {
+        const data = localStorage.getItem(this.keyFor(store, key));
+        return data ? JSON.parse(data) : undefined;
     }
     
-    showApp() {
-        document.getElementById('authScreen')?.classList.add('hidden');
-        document.getElementById('mainApp')?.classList.remove('hidden');
+    async getAll(store) {
+        return this.keysOf(store).map(key => JSON.parse(localStorage.getItem(key)));
     }
     
-    loginAsProfessional(e) {
-        if (e) e.preventDefault();
-        
-        const name = document.getElementById('professionalName').value.trim();
-        const type = document.getElementById('professionalType').value;
-        const institution = document.getElementById('professionalInstitution').value.trim();
-        
-        if (!name || !type) {
-            this.showToast('Name and professional type are required', 'error');
+    async put(store, record) {
+        localStorage.setItem(this.keyFor(store, record.id), JSON.stringify(record));
+        return record.id;
+    }
+    
+    async delete(store, key) {
+        localStorage.removeItem(this.keyFor(store, key));
+    }
+    
+    async clear(store) {
+        this.keysOf(store).forEach(key => localStorage.removeItem(key));
+    }
+    
+    // localStorage has no transactions; work simply runs against the adapter
+    async transaction(stores, mode, work) {
+        return work(this);
+    }
+}
+
+// ============================================
+// Document Store
+// Keeps the thoraxlab_* documents the app reads and writes in memory and
+// persists them to the adapter record by record. Projects, activity and
+// likes are split into their own object stores so that a like, view or
+// comment only rewrites the records that actually changed.
+// ============================================
+
+const SPLIT_DOCUMENTS = {
+    thoraxlab_projects: ['projects', 'discussions', 'comments'],
+    thoraxlab_activity: ['activity'],
+    thoraxlab_likes: ['likes']
+};
+
+class ThoraxStore {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.documents = new Map();
+        this.snapshots = new Map();
+        this.stale = new Set();
+        this.writes = Promise.resolve();
+        // Set when storage fell back to something less durable than asked for
+        this.warning = null;
+    }
+    
+    static createAdapter() {
+        return typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : new LocalStorageAdapter();
+    }
+    
+    async open() {
+        try {
+            await this.connect();
             return;
+        } catch (error) {
+            console.warn('Storage unavailable, falling back to localStorage:', error);
         }
         
-        const initials = name.split(' ')
-            .map(n => n[0])
-            .join('')
-            .toUpperCase()
-            .substring(0, 2);
-        
-        this.user = {
-            id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            name: name,
-            type: type,
-            institution: institution || 'Not specified',
-            avatar_initials: initials,
-            createdAt: new Date().toISOString()
-        };
+        if (!(this.adapter instanceof LocalStorageAdapter)) {
+            this.adapter = new LocalStorageAdapter();
+            try {
+                await this.connect();
+                this.warning = 'Browser database unavailable. Data is being saved to local storage instead.';
+                return;
+            } catch (fallbackError) {
+                console.error('localStorage unavailable:', fallbackError);
+            }
+        }
         
-        this.isVisitor = false;
+        console.error('No persistent storage available, data will not be saved');
+        this.adapter = null;
+        this.warning = 'Storage is unavailable in this browser. Changes will be lost when you close the page.';
+    }
+    
+    // Opens the adapter and reads everything into memory, starting from an
+    // empty state so a failed attempt leaves nothing half-loaded behind
+    async connect() {
+        this.documents.clear();
+        this.snapshots.clear();
+        this.stale.clear();
+        
+        await this.adapter.open();
+        await this.migrateFromLocalStorage();
+        await this.hydrate();
+    }
+    
+    // One-time copy of the legacy thoraxlab_* localStorage keys into the adapter
+    async migrateFromLocalStorage() {
+        if (await this.adapter.get('documents', STORAGE_MIGRATION_MARKER)) return;
+        
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (/^thoraxlab_\w+$/.test(key)) legacyKeys.push(key);
+        }
         
-        this.saveJSON('thoraxlab_user', this.user);
-        this.saveJSON('thoraxlab_visitor', false);
+        const records = [];
+        legacyKeys.forEach(key => {
+            try {
+                records.push(...this.decompose(key, JSON.parse(localStorage.getItem(key))));
+            } catch (error) {
+                console.error(`Error migrating ${key}:`, error);
+            }
+        });
+        records.push(['documents', {
+            id: STORAGE_MIGRATION_MARKER,
+            keys: legacyKeys,
+            migratedAt: new Date().toISOString()
+        }]);
+        
+        await this.adapter.transaction(STORAGE_STORES, 'readwrite', tx => {
+            records.forEach(([store, record]) => tx.put(store, record));
+        });
         
-        this.showApp();
-        this.updateUserDisplay();
-        this.showToast(`Welcome to Thorax Lab Pro, ${name.split(' ')[0]}!`, 'success');
-        this.loadDashboard();
+        legacyKeys.forEach(key => localStorage.removeItem(key));
     }
     
-    loginAsVisitor(e) {
-        if (e) e.preventDefault();
-        
-        const name = document.getElementById('visitorName').value.trim();
-        
-        this.user = {
-            id: `visitor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            name: name || 'Guest Researcher',
-            type: 'visitor',
-            institution: 'Viewing Only',
-            avatar_initials: 'G',
-            createdAt: new Date().toISOString()
-        };
-        
-        this.isVisitor = true;
-        
-        this.saveJSON('thoraxlab_user', this.user);
-        this.saveJSON('thoraxlab_visitor', true);
+    async hydrate() {
+        const stored = {};
+        await this.adapter.transaction(STORAGE_STORES, 'readonly', async tx => {
+            const results = await Promise.all(STORAGE_STORES.map(store => tx.getAll(store)));
+            STORAGE_STORES.forEach((store, index) => {
+                stored[store] = results[index];
+            });
+        });
         
-        this.showApp();
-        this.updateUserDisplay();
-        this.showToast('You are browsing as a guest researcher', 'info');
-        this.loadDashboard();
+        stored.documents.forEach(record => {
+            if (record.id === STORAGE_MIGRATION_MARKER) return;
+            
+            if (record.split && SPLIT_DOCUMENTS[record.id]) {
+                const data = this.assemble(record.id, stored);
+                this.documents.set(record.id, JSON.stringify(data));
+                this.snapshots.set(record.id, this.snapshot(this.decompose(record.id, data)));
+            } else {
+                this.documents.set(record.id, JSON.stringify(record.value));
+            }
+        });
     }
     
-    logout() {
-        this.user = null;
-        this.isVisitor = false;
-        localStorage.removeItem('thoraxlab_user');
-        localStorage.removeItem('thoraxlab_visitor');
-        this.showAuth();
+    // Attachments skip the in-memory documents and go straight to the
+    // adapter. localStorage can only keep them as data URLs.
+    async putAttachment(id, blob) {
+        if (!this.adapter) throw new Error('No persistent storage available');
+        
+        const data = this.adapter.supportsBlobs ? blob : await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        await this.adapter.put('attachments', { id, data });
     }
     
-    updateUserDisplay() {
-        if (!this.user) return;
-        
-        const avatar = document.getElementById('userAvatar');
-        const name = document.getElementById('userName');
-        const role = document.getElementById('userRole');
-        const visitorBadge = document.getElementById('visitorBadge');
-        const newProjectBtn = document.getElementById('newProjectBtn');
-        const createMyProjectBtn = document.getElementById('createMyProjectBtn');
-        const welcome = document.getElementById('welcomeMessage');
+    async getAttachment(id) {
+        const record = this.adapter ? await this.adapter.get('attachments', id) : null;
+        if (!record) return null;
+        return typeof record.data === 'string' ? (await fetch(record.data)).blob() : record.data;
+    }
+    
+    deleteAttachment(id) {
+        return this.adapter ? this.adapter.delete('attachments', id) : Promise.resolve();
+    }
+    
+    load(key) {
+        const data = this.documents.get(key);
+        return data === undefined ? null : JSON.parse(data);
+    }
+    
+    save(key, data) {
+        const serialized = JSON.stringify(data);
+        if (this.documents.get(key) === serialized) return this.writes;
         
-        if (avatar) {
-            avatar.textContent = this.user.avatar_initials || '??';
-            if (this.isVisitor) {
-                avatar.style.background = 'linear-gradient(135deg, #64748B, #475569)';
+        this.documents.set(key, serialized);
+        return this.persist(key, JSON.parse(serialized));
+    }
+    
+    remove(key) {
+        this.documents.delete(key);
+        return this.persist(key, undefined);
+    }
+    
+    // Resolves once every queued write has reached the adapter
+    flush() {
+        return this.writes;
+    }
+    
+    persist(key, data) {
+        const stores = ['documents', ...(SPLIT_DOCUMENTS[key] || [])];
+        const removed = data === undefined;
+        const puts = [];
+        const deletes = [];
+        const clears = [];
+        
+        if (!SPLIT_DOCUMENTS[key]) {
+            if (removed) deletes.push(['documents', key]);
+            else puts.push(['documents', { id: key, value: data }]);
+        } else {
+            const previous = this.stale.has(key) ? new Map() : (this.snapshots.get(key) || new Map());
+            const records = removed ? [] : this.decompose(key, data);
+            const next = this.snapshot(records);
+            
+            if (this.stale.has(key)) {
+                clears.push(...SPLIT_DOCUMENTS[key]);
+                this.stale.delete(key);
             }
+            
+            records.forEach(([store, record]) => {
+                const id = `${store}/${record.id}`;
+                if (previous.get(id) !== next.get(id)) puts.push([store, record]);
+            });
+            previous.forEach((value, id) => {
+                if (!next.has(id)) {
+                    const separator = id.indexOf('/');
+                    deletes.push([id.substring(0, separator), id.substring(separator + 1)]);
+                }
+            });
+            
+            this.snapshots.set(key, next);
         }
         
-        if (name) name.textContent = this.user.name;
+        if (!this.adapter || (!puts.length && !deletes.length && !clears.length)) return this.writes;
+        
+        this.writes = this.writes
+            .then(() => this.adapter.transaction(stores, 'readwrite', tx => {
+                clears.forEach(store => tx.clear(store));
+                deletes.forEach(([store, id]) => tx.delete(store, id));
+                puts.forEach(([store, record]) => tx.put(store, record));
+            }))
+            .catch(error => {
+                console.error(`Error saving ${key}:`, error);
+                // Rewrite the whole document next time instead of trusting the snapshot
+                if (SPLIT_DOCUMENTS[key]) this.stale.add(key);
+            });
         
-        if (role) {
-            const typeLabels = {
-                'clinical': 'Clinical Professional',
-                'academic': 'Academic Professional',
-                'industry': 'Industry Professional',
-                'other': 'Research Professional',
-                'visitor': 'Guest Researcher'
-            };
-            role.textContent = typeLabels[this.user.type] || 'Research Professional';
+        return this.writes;
+    }
+    
+    snapshot(records) {
+        const snapshot = new Map();
+        records.forEach(([store, record]) => {
+            snapshot.set(`${store}/${record.id}`, JSON.stringify(record));
+        });
+        return snapshot;
+    }
+    
+    // Splits a document into [store, record] pairs
+    decompose(key, data) {
+        const records = [];
+        
+        switch (key) {
+            case 'thoraxlab_projects':
+                (data || []).forEach((project, projectOrder) => {
+                    const { discussions, ...projectRecord } = project;
+                    records.push(['projects', { ...projectRecord, _order: projectOrder }]);
+                    
+                    (discussions || []).forEach((discussion, discussionOrder) => {
+                        const { commentsList, ...discussionRecord } = discussion;
+                        records.push(['discussions', { ...discussionRecord, _parentId: project.id, _order: discussionOrder }]);
+                        
+                        (commentsList || []).forEach((comment, commentOrder) => {
+                            records.push(['comments', { ...comment, _parentId: discussion.id, _order: commentOrder }]);
+                        });
+                    });
+                });
+                break;
+            case 'thoraxlab_activity':
+                (data || []).forEach(activity => records.push(['activity', activity]));
+                break;
+            case 'thoraxlab_likes':
+                Object.entries(data || {}).forEach(([userId, userLikes]) => {
+                    Object.keys(userLikes || {}).forEach(likeKey => {
+                        records.push(['likes', { id: `${userId}:${likeKey}`, userId, key: likeKey }]);
+                    });
+                });
+                break;
+            default:
+                return [['documents', { id: key, value: data }]];
         }
         
-        if (visitorBadge) {
-            visitorBadge.classList.toggle('hidden', !this.isVisitor);
+        records.push(['documents', { id: key, split: true }]);
+        return records;
+    }
+    
+    // Rebuilds a split document from its records
+    assemble(key, stored) {
+        const byOrder = (a, b) => a._order - b._order;
+        const strip = ({ _order, _parentId, ...record }) => record;
+        const groupByParent = records => records.reduce((groups, record) => {
+            (groups[record._parentId] = groups[record._parentId] || []).push(record);
+            return groups;
+        }, {});
+        
+        switch (key) {
+            case 'thoraxlab_projects': {
+                const comments = groupByParent(stored.comments);
+                const discussions = groupByParent(stored.discussions);
+                
+                return stored.projects.slice().sort(byOrder).map(project => ({
+                    ...strip(project),
+                    discussions: (discussions[project.id] || []).sort(byOrder).map(discussion => ({
+                        ...strip(discussion),
+                        commentsList: (comments[discussion.id] || []).sort(byOrder).map(strip)
+                    }))
+                }));
+            }
+            case 'thoraxlab_activity':
+                return stored.activity.slice().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            case 'thoraxlab_likes':
+                return stored.likes.reduce((likes, { userId, key: likeKey }) => {
+                    (likes[userId] = likes[userId] || {})[likeKey] = true;
+                    return likes;
+                }, {});
+            default:
+                return null;
         }
-        
-        if (newProjectBtn) {
-            newProjectBtn.classList.toggle('hidden', this.isVisitor);
+    }
+}
+
+// ============================================
+// Data Schema
+// Bump SCHEMA_VERSION and append to SCHEMA_MIGRATIONS whenever the
+// shape of a thoraxlab_* document changes. Migrations run in order on
+// startup against every document listed in SCHEMA_DOCUMENTS.
+// ============================================
+
+const SCHEMA_VERSION = 5;
+
+const SCHEMA_DOCUMENTS = ['thoraxlab_projects', 'thoraxlab_activity', 'thoraxlab_tags', 'thoraxlab_likes'];
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in defaults missing from projects, discussions and comments',
+        up(docs) {
+            (docs.thoraxlab_projects || []).forEach(project => {
+                project.tags = Array.isArray(project.tags) ? project.tags : [];
+                project.teamMembers = Array.isArray(project.teamMembers) ? project.teamMembers : [];
+                project.discussions = Array.isArray(project.discussions) ? project.discussions : [];
+                project.institution = project.institution || '';
+                project.updatedAt = project.updatedAt || project.createdAt;
+                
+                project.discussions.forEach(discussion => {
+                    discussion.tags = Array.isArray(discussion.tags) ? discussion.tags : [];
+                    discussion.commentsList = Array.isArray(discussion.commentsList) ? discussion.commentsList : [];
+                    discussion.updatedAt = discussion.updatedAt || discussion.createdAt;
+                    discussion.likes = Number(discussion.likes) || 0;
+                    discussion.views = Number(discussion.views) || 0;
+                    
+                    discussion.commentsList.forEach(comment => {
+                        comment.type = comment.type || null;
+                        comment.authorId = comment.authorId || null;
+                        comment.authorInstitution = comment.authorInstitution || '';
+                        comment.likes = Number(comment.likes) || 0;
+                    });
+                });
+            });
         }
-        
-        if (createMyProjectBtn) {
-            createMyProjectBtn.classList.toggle('hidden', this.isVisitor);
+    },
+    {
+        version: 2,
+        description: 'Recompute denormalized discussion comment counters',
+        up(docs) {
+            (docs.thoraxlab_projects || []).forEach(project => {
+                project.discussions.forEach(discussion => {
+                    discussion.comments = discussion.commentsList.length;
+                });
+            });
         }
-        
-        if (welcome && !this.isVisitor) {
-            const firstName = this.user.name.split(' ')[0];
-            const time = new Date().getHours();
-            let greeting = 'Good ';
-            
-            if (time < 12) greeting += 'morning';
-            else if (time < 18) greeting += 'afternoon';
-            else greeting += 'evening';
+    },
+    {
+        version: 3,
+        description: 'Attach projectId to discussion activity entries',
+        up(docs) {
+            const projectByDiscussion = {};
+            (docs.thoraxlab_projects || []).forEach(project => {
+                project.discussions.forEach(discussion => {
+                    projectByDiscussion[discussion.id] = project.id;
+                });
+            });
             
-            welcome.textContent = `${greeting}, ${firstName}`;
+            (docs.thoraxlab_activity || []).forEach(activity => {
+                if (activity.discussionId && !activity.projectId) {
+                    activity.projectId = projectByDiscussion[activity.discussionId] || null;
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Give existing team members a project role',
+        up(docs) {
+            (docs.thoraxlab_projects || []).forEach(project => {
+                project.teamMembers.forEach(member => {
+                    if (!member.role) {
+                        member.role = /co-?investigator/i.test(member.position || '') ? 'co-investigator' : 'contributor';
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Mark existing comments as top-level for threaded replies',
+        up(docs) {
+            (docs.thoraxlab_projects || []).forEach(project => {
+                project.discussions.forEach(discussion => {
+                    discussion.commentsList.forEach(comment => {
+                        comment.parentId = comment.parentId || null;
+                    });
+                });
+            });
         }
     }
-    
-    // ========== ROUTER ==========
-    
-    setupRouter() {
-        window.addEventListener('hashchange', () => this.handleRoute());
-        this.handleRoute();
+];
+
+// Field types end in "?" when the field may be missing or null
+const RECORD_SCHEMAS = {
+    project: {
+        id: 'string',
+        title: 'string',
+        description: 'string',
+        ownerId: 'string',
+        ownerName: 'string',
+        institution: 'string?',
+        tags: 'array',
+        teamMembers: 'array',
+        discussions: 'array',
+        createdAt: 'date',
+        updatedAt: 'date'
+    },
+    member: {
+        id: 'string',
+        name: 'string',
+        position: 'string?',
+        role: 'string'
+    },
+    discussion: {
+        id: 'string',
+        title: 'string',
+        content: 'string',
+        type: 'string',
+        authorName: 'string',
+        createdAt: 'date',
+        likes: 'number',
+        comments: 'number',
+        views: 'number',
+        commentsList: 'array'
+    },
+    comment: {
+        id: 'string',
+        parentId: 'string?',
+        content: 'string',
+        type: 'string?',
+        evidenceGrade: 'string?',
+        reference: 'string?',
+        authorName: 'string',
+        createdAt: 'date',
+        likes: 'number'
+    },
+    activity: {
+        id: 'string',
+        type: 'string',
+        description: 'string',
+        timestamp: 'date'
+    },
+    profile: {
+        name: 'string',
+        type: 'string',
+        institution: 'string?',
+        bio: 'string?',
+        expertise: 'array?'
+    },
+    attachment: {
+        id: 'string',
+        name: 'string',
+        type: 'string',
+        kind: 'string',
+        size: 'number'
+    },
+    poll: {
+        mode: 'string',
+        options: 'array',
+        deadline: 'date?',
+        quorum: 'number',
+        votes: 'object',
+        status: 'string'
+    },
+    pollOption: {
+        id: 'string',
+        label: 'string'
+    },
+    outcome: {
+        optionId: 'string?',
+        decision: 'string',
+        rationale: 'string',
+        recordedBy: 'string',
+        recordedByName: 'string',
+        recordedAt: 'date'
+    },
+    review: {
+        id: 'string',
+        projectId: 'string',
+        discussionId: 'string?',
+        requestedBy: 'string',
+        requestedByName: 'string',
+        reviewerId: 'string',
+        reviewerName: 'string',
+        expertiseTag: 'string?',
+        questions: 'array',
+        dueDate: 'date',
+        status: 'string',
+        createdAt: 'date',
+        review: 'object?'
+    },
+    reviewReport: {
+        recommendation: 'string',
+        answers: 'array',
+        comments: 'string'
+    }
+};
+
+function validateRecord(schemaName, record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['record is not an object'];
     }
     
-    handleRoute() {
-        const hash = window.location.hash.substring(1) || 'dashboard';
-        const parts = hash.split('/');
-        
-        const page = parts[0];
-        this.showPage(page);
-        
-        if (page === 'project' && parts[1]) {
-            this.loadProjectDetail(parts[1]);
-        } else if (page === 'discussion' && parts[1]) {
-            this.loadDiscussionDetail(parts[1]);
+    const errors = [];
+    Object.entries(RECORD_SCHEMAS[schemaName]).forEach(([field, spec]) => {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = record[field];
+        
+        if (value === undefined || value === null) {
+            if (!optional) errors.push(`${field} is missing`);
+            return;
         }
         
-        this.updateNavigation(page);
+        const valid = {
+            string: typeof value === 'string',
+            number: typeof value === 'number' && !Number.isNaN(value),
+            array: Array.isArray(value),
+            object: typeof value === 'object' && !Array.isArray(value),
+            date: typeof value === 'string' && !Number.isNaN(Date.parse(value))
+        }[type];
+        
+        if (!valid) errors.push(`${field} should be ${type}`);
+    });
+    
+    return errors;
+}
+
+// ============================================
+// Workspace Bundles
+// A bundle is a versioned JSON snapshot of the workspace documents, or of
+// the records that belong to selected projects. With attached files it is
+// wrapped in a ZIP archive as bundle.json plus attachments/<id>. Accounts,
+// sessions, notifications and pending invitations never leave the browser.
+// ============================================
+
+const BUNDLE_FORMAT = 'thoraxlab-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_MANIFEST = 'bundle.json';
+
+// Each exported document and the empty value it starts from
+const BUNDLE_DOCUMENTS = {
+    thoraxlab_projects: [],
+    thoraxlab_activity: [],
+    thoraxlab_likes: {},
+    thoraxlab_revisions: {},
+    thoraxlab_join_requests: [],
+    thoraxlab_archive: [],
+    thoraxlab_reviews: [],
+    thoraxlab_users: {}
+};
+
+const BUNDLE_ACTIVITY_LIMIT = 100;
+
+// Ids end up inside inline onclick handlers, so imported ones are held to
+// the characters the app itself generates
+const BUNDLE_ID_PATTERN = /^[\w.-]+$/;
+
+// Splits bundle documents into the records that belong to projectIds and
+// the rest. Likes follow the discussions and comments they point at.
+function partitionBundleDocuments(docs, projectIds) {
+    const ids = new Set(projectIds);
+    const selected = {};
+    const rest = {};
+    const split = (key, belongs) => {
+        selected[key] = [];
+        rest[key] = [];
+        (docs[key] || []).forEach(record => (belongs(record) ? selected : rest)[key].push(record));
+    };
+    
+    split('thoraxlab_projects', project => ids.has(project.id));
+    ['thoraxlab_activity', 'thoraxlab_join_requests', 'thoraxlab_archive', 'thoraxlab_reviews'].forEach(key => {
+        split(key, record => ids.has(record.projectId));
+    });
+    
+    selected.thoraxlab_revisions = {};
+    rest.thoraxlab_revisions = {};
+    Object.entries(docs.thoraxlab_revisions || {}).forEach(([projectId, revisions]) => {
+        (ids.has(projectId) ? selected : rest).thoraxlab_revisions[projectId] = revisions;
+    });
+    
+    const likeKeys = new Set();
+    const addLikeKeys = discussion => {
+        likeKeys.add(`discussion_${discussion.id}`);
+        (discussion.commentsList || []).forEach(comment => likeKeys.add(`comment_${comment.id}`));
+    };
+    selected.thoraxlab_projects.forEach(project => (project.discussions || []).forEach(addLikeKeys));
+    selected.thoraxlab_archive.forEach(entry => entry.discussion && addLikeKeys(entry.discussion));
+    
+    selected.thoraxlab_likes = {};
+    rest.thoraxlab_likes = {};
+    Object.entries(docs.thoraxlab_likes || {}).forEach(([userId, userLikes]) => {
+        Object.keys(userLikes || {}).forEach(key => {
+            const target = likeKeys.has(key) ? selected : rest;
+            (target.thoraxlab_likes[userId] = target.thoraxlab_likes[userId] || {})[key] = true;
+        });
+    });
+    
+    selected.thoraxlab_users = docs.thoraxlab_users || {};
+    rest.thoraxlab_users = docs.thoraxlab_users || {};
+    
+    return { selected, rest };
+}
+
+// Collects every object key, and every value of an id field (id, *Id,
+// *Ids, votes and archived likes), that does not match BUNDLE_ID_PATTERN
+function findUnsafeBundleIds(value, isId = false, found = []) {
+    if (typeof value === 'string') {
+        if (isId && !BUNDLE_ID_PATTERN.test(value)) found.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => findUnsafeBundleIds(item, isId, found));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            if (!BUNDLE_ID_PATTERN.test(key)) found.push(key);
+            findUnsafeBundleIds(item, isId || key === 'id' || /Ids?$/.test(key) || key === 'votes' || key === 'likes', found);
+        });
+    }
+    return found;
+}
+
+// Checks a parsed bundle and returns its documents brought up to the
+// current SCHEMA_VERSION, or the problems that stop it being imported
+function validateWorkspaceBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+        return { errors: ['This file is not a Thorax Lab bundle'] };
+    }
+    if (!Number.isInteger(bundle.bundleVersion) || bundle.bundleVersion > BUNDLE_VERSION) {
+        return { errors: ['This bundle was made by a newer version of Thorax Lab'] };
+    }
+    if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion > SCHEMA_VERSION) {
+        return { errors: [`This bundle uses data schema ${bundle.schemaVersion}, newer than this workspace (${SCHEMA_VERSION})`] };
+    }
+    if (!['workspace', 'projects'].includes(bundle.scope) || !bundle.documents || typeof bundle.documents !== 'object') {
+        return { errors: ['The bundle manifest is incomplete'] };
     }
     
-    showPage(page) {
-        // Hide all pages
-        document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
-        
-        // Show requested page
-        const pageElement = document.getElementById(`${page}Page`);
-        if (pageElement) {
-            pageElement.classList.remove('hidden');
-            
-            // Load page-specific content
-            switch(page) {
-                case 'dashboard':
-                    this.loadDashboard();
-                    break;
-                case 'projects':
-                    this.loadAllProjects();
-                    break;
-                case 'myprojects':
-                    this.loadMyProjects();
-                    break;
-            }
+    const errors = [];
+    const docs = {};
+    Object.entries(BUNDLE_DOCUMENTS).forEach(([key, empty]) => {
+        const value = bundle.documents[key];
+        if (value === undefined || value === null) {
+            docs[key] = JSON.parse(JSON.stringify(empty));
+        } else if (Array.isArray(value) !== Array.isArray(empty) || typeof value !== 'object') {
+            errors.push(`${key.replace('thoraxlab_', '')} should be ${Array.isArray(empty) ? 'a list' : 'an object'}`);
+        } else {
+            docs[key] = JSON.parse(JSON.stringify(value));
         }
+    });
+    if (errors.length) return { errors };
+    
+    const unsafeIds = [...new Set(findUnsafeBundleIds(docs))];
+    if (unsafeIds.length) {
+        return { errors: unsafeIds.map(id => `Id ${JSON.stringify(id.substring(0, 60))} may only contain letters, digits, "_", "." and "-"`) };
     }
     
-    updateNavigation(page) {
-        document.querySelectorAll('.nav-link').forEach(link => {
-            const linkPage = link.getAttribute('href').substring(1);
-            if (linkPage.includes('/')) {
-                const linkBase = linkPage.split('/')[0];
-                link.classList.toggle('active', linkBase === page);
-            } else {
-                link.classList.toggle('active', linkPage === page);
+    try {
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > bundle.schemaVersion)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => migration.up(docs));
+    } catch (error) {
+        return { errors: [`The bundle could not be upgraded to data schema ${SCHEMA_VERSION}: ${error.message}`] };
+    }
+    
+    const seen = new Set();
+    const check = (schemaName, record, label) => {
+        validateRecord(schemaName, record).forEach(error => errors.push(`${label}: ${error}`));
+        if (record && record.id && !['member', 'profile'].includes(schemaName)) {
+            if (seen.has(record.id)) errors.push(`${label}: id ${record.id} appears more than once`);
+            seen.add(record.id);
+        }
+    };
+    const checkAttachments = (attachments, label) => {
+        if (attachments === undefined || attachments === null) return;
+        if (!Array.isArray(attachments)) {
+            errors.push(`${label}: attachments should be array`);
+            return;
+        }
+        attachments.forEach(attachment => {
+            check('attachment', attachment, `${label}, attachment`);
+            checkOneOf(attachment?.kind, Object.keys(ATTACHMENT_KINDS), `${label}, attachment: kind`);
+        });
+    };
+    // Fields rendered as class names and labels may only hold the values the app itself writes
+    const checkOneOf = (value, allowed, label) => {
+        if (typeof value === 'string' && !allowed.includes(value)) {
+            errors.push(`${label} "${value.substring(0, 60)}" is not recognised`);
+        }
+    };
+    const checkDiscussionValues = (discussion, label) => {
+        if (!discussion || typeof discussion !== 'object') return;
+        
+        checkOneOf(discussion.type, DISCUSSION_TYPES, `${label}: type`);
+        if (discussion.poll !== undefined && discussion.poll !== null) {
+            const poll = discussion.poll;
+            check('poll', poll, `${label}, vote`);
+            checkOneOf(poll?.mode, ['single', 'ranked'], `${label}, vote: mode`);
+            checkOneOf(poll?.status, ['open', 'closed'], `${label}, vote: status`);
+            if (Array.isArray(poll?.options)) {
+                poll.options.forEach(option => validateRecord('pollOption', option).forEach(error => errors.push(`${label}, vote option: ${error}`)));
+            }
+            if (poll?.votes && typeof poll.votes === 'object' &&
+                !Object.values(poll.votes).every(ranking => Array.isArray(ranking) && ranking.every(choice => typeof choice === 'string'))) {
+                errors.push(`${label}, vote: each ballot should be a list of option ids`);
             }
+        }
+        if (discussion.outcome !== undefined && discussion.outcome !== null) {
+            validateRecord('outcome', discussion.outcome).forEach(error => errors.push(`${label}, decision: ${error}`));
+        }
+        (Array.isArray(discussion.commentsList) ? discussion.commentsList : []).forEach(comment => {
+            checkOneOf(comment?.type, Object.keys(COMMENT_TYPES), `${label}, comment: type`);
+            checkOneOf(comment?.evidenceGrade, Object.keys(EVIDENCE_GRADES), `${label}, comment: evidence grade`);
         });
-    }
+    };
     
-    navigateTo(page) {
-        window.location.hash = page;
-    }
+    docs.thoraxlab_projects.forEach((project, index) => {
+        const label = `Project ${project?.title ? `"${project.title}"` : index + 1}`;
+        check('project', project, label);
+        if (!Array.isArray(project?.teamMembers) || !Array.isArray(project?.discussions)) return;
+        
+        project.teamMembers.forEach(member => check('member', member, `${label}, team member`));
+        project.discussions.forEach(discussion => {
+            const discussionLabel = `Discussion ${discussion?.title ? `"${discussion.title}"` : 'without a title'}`;
+            check('discussion', discussion, discussionLabel);
+            checkDiscussionValues(discussion, discussionLabel);
+            checkAttachments(discussion?.attachments, discussionLabel);
+            if (!Array.isArray(discussion?.commentsList)) return;
+            discussion.commentsList.forEach(comment => {
+                check('comment', comment, `${discussionLabel}, comment`);
+                checkAttachments(comment?.attachments, `${discussionLabel}, comment`);
+            });
+        });
+    });
+    docs.thoraxlab_activity.forEach(activity => check('activity', activity, 'Activity entry'));
     
-    // ========== DASHBOARD ==========
+    Object.entries(docs.thoraxlab_users).forEach(([userId, profile]) => {
+        const label = `Researcher ${userId}`;
+        check('profile', profile, label);
+        checkOneOf(profile?.type, Object.keys(USER_TYPE_LABELS), `${label}: type`);
+    });
     
-    loadDashboard() {
-        this.loadUserStats();
-        this.loadActivityFeed();
-        this.loadTagsCloud();
-        this.loadFeaturedDiscussions();
-        this.loadRecentProjects();
+    docs.thoraxlab_reviews.forEach(review => {
+        const label = `Review request ${review?.id || 'without an id'}`;
+        check('review', review, label);
+        checkOneOf(review?.status, Object.keys(REVIEW_STATUSES), `${label}: status`);
+        if (typeof review?.dueDate === 'string' && !/^\d{4}-\d{2}-\d{2}$/.test(review.dueDate)) {
+            errors.push(`${label}: dueDate should be a calendar date`);
+        }
+        if (review?.review && typeof review.review === 'object') {
+            validateRecord('reviewReport', review.review).forEach(error => errors.push(`${label}, review: ${error}`));
+            checkOneOf(review.review.recommendation, Object.keys(REVIEW_RECOMMENDATIONS), `${label}, review: recommendation`);
+        }
+    });
+    
+    // The remaining documents only need well-formed records with ids
+    const isRecord = record => Boolean(record) && typeof record === 'object' && !Array.isArray(record) && typeof record.id === 'string';
+    ['thoraxlab_join_requests', 'thoraxlab_archive'].forEach(key => {
+        if (!docs[key].every(isRecord)) errors.push(`${key.replace('thoraxlab_', '')} contains a record without an id`);
+    });
+    if (!Object.values(docs.thoraxlab_revisions).every(revisions => Array.isArray(revisions) && revisions.every(isRecord))) {
+        errors.push('revisions contains a record without an id');
+    }
+    const isArchiveEntry = entry => (!entry.discussion || (isRecord(entry.discussion) && Array.isArray(entry.discussion.commentsList || []))) &&
+        Array.isArray(entry.activities || []) && Object.values(entry.likes || {}).every(Array.isArray);
+    if (!docs.thoraxlab_archive.every(entry => !isRecord(entry) || isArchiveEntry(entry))) {
+        errors.push('archive contains a malformed deleted discussion');
+    } else {
+        docs.thoraxlab_archive.forEach(({ discussion }) => {
+            if (!discussion) return;
+            checkDiscussionValues(discussion, 'Deleted discussion');
+            checkAttachments(discussion.attachments, 'Deleted discussion');
+            (discussion.commentsList || []).forEach(comment => checkAttachments(comment?.attachments, 'Deleted discussion, comment'));
+        });
+    }
+    if (!Object.values(docs.thoraxlab_likes).every(userLikes => userLikes && typeof userLikes === 'object')) {
+        errors.push('likes should map each researcher to their liked items');
     }
     
-    loadUserStats() {
-        if (!this.user) return;
-        
-        if (this.isVisitor) {
-            const container = document.getElementById('userStats');
-            if (container) {
-                container.innerHTML = `
-                    <div class="stats-grid">
-                        <div class="stat-card">
-                            <div class="stat-icon">
-                                <i class="fas fa-eye"></i>
-                            </div>
-                            <div class="stat-content">
-                                <div class="stat-number">Guest</div>
-                                <div class="stat-label">Viewing Mode</div>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            }
-            return;
+    return errors.length ? { errors } : { errors: [], documents: docs };
+}
+
+// ============================================
+// ZIP Archives
+// Just enough of the format for bundles: entries are written uncompressed
+// (attachments are mostly compressed already) and read back either stored
+// or deflated, the latter where the browser offers DecompressionStream.
+// ============================================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
         }
-        
-        const projects = this.getProjects();
-        const userProjects = projects.filter(p => p.ownerId === this.user?.id);
-        const userDiscussions = projects.reduce((count, project) => {
-            if (project.discussions) {
-                return count + project.discussions.filter(d => d.authorId === this.user?.id).length;
-            }
-            return count;
-        }, 0);
-        
-        const container = document.getElementById('userStats');
-        if (container) {
-            container.innerHTML = `
-                <div class="stats-grid">
-                    <div class="stat-card">
-                        <div class="stat-icon">
-                            <i class="fas fa-project-diagram"></i>
-                        </div>
-                        <div class="stat-content">
-                            <div class="stat-number">${userProjects.length}</div>
-                            <div class="stat-label">Projects</div>
-                        </div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-icon">
-                            <i class="fas fa-comments"></i>
-                        </div>
-                        <div class="stat-content">
-                            <div class="stat-number">${userDiscussions}</div>
-                            <div class="stat-label">Discussions</div>
-                        </div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-icon">
-                            <i class="fas fa-users"></i>
-                        </div>
-                        <div class="stat-content">
-                            <div class="stat-number">${userProjects.reduce((sum, p) => sum + (p.teamMembers?.length || 0), 0)}</div>
-                            <div class="stat-label">Collaborators</div>
-                        </div>
-                    </div>
-                </div>
-            `;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }]
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, file.data.length, true);
+        header.setUint32(22, file.data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        parts.push(header.buffer, name, file.data);
+        
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+        
+        offset += 30 + name.length + file.data.length;
+    });
+    
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+function isZipArchive(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// Resolves to a Map of entry name to Uint8Array
+async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
         }
     }
+    if (end === -1) throw new Error('The archive is damaged or incomplete');
     
-    loadActivityFeed() {
-        const activities = this.getActivities();
-        let filteredActivities = activities;
-        
-        if (this.activityFilter !== 'all') {
-            filteredActivities = activities.filter(act => act.type && act.type.includes(this.activityFilter));
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014B50) throw new Error('The archive is damaged or incomplete');
+        
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+        
+        if (name.endsWith('/')) continue;
+        
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            entries.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        } else {
+            throw new Error(`"${name}" uses a compression method this browser cannot read`);
+        }
+    }
+    
+    return entries;
+}
+
+// ============================================
+// Markdown
+// Discussion and comment bodies use a small Markdown dialect: headings,
+// lists, tables, fenced code, links and $inline math$. The renderer
+// escapes the source itself and its output still goes through
+// sanitizeHtml(), which keeps only the allow-listed tags and attributes.
+// ============================================
+
+const MARKDOWN_ALLOWED_TAGS = new Set([
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'strong', 'em', 'del', 'sup', 'sub', 'span', 'a'
+]);
+const MARKDOWN_DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'textarea', 'title', 'noscript', 'svg', 'math']);
+const MARKDOWN_ALLOWED_ATTRIBUTES = {
+    a: ['href', 'class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    span: ['class']
+};
+const MARKDOWN_ATTRIBUTE_RULES = {
+    href: value => MARKDOWN_SAFE_URL.test(value),
+    start: value => /^\d{1,6}$/.test(value),
+    align: value => ['left', 'center', 'right'].includes(value),
+    class: value => ['md-math', 'mention'].includes(value)
+};
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:|#|\/(?!\/))/i;
+const MARKDOWN_EXCERPT_TAGS = new Set(['strong', 'em', 'del', 'code', 'sup', 'sub', 'span']);
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+// Mentions are stored in the text as @[Name](user:userId)
+const MARKDOWN_MENTION = /@\[([^\]\n]+)\]\(user:([\w.-]+)\)/g;
+const MARKDOWN_MATH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', Delta: 'Δ', epsilon: 'ε', theta: 'θ',
+    kappa: 'κ', lambda: 'λ', mu: 'μ', pi: 'π', rho: 'ρ', sigma: 'σ', Sigma: 'Σ', tau: 'τ',
+    phi: 'φ', chi: 'χ', omega: 'ω', pm: '±', times: '×', cdot: '·', div: '÷',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', sim: '∼',
+    infty: '∞', to: '→', rightarrow: '→', sqrt: '√', sum: '∑', degree: '°'
+};
+
+function escapeMarkdownText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function extractMentions(source) {
+    const mentions = new Map();
+    const text = String(source || '').replace(/(```|~~~)[\s\S]*?(\1|$)/g, '').replace(/(`+)[\s\S]*?\1/g, '');
+    for (const [, name, userId] of text.matchAll(MARKDOWN_MENTION)) {
+        if (!mentions.has(userId)) mentions.set(userId, { userId, name: name.trim() });
+    }
+    return [...mentions.values()];
+}
+
+function renderMarkdown(source) {
+    if (!source) return '';
+    const lines = String(source).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    return sanitizeHtml(renderMarkdownBlocks(lines));
+}
+
+// Inline-only rendering for cards: blocks collapse into one line, links
+// become plain text and the result is cut after maxLength characters
+function renderMarkdownExcerpt(source, maxLength) {
+    const template = document.createElement('template');
+    template.innerHTML = renderMarkdown(source);
+    
+    let remaining = maxLength;
+    let truncated = false;
+    
+    const walk = parent => [...parent.childNodes].map(node => {
+        if (remaining <= 0) {
+            truncated = truncated || Boolean(node.textContent.trim());
+            return '';
         }
         
-        filteredActivities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent.replace(/\s+/g, ' ');
+            const slice = text.slice(0, remaining);
+            remaining -= slice.length;
+            if (slice.length < text.length) truncated = true;
+            return escapeMarkdownText(slice);
+        }
         
-        const container = document.getElementById('activityFeed');
-        if (!container) return;
+        const tag = node.tagName.toLowerCase();
+        const inner = walk(node);
         
-        if (!filteredActivities.length) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">📊</div>
-                    <div class="empty-title">No recent activity</div>
-                    <p class="text-muted">Start a project or join a discussion</p>
-                </div>
-            `;
+        if (MARKDOWN_EXCERPT_TAGS.has(tag)) {
+            return `<${tag}${tag === 'span' ? ' class="md-math"' : ''}>${inner}</${tag}>`;
+        }
+        return tag === 'a' ? inner : `${inner} `;
+    }).join('');
+    
+    const excerpt = walk(template.content).replace(/\s+/g, ' ').trim();
+    return excerpt + (truncated ? '...' : '');
+}
+
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
             return;
         }
         
-        container.innerHTML = filteredActivities.slice(0, 5).map(activity => {
-            const icon = this.getActivityIcon(activity.type);
-            const timeAgo = this.formatTimeAgo(activity.timestamp);
-            
-            return `
-                <div class="activity-item">
-                    <div class="activity-icon">${icon}</div>
-                    <div class="activity-content">
-                        <div class="activity-text">${activity.description}</div>
-                        <div class="activity-time">${timeAgo}</div>
-                    </div>
-                </div>
-            `;
-        }).join('');
-    }
-    
-    loadTagsCloud() {
-        const tags = this.getTags();
-        const container = document.getElementById('tagsCloud');
+        const tag = node.tagName.toLowerCase();
         
-        if (!container) return;
+        if (!MARKDOWN_ALLOWED_TAGS.has(tag)) {
+            if (MARKDOWN_DROPPED_TAGS.has(tag)) {
+                node.remove();
+            } else {
+                sanitizeNode(node);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
         
-        const tagsArray = Object.entries(tags)
-            .map(([tag, data]) => ({ tag, ...data }))
-            .sort((a, b) => b.count - a.count)
-            .slice(0, 10);
+        const allowed = MARKDOWN_ALLOWED_ATTRIBUTES[tag] || [];
+        [...node.attributes].forEach(attribute => {
+            if (!allowed.includes(attribute.name) || !MARKDOWN_ATTRIBUTE_RULES[attribute.name](attribute.value.trim())) {
+                node.removeAttribute(attribute.name);
+            }
+        });
         
-        container.innerHTML = `
-            <div class="tags-cloud">
-                ${tagsArray.map(({ tag, count }) => {
-                    const isActive = this.selectedTags.has(tag);
-                    return `
-                        <span class="tag ${isActive ? 'active' : ''}" data-tag="${tag}">
-                            ${tag} <span class="text-muted">(${count})</span>
-                        </span>
-                    `;
-                }).join('')}
-            </div>
-        `;
+        if (tag === 'a') {
+            node.setAttribute('rel', 'noopener noreferrer');
+            if (/^(https?:|mailto:)/i.test(node.getAttribute('href') || '')) node.setAttribute('target', '_blank');
+        }
         
-        container.querySelectorAll('.tag').forEach(tagEl => {
-            tagEl.addEventListener('click', (e) => {
-                const tag = e.currentTarget.dataset.tag;
-                this.toggleTag(tag);
-            });
-        });
-    }
+        sanitizeNode(node);
+    });
+}
+
+function renderMarkdownBlocks(lines) {
+    const html = [];
+    let i = 0;
     
-    loadFeaturedDiscussions() {
-        const projects = this.getProjects();
-        let allDiscussions = [];
+    while (i < lines.length) {
+        const line = lines[i];
         
-        projects.forEach(project => {
-            if (project.discussions) {
-                project.discussions.forEach(disc => {
-                    allDiscussions.push({
-                        ...disc,
-                        projectId: project.id,
-                        projectTitle: project.title,
-                        projectTags: project.tags,
-                        institution: project.institution
-                    });
-                });
-            }
-        });
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
         
-        allDiscussions.sort((a, b) => {
-            const engagementA = (a.likes || 0) + (a.comments || 0);
-            const engagementB = (b.likes || 0) + (b.comments || 0);
-            return engagementB - engagementA;
-        });
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++;
+            html.push(`<pre><code>${escapeMarkdownText(code.join('\n'))}</code></pre>`);
+            continue;
+        }
         
-        const featured = allDiscussions.slice(0, 4);
-        this.renderDiscussions(featured, 'featuredDiscussions');
-    }
-    
-    loadRecentProjects() {
-        const projects = this.getProjects();
-        projects.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-        const recent = projects.slice(0, 3);
-        this.renderProjects(recent, 'recentProjects');
-    }
-    
-    // ========== PROJECTS ==========
-    
-    loadAllProjects() {
-        let projects = this.getProjects();
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
         
-        // Apply tag filters
-        if (this.selectedTags.size > 0) {
-            projects = projects.filter(project => 
-                project.tags && project.tags.some(tag => this.selectedTags.has(tag))
-            );
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
         }
         
-        // Apply search filter
-        const searchQuery = document.getElementById('projectSearch')?.value.toLowerCase() || '';
-        if (searchQuery) {
-            projects = projects.filter(project => 
-                project.title.toLowerCase().includes(searchQuery) ||
-                project.description.toLowerCase().includes(searchQuery) ||
-                (project.tags && project.tags.some(tag => tag.toLowerCase().includes(searchQuery))) ||
-                project.institution.toLowerCase().includes(searchQuery)
-            );
+        if (/^\s{0,3}>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s{0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+            html.push(`<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`);
+            continue;
         }
         
-        // Apply sorting
-        switch(this.projectSort) {
-            case 'recent':
-                projects.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-                break;
-            case 'popular':
-                projects.sort((a, b) => {
-                    const engagementA = this.calculateProjectEngagement(a);
-                    const engagementB = this.calculateProjectEngagement(b);
-                    return engagementB - engagementA;
-                });
-                break;
-            case 'title':
-                projects.sort((a, b) => a.title.localeCompare(b.title));
-                break;
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            i = renderMarkdownList(lines, i, html);
+            continue;
         }
         
-        this.renderProjects(projects, 'allProjectsList');
-    }
-    
-    loadMyProjects() {
-        if (this.isVisitor) {
-            this.showToast('Visitors cannot create projects', 'warning');
-            this.navigateTo('dashboard');
-            return;
+        if (isMarkdownTableStart(lines, i)) {
+            i = renderMarkdownTable(lines, i, html);
+            continue;
         }
         
-        const projects = this.getProjects();
-        const myProjects = projects.filter(p => p.ownerId === this.user?.id);
-        this.renderProjects(myProjects, 'myProjectsList');
+        const paragraph = [];
+        do {
+            paragraph.push(lines[i++].trim());
+        } while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i));
+        html.push(`<p>${paragraph.map(line => renderMarkdownInline(line)).join('<br>')}</p>`);
     }
     
-    loadProjectDetail(projectId) {
-        const projects = this.getProjects();
-        const project = projects.find(p => p.id === projectId);
-        
-        if (!project) {
-            this.showToast('Project not found', 'error');
-            this.navigateTo('projects');
-            return;
+    return html.join('');
+}
+
+function startsMarkdownBlock(lines, index) {
+    const line = lines[index];
+    return /^\s*(```|~~~)/.test(line) ||
+        /^\s{0,3}(#{1,6})\s/.test(line) ||
+        /^\s{0,3}>/.test(line) ||
+        MARKDOWN_LIST_ITEM.test(line) ||
+        isMarkdownTableStart(lines, index);
+}
+
+// Items continue while lines are indented deeper than the marker, which
+// is also how nested lists are written
+function renderMarkdownList(lines, start, html) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        const leading = line.match(/^\s*/)[0].length;
+        
+        if (item && leading === indent && /\d/.test(item[2]) === ordered) {
+            items.push({ text: item[3], contentIndent: indent + item[2].length + 1, body: [] });
+            i++;
+        } else if (line.trim() && leading > indent) {
+            const current = items[items.length - 1];
+            current.body.push(line.slice(Math.min(leading, current.contentIndent)));
+            i++;
+        } else if (!line.trim() && i + 1 < lines.length && lines[i + 1].trim() && lines[i + 1].match(/^\s*/)[0].length >= indent &&
+                   (lines[i + 1].match(/^\s*/)[0].length > indent || MARKDOWN_LIST_ITEM.test(lines[i + 1]))) {
+            i++;
+        } else {
+            break;
         }
-        
-        this.currentProject = project;
-        this.renderProjectDetail();
-        this.showPage('projectDetail');
     }
     
-    loadDiscussionDetail(discussionId) {
-        const projects = this.getProjects();
-        
-        for (const project of projects) {
-            if (project.discussions) {
-                const discussion = project.discussions.find(d => d.id === discussionId);
-                if (discussion) {
-                    this.currentDiscussion = {
-                        ...discussion,
-                        projectId: project.id,
-                        projectTitle: project.title,
-                        projectOwnerId: project.ownerId,
-                        institution: project.institution
-                    };
-                    this.renderDiscussionDetail();
-                    this.showPage('discussionDetail');
-                    return;
-                }
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    html.push(`<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${items.map(item => `
+        <li>${renderMarkdownInline(item.text)}${item.body.length ? renderMarkdownBlocks(item.body) : ''}</li>
+    `.trim()).join('')}</${tag}>`);
+    
+    return i;
+}
+
+function isMarkdownTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length && lines[index + 1].includes('-') &&
+        MARKDOWN_TABLE_DIVIDER.test(lines[index + 1]);
+}
+
+function splitMarkdownTableRow(line) {
+    return line.trim()
+        .replace(/^\|/, '')
+        .replace(/(^|[^\\])\|$/, '$1')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderMarkdownTable(lines, start, html) {
+    const headers = splitMarkdownTableRow(lines[start]);
+    const alignments = splitMarkdownTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+    const cell = (tag, content, index) => {
+        const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(content || '')}</${tag}>`;
+    };
+    
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitMarkdownTableRow(lines[i++]));
+    }
+    
+    html.push(`<table><thead><tr>${headers.map((header, index) => cell('th', header, index)).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${headers.map((header, index) => cell('td', row[index], index)).join('')}</tr>`).join('')}</tbody></table>`);
+    
+    return i;
+}
+
+// Code spans, escapes, math and links are set aside as placeholders so
+// the emphasis rules never see their contents
+function renderMarkdownInline(text) {
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+    
+    const render = source => escapeMarkdownText(source
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(`<code>${escapeMarkdownText(code.trim())}</code>`))
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~$>])/g, (match, char) => stash(escapeMarkdownText(char)))
+        .replace(MARKDOWN_MENTION, (match, name, userId) => stash(`<a href="#profile/${escapeMarkdownText(userId)}" class="mention">@${escapeMarkdownText(name.trim())}</a>`))
+        .replace(/\$([^\s$](?:[^$]*[^\s$])?)\$(?!\d)/g, (match, expression) => stash(renderMarkdownMath(expression)))
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?\s*\)/g, (match, label, url) => stash(renderMarkdownLink(url, render(label))))
+        .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/g, url => stash(renderMarkdownLink(url, escapeMarkdownText(url)))))
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    
+    // Link labels are rendered into placeholders of their own
+    let html = render(String(text));
+    while (/\u0000\d+\u0000/.test(html)) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+    }
+    return html;
+}
+
+function renderMarkdownLink(url, label) {
+    if (!MARKDOWN_SAFE_URL.test(url)) return label;
+    return `<a href="${escapeMarkdownText(url)}">${label}</a>`;
+}
+
+function renderMarkdownMath(expression) {
+    const html = escapeMarkdownText(expression)
+        .replace(/\\([a-zA-Z]+)/g, (match, name) => MARKDOWN_MATH_SYMBOLS[name] || match)
+        .replace(/([\^_])\{([^{}]*)\}/g, (match, operator, body) => operator === '^' ? `<sup>${body}</sup>` : `<sub>${body}</sub>`)
+        .replace(/([\^_])(-?[\w.]+)/g, (match, operator, body) => operator === '^' ? `<sup>${body}</sup>` : `<sub>${body}</sub>`);
+    return `<span class="md-math">${html}</span>`;
+}
+
+// ============================================
+// Search Index
+// Inverted index over project, discussion and comment text. It is kept in
+// step with thoraxlab_projects by sync(), which only re-indexes documents
+// whose text changed since the last call.
+// ============================================
+
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+const SEARCH_PREFIX_WEIGHT = 0.5;
+const SEARCH_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'of', 'on', 'or', 'our', 'should', 'that', 'the', 'their', 'this', 'to', 'we', 'was', 'which', 'with'
+]);
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();
+        this.documents = new Map();
+        this.sortedTerms = null;
+    }
+    
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 1 && !SEARCH_STOPWORDS.has(token));
+    }
+    
+    add(doc) {
+        this.remove(doc.id);
+        
+        const weights = new Map();
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+            SearchIndex.tokenize(doc.fields[field]).forEach(term => {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            });
+        });
+        
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.sortedTerms = null;
             }
-        }
+            this.postings.get(term).set(doc.id, weight);
+        });
         
-        this.showToast('Discussion not found', 'error');
-        this.navigateTo('dashboard');
+        this.documents.set(doc.id, { ...doc, terms: [...weights.keys()] });
     }
     
-    // ========== RENDERING METHODS ==========
+    remove(docId) {
+        const doc = this.documents.get(docId);
+        if (!doc) return;
+        
+        doc.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(docId);
+            if (!posting.size) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        });
+        this.documents.delete(docId);
+    }
     
-    renderProjects(projects, containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        if (!projects.length) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">📁</div>
-                    <div class="empty-title">No projects found</div>
-                    <p class="text-muted">${containerId === 'myProjectsList' ? 'Create your first research project' : 'Be the first to create a project'}</p>
-                    ${containerId === 'myProjectsList' && !this.isVisitor ? `
-                        <button class="btn btn-primary mt-4" onclick="app.showModal('newProjectModal')">
-                            <i class="fas fa-plus"></i>
-                            Create First Project
-                        </button>
-                    ` : ''}
-                </div>
-            `;
-            return;
-        }
+    // Brings the index in line with the current projects array
+    sync(projects) {
+        const seen = new Set();
+        
+        SearchIndex.documentsFor(projects).forEach(doc => {
+            seen.add(doc.id);
+            const signature = JSON.stringify(doc.fields) + JSON.stringify(doc.meta);
+            if (this.documents.get(doc.id)?.signature !== signature) {
+                this.add({ ...doc, signature });
+            }
+        });
         
-        container.innerHTML = projects.map(project => {
-            const discussionCount = project.discussions ? project.discussions.length : 0;
-            const teamCount = project.teamMembers ? project.teamMembers.length : 0;
+        [...this.documents.keys()].forEach(docId => {
+            if (!seen.has(docId)) this.remove(docId);
+        });
+    }
+    
+    static documentsFor(projects) {
+        const docs = [];
+        
+        (projects || []).forEach(project => {
+            docs.push({
+                id: `project:${project.id}`,
+                kind: 'project',
+                fields: {
+                    title: project.title,
+                    tags: (project.tags || []).join(' '),
+                    body: `${project.description} ${project.institution || ''}`
+                },
+                meta: {
+                    projectId: project.id,
+                    title: project.title,
+                    text: project.description,
+                    authorName: project.ownerName,
+                    createdAt: project.createdAt
+                }
+            });
             
-            return `
-                <div class="project-card" data-project-id="${project.id}">
-                    <div class="project-header">
-                        <div class="project-type">
-                            <i class="fas fa-flask"></i>
-                            Research Project
-                        </div>
-                        <div class="project-institution">
-                            <i class="fas fa-university"></i>
-                            ${this.escapeHtml(project.institution || '')}
-                        </div>
-                    </div>
-                    
-                    <h3 class="project-title">${this.escapeHtml(project.title)}</h3>
-                    
-                    <p class="project-excerpt">
-                        ${this.escapeHtml(project.description.substring(0, 150))}${project.description.length > 150 ? '...' : ''}
-                    </p>
-                    
-                    <div class="project-tags">
-                        ${(project.tags || []).slice(0, 3).map(tag => `
-                            <span class="project-tag">${this.escapeHtml(tag)}</span>
-                        `).join('')}
-                    </div>
-                    
-                    <div class="project-footer">
-                        <div class="project-stats">
-                            <div class="stat">
-                                <i class="fas fa-comments"></i>
-                                <span>${discussionCount}</span>
-                            </div>
-                            <div class="stat">
-                                <i class="fas fa-users"></i>
-                                <span>${teamCount}</span>
-                            </div>
-                        </div>
-                        <div class="project-author">
-                            <div class="author-avatar-small">${project.ownerName.substring(0, 2).toUpperCase()}</div>
-                            <span>${this.escapeHtml(project.ownerName)}</span>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
-        
-        container.querySelectorAll('.project-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const projectId = card.dataset.projectId;
-                this.navigateTo(`project/${projectId}`);
+            (project.discussions || []).forEach(discussion => {
+                docs.push({
+                    id: `discussion:${discussion.id}`,
+                    kind: 'discussion',
+                    fields: {
+                        title: discussion.title,
+                        tags: (discussion.tags || []).join(' '),
+                        body: discussion.content
+                    },
+                    meta: {
+                        projectId: project.id,
+                        discussionId: discussion.id,
+                        title: discussion.title,
+                        text: discussion.content,
+                        authorName: discussion.authorName,
+                        createdAt: discussion.createdAt,
+                        projectTitle: project.title
+                    }
+                });
+                
+                (discussion.commentsList || []).forEach(comment => {
+                    docs.push({
+                        id: `comment:${comment.id}`,
+                        kind: 'comment',
+                        fields: { body: comment.content },
+                        meta: {
+                            projectId: project.id,
+                            discussionId: discussion.id,
+                            commentId: comment.id,
+                            title: discussion.title,
+                            text: comment.content,
+                            authorName: comment.authorName,
+                            createdAt: comment.createdAt,
+                            projectTitle: project.title
+                        }
+                    });
+                });
             });
         });
+        
+        return docs;
     }
     
-    renderDiscussions(discussions, containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        if (!discussions.length) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">💬</div>
-                    <div class="empty-title">No discussions yet</div>
-                    <p class="text-muted">Start the first discussion in a project</p>
-                </div>
-            `;
-            return;
+    // Every term that starts with the given prefix, via binary search
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
         }
         
-        container.innerHTML = discussions.map(disc => {
-            const engagementScore = (disc.likes || 0) + (disc.comments || 0);
-            const isFeatured = engagementScore >= 15;
-            
-            return `
-                <div class="discussion-card" data-discussion-id="${disc.id}" data-project-id="${disc.projectId}">
-                    <div class="discussion-header">
-                        <div class="discussion-type type-${disc.type}">
-                            <i class="${this.getDiscussionIcon(disc.type)}"></i>
-                            <span>${disc.type}</span>
-                        </div>
-                        ${isFeatured ? `
-                            <div class="featured-badge">
-                                <i class="fas fa-star"></i>
-                                Featured
-                            </div>
-                        ` : ''}
-                    </div>
-                    
-                    <h3 class="discussion-title">${this.escapeHtml(disc.title)}</h3>
-                    
-                    <p class="discussion-excerpt">
-                        ${this.escapeHtml(disc.content.substring(0, 120))}${disc.content.length > 120 ? '...' : ''}
-                    </p>
-                    
-                    <div class="discussion-meta">
-                        <div class="author-info">
-                            <div class="author-avatar">${disc.authorName.substring(0, 2).toUpperCase()}</div>
-                            <div>
-                                <div class="author-name">${this.escapeHtml(disc.authorName)}</div>
-                                <div class="author-institution">${this.escapeHtml(disc.institution || '')}</div>
-                            </div>
-                        </div>
-                        <div class="engagement-metrics">
-                            <div class="metric">
-                                <i class="fas fa-heart"></i>
-                                <span>${disc.likes || 0}</span>
-                            </div>
-                            <div class="metric">
-                                <i class="fas fa-comment"></i>
-                                <span>${disc.comments || 0}</span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
         
-        container.querySelectorAll('.discussion-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const discussionId = card.dataset.discussionId;
-                this.navigateTo(`discussion/${discussionId}`);
-            });
-        });
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            terms.push(this.sortedTerms[i]);
+        }
+        return terms;
     }
     
-    renderProjectDetail() {
-        const container = document.getElementById('projectDetailPage');
-        if (!container || !this.currentProject) return;
+    // Ranked search; every query term must match a document exactly or as a
+    // prefix. Scores are TF-IDF style with field weights.
+    search(query, { kinds = null, limit = 50 } = {}) {
+        const queryTerms = [...new Set(SearchIndex.tokenize(query))];
+        if (!queryTerms.length) return [];
         
-        const project = this.currentProject;
-        const isOwner = !this.isVisitor && project.ownerId === this.user?.id;
-        const discussionCount = project.discussions ? project.discussions.length : 0;
-        const teamCount = project.teamMembers ? project.teamMembers.length : 0;
-        const isTeamMember = project.teamMembers?.some(member => member.id === this.user?.id) || isOwner;
-        const canStartDiscussion = !this.isVisitor && (isOwner || isTeamMember);
+        const total = this.documents.size || 1;
+        let scores = null;
         
-        container.innerHTML = `
-            <div class="page-header">
-                <button class="btn btn-secondary mb-4" onclick="app.navigateTo('projects')">
-                    <i class="fas fa-arrow-left"></i>
-                    Back to Projects
-                </button>
-                <div class="flex items-start justify-between">
-                    <div>
-                        <h1 class="page-title">${this.escapeHtml(project.title)}</h1>
-                        <p class="page-subtitle">${this.escapeHtml(project.institution || '')} • Led by ${this.escapeHtml(project.ownerName)}</p>
-                    </div>
-                    ${isOwner ? `
-                        <div class="flex gap-2">
-                            <button class="btn btn-outline" onclick="app.showEditProjectModal('${project.id}')">
-                                <i class="fas fa-edit"></i>
-                                Edit
-                            </button>
-                            <button class="btn btn-outline" onclick="app.showAddTeamMemberModal('${project.id}')">
-                                <i class="fas fa-user-plus"></i>
-                                Add Member
-                            </button>
-                        </div>
-                    ` : ''}
-                </div>
-            </div>
+        for (const queryTerm of queryTerms) {
+            const termScores = new Map();
             
-            <div class="dashboard-grid">
-                <div class="col-span-8">
-                    <div class="card">
-                        <div class="card-header">
-                            <h2 class="card-title">
-                                <i class="card-icon fas fa-book-open"></i>
-                                Project Overview
-                            </h2>
-                            ${canStartDiscussion ? `
-                                <button class="btn btn-primary btn-sm" onclick="app.showNewDiscussionModal('${project.id}')">
-                                    <i class="fas fa-plus"></i>
-                                    New Discussion
-                                </button>
-                            ` : ''}
-                        </div>
-                        
-                        <div class="mb-6">
-                            <h3 class="mb-2">Description</h3>
-                            <p class="text-lead">${this.escapeHtml(project.description)}</p>
+            this.termsWithPrefix(queryTerm).forEach(term => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + total / posting.size);
+                const matchWeight = term === queryTerm ? 1 : SEARCH_PREFIX_WEIGHT;
+                
+                posting.forEach((weight, docId) => {
+                    const score = weight * idf * matchWeight;
+                    termScores.set(docId, Math.max(termScores.get(docId) || 0, score));
+                });
+            });
+            
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, docId) => {
+                    if (termScores.has(docId)) combined.set(docId, score + termScores.get(docId));
+                });
+                scores = combined;
+            }
+            
+            if (!scores.size) return [];
+        }
+        
+        return [...scores.entries()]
+            .map(([docId, score]) => ({ ...this.documents.get(docId), score, queryTerms }))
+            .filter(result => !kinds || kinds.includes(result.kind))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+const PROJECT_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    tags: 'Research Domains',
+    ownerPosition: 'Position'
+};
+
+const POSITION_LABELS = {
+    'principal-investigator': 'Principal Investigator',
+    'co-investigator': 'Co-Investigator',
+    'clinical-lead': 'Clinical Lead',
+    'technical-lead': 'Technical Lead',
+    'data-scientist': 'Data Scientist',
+    'research-coordinator': 'Research Coordinator',
+    'other': 'Other'
+};
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_HASH_ITERATIONS = 600000;
+const SESSION_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Documents that may reference a user id; claiming a legacy identity rewrites them
+const USER_REFERENCE_DOCUMENTS = [
+    'thoraxlab_projects',
+    'thoraxlab_activity',
+    'thoraxlab_likes',
+    'thoraxlab_revisions',
+    'thoraxlab_join_requests',
+    'thoraxlab_archive',
+    'thoraxlab_project_visits',
+    'thoraxlab_invitations',
+    'thoraxlab_reviews',
+    'thoraxlab_notifications',
+    'thoraxlab_notification_settings',
+    'thoraxlab_followed_tags',
+    'thoraxlab_digest_log'
+];
+
+const USER_TYPE_LABELS = {
+    'clinical': 'Clinical Professional',
+    'academic': 'Academic Professional',
+    'industry': 'Industry Professional',
+    'other': 'Research Professional',
+    'visitor': 'Guest Researcher'
+};
+
+const PROJECT_ROLES = {
+    'lead': {
+        label: 'Lead',
+        permissions: ['edit_project', 'manage_team', 'start_discussion', 'vote']
+    },
+    'co-investigator': {
+        label: 'Co-Investigator',
+        permissions: ['manage_team', 'start_discussion', 'vote']
+    },
+    'contributor': {
+        label: 'Contributor',
+        permissions: ['start_discussion', 'vote']
+    },
+    'observer': {
+        label: 'Observer',
+        permissions: []
+    }
+};
+
+const COMMENT_MAX_DEPTH = 4;
+
+const DISCUSSION_TYPES = ['brainstorm', 'question', 'decision', 'insight'];
+
+const COMMENT_TYPES = {
+    'analysis': { label: 'Analysis', icon: 'fas fa-chart-line' },
+    'evidence': { label: 'Evidence', icon: 'fas fa-book-medical' },
+    'recommendation': { label: 'Recommendation', icon: 'fas fa-check-circle' },
+    'concern': { label: 'Concern', icon: 'fas fa-exclamation-triangle' },
+    'question': { label: 'Question', icon: 'fas fa-question-circle' }
+};
+
+const NOTIFICATION_DEFAULTS = {
+    projectUpdates: true,
+    discussionReplies: true,
+    collaborationRequests: true,
+    likes: true,
+    mentions: true,
+    weeklyDigest: false
+};
+
+// Each notification type is switched on or off by one of the settings above
+const NOTIFICATION_TYPES = {
+    'project_discussion': { setting: 'projectUpdates', icon: 'fas fa-comments' },
+    'project_comment': { setting: 'projectUpdates', icon: 'fas fa-comment-medical' },
+    'decision_recorded': { setting: 'projectUpdates', icon: 'fas fa-gavel' },
+    'discussion_reply': { setting: 'discussionReplies', icon: 'fas fa-reply' },
+    'answer_accepted': { setting: 'discussionReplies', icon: 'fas fa-check-circle' },
+    'join_request': { setting: 'collaborationRequests', icon: 'fas fa-door-open' },
+    'join_decision': { setting: 'collaborationRequests', icon: 'fas fa-user-check' },
+    'invitation': { setting: 'collaborationRequests', icon: 'fas fa-envelope' },
+    'invitation_response': { setting: 'collaborationRequests', icon: 'fas fa-envelope-open-text' },
+    'review_request': { setting: 'collaborationRequests', icon: 'fas fa-user-md' },
+    'review_update': { setting: 'collaborationRequests', icon: 'fas fa-clipboard-check' },
+    'like': { setting: 'likes', icon: 'fas fa-heart' },
+    'mention': { setting: 'mentions', icon: 'fas fa-at' },
+    'weekly_digest': { setting: 'weeklyDigest', icon: 'fas fa-newspaper' }
+};
+
+// GRADE certainty of evidence, strongest first
+const EVIDENCE_GRADES = {
+    'high': 'High',
+    'moderate': 'Moderate',
+    'low': 'Low',
+    'very-low': 'Very Low'
+};
+
+const REVIEW_STATUSES = {
+    'requested': { label: 'Requested', badge: 'badge-warning' },
+    'accepted': { label: 'In Review', badge: 'badge-primary' },
+    'declined': { label: 'Declined', badge: 'badge-error' },
+    'submitted': { label: 'Submitted', badge: 'badge-success' }
+};
+
+const REVIEW_RECOMMENDATIONS = {
+    'endorse': { label: 'Endorse', badge: 'badge-success' },
+    'minor-revisions': { label: 'Minor Revisions', badge: 'badge-primary' },
+    'major-revisions': { label: 'Major Revisions', badge: 'badge-warning' },
+    'not-supported': { label: 'Not Supported', badge: 'badge-error' }
+};
+
+const ATTACHMENT_MAX_SIZE = 5 * 1024 * 1024;
+const ATTACHMENT_MAX_COUNT = 5;
+const ATTACHMENT_CSV_PREVIEW_ROWS = 50;
+
+// A file is accepted when its extension matches and its MIME type, if the
+// browser reports one, is among the expected types
+const ATTACHMENT_KINDS = {
+    'image': { label: 'Image', icon: 'fas fa-file-image', extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp'], types: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'] },
+    'pdf': { label: 'PDF', icon: 'fas fa-file-pdf', extensions: ['pdf'], types: ['application/pdf'] },
+    'csv': { label: 'CSV', icon: 'fas fa-file-csv', extensions: ['csv'], types: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'] }
+};
+
+// Report sections in the order they are printed
+const REPORT_SECTIONS = {
+    'overview': 'Project Overview',
+    'team': 'Project Team',
+    'decisions': 'Decision Log',
+    'discussions': 'Discussion Threads'
+};
+
+// ============================================
+// Permission Policy
+// Every authorization decision goes through can(user, action, resource).
+// Actors hold a platform role (visitor, member or moderator), are the owner
+// of a resource they created, and gain the PROJECT_ROLES permissions of
+// their team role on the resource's project.
+// ============================================
+
+function getPolicyContext(user, resource = {}) {
+    const roles = new Set();
+    
+    if (!user || user.type === 'visitor') {
+        roles.add('visitor');
+        return { user, roles, projectRole: null };
+    }
+    
+    roles.add('member');
+    if (user.role === 'moderator') {
+        roles.add('moderator');
+    }
+    
+    // Ownership is judged on the most specific resource given
+    const target = resource.comment || resource.discussion || resource.project;
+    if (target && (target.authorId || target.ownerId) === user.id) {
+        roles.add('owner');
+    }
+    
+    const { project } = resource;
+    let projectRole = null;
+    if (project) {
+        const member = (project.teamMembers || []).find(m => m.id === user.id);
+        projectRole = project.ownerId === user.id ? 'lead' : member ? (member.role || 'contributor') : null;
+    }
+    
+    return { user, roles, projectRole };
+}
+
+function projectRoleAllows(context, permission) {
+    return Boolean(PROJECT_ROLES[context.projectRole]?.permissions.includes(permission));
+}
+
+const POLICY_RULES = {
+    'project.create': ({ roles }) => roles.has('member'),
+    'project.edit': (context) => context.roles.has('moderator') || projectRoleAllows(context, 'edit_project'),
+    'project.join': ({ roles, projectRole }) => roles.has('member') && !projectRole,
+    'project.leave': ({ roles, projectRole }) => Boolean(projectRole) && !roles.has('owner'),
+    'team.manage': (context) => context.roles.has('moderator') || projectRoleAllows(context, 'manage_team'),
+    // Only leads may change or remove other leads
+    'team.manage_member': (context, { member }) => POLICY_RULES['team.manage'](context) &&
+        (member?.role !== 'lead' || POLICY_RULES['team.assign_lead'](context)),
+    'team.assign_lead': ({ roles, projectRole }) => roles.has('moderator') || projectRole === 'lead',
+    'discussion.create': (context) => projectRoleAllows(context, 'start_discussion'),
+    'discussion.moderate': ({ roles, projectRole }) => roles.has('owner') || roles.has('moderator') || projectRole === 'lead',
+    'discussion.restore': ({ roles, projectRole }) => roles.has('moderator') || projectRole === 'lead',
+    'discussion.like': ({ roles }) => roles.has('member'),
+    'discussion.accept_answer': ({ roles, projectRole }) => roles.has('owner') || roles.has('moderator') || projectRole === 'lead',
+    'decision.vote': (context) => projectRoleAllows(context, 'vote'),
+    'decision.record': (context, resource) => POLICY_RULES['discussion.moderate'](context, resource),
+    'comment.create': ({ roles }) => roles.has('member'),
+    'comment.like': ({ roles }) => roles.has('member'),
+    // Team members review their project; discussion authors may also ask about their own thread
+    'review.request': ({ roles, projectRole }) => roles.has('member') && (Boolean(projectRole) || roles.has('owner') || roles.has('moderator')),
+    'review.respond': ({ roles, user }, { review }) => roles.has('member') && review?.reviewerId === user.id,
+    // Submitted reviews are public; open requests stay with the team, requester and reviewer
+    'review.view': ({ roles, user, projectRole }, { review }) => review?.status === 'submitted' || roles.has('moderator') || Boolean(projectRole) ||
+        (roles.has('member') && Boolean(review) && [review.reviewerId, review.requestedBy].includes(user.id)),
+    'invitation.create': (context, { role }) => POLICY_RULES['team.manage'](context) &&
+        (role !== 'lead' || POLICY_RULES['team.assign_lead'](context)),
+    'invitation.revoke': (context, { invitation }) => POLICY_RULES['team.manage'](context) ||
+        (context.roles.has('member') && invitation?.invitedBy === context.user.id),
+    // Link invitations are open to anyone holding the token; the rest are addressed
+    'invitation.respond': ({ roles, user }, { invitation }) => roles.has('member') && Boolean(invitation) &&
+        (invitation.inviteeId ? invitation.inviteeId === user.id : !invitation.email || invitation.email === user.email),
+    'profile.edit': ({ roles, user }, { targetUser }) => roles.has('member') && targetUser?.id === user.id,
+    'user.moderate': ({ roles, user }, { targetUser }) => roles.has('moderator') && Boolean(targetUser) && targetUser.id !== user.id,
+    'user.reassign_legacy': ({ roles, user }, { targetUser }) => roles.has('moderator') && Boolean(targetUser) && targetUser.id !== user.id,
+    'workspace.export': ({ roles }) => roles.has('member'),
+    // Lets someone take on moderation of a workspace that has no moderator yet
+    'workspace.claim_moderation': ({ roles }, { hasModerator }) => roles.has('member') && !hasModerator,
+    // Importing can overwrite everyone's projects
+    'workspace.import': ({ roles }) => roles.has('moderator')
+};
+
+// Unknown actions are denied
+function can(user, action, resource = {}) {
+    const rule = POLICY_RULES[action];
+    return Boolean(rule && rule(getPolicyContext(user, resource), resource));
+}
+
+class ThoraxLabPro {
+    constructor() {
+        // Storage backend and search
+        this.store = new ThoraxStore(ThoraxStore.createAdapter());
+        this.searchIndex = new SearchIndex();
+        
+        // User data (loaded once storage is ready)
+        this.user = null;
+        this.isVisitor = false;
+        
+        // Application state
+        this.currentProject = null;
+        this.currentDigest = null;
+        this.currentDiscussion = null;
+        this.selectedTags = new Set();
+        this.activityFilter = 'all';
+        this.collapsedComments = new Set();
+        this.commentFilter = { type: 'all', grade: 'all', sort: 'thread' };
+        this.projectSort = 'recent';
+        this.unansweredOnly = { discussions: false, projects: false };
+        this.mentionState = null;
+        this.projectTab = 'discussions';
+        this.attachmentUrls = new Map();
+        this.pendingImport = null;
+        this.searchKind = 'all';
+        this.authMode = 'signin';
+        this.legacyUser = null;
+        this.routeParams = new URLSearchParams();
+        
+        // Initialize
+        this.ready = this.initialize().catch(error => {
+            console.error('Error starting Thorax Lab:', error);
+            this.showToast('Thorax Lab did not start correctly. Reload the page to try again.', 'error');
+        });
+    }
+    
+    // ========== INITIALIZATION ==========
+    
+    async initialize() {
+        await this.store.open();
+        
+        this.user = this.loadJSON('thoraxlab_user') || null;
+        this.isVisitor = this.loadJSON('thoraxlab_visitor') || false;
+        
+        // Name-only logins from before accounts existed have no session; the
+        // identity is kept so registering from this browser adopts it
+        if (this.user && !this.isVisitor && !this.hasValidSession()) {
+            this.legacyUser = this.getAccountForUser(this.user.id) ? null : this.user;
+            this.user = null;
+        } else if (this.user && !this.isVisitor) {
+            this.user.role = this.getUserDirectory()[this.user.id]?.role || this.user.role;
+        }
+        
+        this.initializeDemoData();
+        this.runSchemaMigrations();
+        this.quarantineMalformedRecords();
+        this.searchIndex.sync(this.getProjects());
+        this.setupEventListeners();
+        this.setupRouter();
+        this.checkAuth();
+        this.setupQuickActions();
+        this.setupNotificationCenter();
+        this.checkWeeklyDigest();
+        this.renderNotifications();
+        
+        if (this.store.warning) {
+            this.showToast(this.store.warning, 'warning');
+        }
+    }
+    
+    // ========== JSON DATA MANAGEMENT ==========
+    
+    loadJSON(key) {
+        try {
+            return this.store.load(key);
+        } catch (error) {
+            console.error(`Error loading ${key}:`, error);
+            return null;
+        }
+    }
+    
+    saveJSON(key, data) {
+        try {
+            this.store.save(key, data);
+            
+            // Keep the search index in step with every projects write
+            if (key === 'thoraxlab_projects') {
+                this.searchIndex.sync(data);
+            }
+        } catch (error) {
+            console.error(`Error saving ${key}:`, error);
+        }
+    }
+    
+    removeJSON(key) {
+        try {
+            this.store.remove(key);
+        } catch (error) {
+            console.error(`Error removing ${key}:`, error);
+        }
+    }
+    
+    // ========== SCHEMA & MIGRATIONS ==========
+    
+    getSchemaVersion() {
+        return this.loadJSON('thoraxlab_schema')?.version || 0;
+    }
+    
+    runSchemaMigrations() {
+        const currentVersion = this.getSchemaVersion();
+        const pending = SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > currentVersion)
+            .sort((a, b) => a.version - b.version);
+        
+        if (!pending.length) return;
+        
+        const docs = {};
+        SCHEMA_DOCUMENTS.forEach(key => {
+            docs[key] = this.loadJSON(key);
+        });
+        
+        let version = currentVersion;
+        let migrated = docs;
+        
+        for (const migration of pending) {
+            // Work on a copy so a failing migration leaves the last good state intact
+            const working = JSON.parse(JSON.stringify(migrated));
+            try {
+                migration.up(working);
+            } catch (error) {
+                console.error(`Schema migration ${migration.version} failed:`, error);
+                break;
+            }
+            migrated = working;
+            version = migration.version;
+        }
+        
+        if (version === currentVersion) return;
+        
+        SCHEMA_DOCUMENTS.forEach(key => {
+            if (migrated[key] !== null && migrated[key] !== undefined) {
+                this.saveJSON(key, migrated[key]);
+            }
+        });
+        
+        const schema = this.loadJSON('thoraxlab_schema') || { history: [] };
+        schema.history.push({ from: currentVersion, to: version, migratedAt: new Date().toISOString() });
+        schema.version = version;
+        this.saveJSON('thoraxlab_schema', schema);
+    }
+    
+    // Moves records that fail validation into thoraxlab_quarantine so the
+    // renderers only ever see well-formed data
+    quarantineMalformedRecords() {
+        const quarantined = [];
+        const isValid = (schemaName, record, key, parentId) => {
+            const errors = validateRecord(schemaName, record);
+            if (errors.length) {
+                quarantined.push({
+                    id: `quarantine_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    key,
+                    kind: schemaName,
+                    parentId: parentId || null,
+                    record,
+                    errors,
+                    quarantinedAt: new Date().toISOString()
+                });
+            }
+            return !errors.length;
+        };
+        
+        const projects = this.getProjects();
+        const validProjects = (Array.isArray(projects) ? projects : [])
+            .filter(project => isValid('project', project, 'thoraxlab_projects'))
+            .map(project => ({
+                ...project,
+                teamMembers: project.teamMembers.filter(member => isValid('member', member, 'thoraxlab_projects', project.id)),
+                discussions: project.discussions
+                    .filter(discussion => isValid('discussion', discussion, 'thoraxlab_projects', project.id))
+                    .map(discussion => ({
+                        ...discussion,
+                        commentsList: discussion.commentsList.filter(comment => isValid('comment', comment, 'thoraxlab_projects', discussion.id))
+                    }))
+            }));
+        
+        const activities = this.getActivities();
+        const validActivities = (Array.isArray(activities) ? activities : [])
+            .filter(activity => isValid('activity', activity, 'thoraxlab_activity'));
+        
+        if (!quarantined.length) return;
+        
+        this.saveJSON('thoraxlab_projects', validProjects);
+        this.saveJSON('thoraxlab_activity', validActivities);
+        
+        const quarantine = this.loadJSON('thoraxlab_quarantine') || [];
+        this.saveJSON('thoraxlab_quarantine', quarantine.concat(quarantined));
+        
+        console.warn(`Quarantined ${quarantined.length} malformed record(s)`, quarantined);
+    }
+    
+    // ========== DEMO DATA ==========
+    
+    initializeDemoData() {
+        // Initialize projects if not exists
+        if (!this.loadJSON('thoraxlab_projects')) {
+            const demoProjects = [
+                {
+                    id: 'proj_1',
+                    title: 'AI-Powered COPD Exacerbation Prediction',
+                    description: 'Developing machine learning models to predict COPD exacerbations 48 hours in advance using patient vitals, spirometry data, and environmental factors. This innovation aims to reduce hospital readmissions by enabling early intervention.',
+                    tags: ['AI', 'COPD', 'prediction', 'machine learning', 'pulmonary'],
+                    ownerId: 'demo_user_1',
+                    ownerName: 'Dr. Sarah Chen',
+                    ownerType: 'clinical',
+                    ownerPosition: 'Principal Investigator',
+                    institution: 'Cambridge University Hospitals',
+                    teamMembers: [
+                        { id: 'member_1', name: 'Dr. Michael Johnson', type: 'clinical', position: 'Co-Investigator' },
+                        { id: 'member_2', name: 'Dr. Lisa Wang', type: 'academic', position: 'Data Scientist' }
+                    ],
+                    createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+                    updatedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
+                    discussions: [
+                        {
+                            id: 'disc_1',
+                            title: 'Which clinical features are most predictive?',
+                            content: 'We need to decide on the most important clinical features for our prediction model. Should we prioritize spirometry data, patient-reported symptoms, or environmental factors? Clinical relevance and statistical significance both need consideration.',
+                            type: 'brainstorm',
+                            tags: ['clinical features', 'spirometry', 'patient-reported outcomes'],
+                            authorId: 'demo_user_1',
+                            authorName: 'Dr. Sarah Chen',
+                            authorType: 'clinical',
+                            createdAt: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString(),
+                            likes: 24,
+                            comments: 12,
+                            views: 156,
+                            commentsList: [
+                                {
+                                    id: 'comment_1',
+                                    content: 'Based on our preliminary analysis, spirometry data shows the highest correlation with exacerbation events. The FEV1/FVC ratio appears particularly significant.',
+                                    type: 'analysis',
+                                    authorName: 'Dr. Michael Johnson',
+                                    authorType: 'clinical',
+                                    createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+                                    likes: 8
+                                }
+                            ]
+                        }
+                    ]
+                },
+                {
+                    id: 'proj_2',
+                    title: 'Genomic Biomarkers for Immunotherapy Response in NSCLC',
+                    description: 'Identifying genomic signatures that predict response to immune checkpoint inhibitors in non-small cell lung cancer. Multi-center collaboration with genomic sequencing data from 500+ patients across 12 institutions.',
+                    tags: ['genomics', 'oncology', 'immunotherapy', 'biomarkers', 'NSCLC'],
+                    ownerId: 'demo_user_2',
+                    ownerName: 'Prof. Robert Kim',
+                    ownerType: 'academic',
+                    ownerPosition: 'Principal Investigator',
+                    institution: 'Oxford University',
+                    teamMembers: [
+                        { id: 'member_3', name: 'Dr. Emma Davis', type: 'industry', position: 'Genomics Specialist' }
+                    ],
+                    createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+                    updatedAt: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
+                    discussions: [
+                        {
+                            id: 'disc_2',
+                            title: 'Tumor Mutational Burden vs PD-L1 Expression',
+                            content: 'We need to determine which biomarker shows stronger predictive value for immunotherapy response in our cohort. Both TMB and PD-L1 have shown promise, but their relative importance needs clarification.',
+                            type: 'question',
+                            tags: ['biomarkers', 'immunotherapy', 'predictive analytics'],
+                            authorId: 'demo_user_2',
+                            authorName: 'Prof. Robert Kim',
+                            authorType: 'academic',
+                            createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
+                            likes: 18,
+                            comments: 9,
+                            views: 89,
+                            commentsList: []
+                        }
+                    ]
+                }
+            ];
+            
+            this.saveJSON('thoraxlab_projects', demoProjects);
+        }
+        
+        // Initialize activity if not exists
+        if (!this.loadJSON('thoraxlab_activity')) {
+            const demoActivity = [
+                {
+                    id: 'act_1',
+                    type: 'project_created',
+                    title: 'New Project Created',
+                    description: 'Dr. Sarah Chen initiated "AI-Powered COPD Exacerbation Prediction"',
+                    timestamp: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+                    userId: 'demo_user_1',
+                    projectId: 'proj_1'
+                },
+                {
+                    id: 'act_2',
+                    type: 'discussion_started',
+                    title: 'Discussion Started',
+                    description: 'Dr. Sarah Chen asked "Which clinical features are most predictive?"',
+                    timestamp: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString(),
+                    userId: 'demo_user_1',
+                    discussionId: 'disc_1'
+                },
+                {
+                    id: 'act_3',
+                    type: 'comment_added',
+                    title: 'Expert Insight Added',
+                    description: 'Dr. Michael Johnson contributed to the COPD prediction discussion',
+                    timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
+                    userId: 'demo_user_1',
+                    discussionId: 'disc_1'
+                }
+            ];
+            
+            this.saveJSON('thoraxlab_activity', demoActivity);
+        }
+        
+        // Initialize tags if not exists
+        if (!this.loadJSON('thoraxlab_tags')) {
+            const demoTags = {
+                'AI': { count: 15, frequency: 'high' },
+                'COPD': { count: 8, frequency: 'medium' },
+                'machine learning': { count: 12, frequency: 'high' },
+                'genomics': { count: 10, frequency: 'high' },
+                'oncology': { count: 9, frequency: 'medium' },
+                'immunotherapy': { count: 7, frequency: 'medium' },
+                'digital health': { count: 6, frequency: 'medium' },
+                'biomarkers': { count: 8, frequency: 'medium' },
+                'pulmonary': { count: 6, frequency: 'low' }
+            };
+            
+            this.saveJSON('thoraxlab_tags', demoTags);
+        }
+        
+        // Initialize likes if not exists
+        if (!this.loadJSON('thoraxlab_likes')) {
+            this.saveJSON('thoraxlab_likes', {});
+        }
+    }
+    
+    // ========== AUTHENTICATION ==========
+    
+    checkAuth() {
+        if (this.user) {
+            this.showApp();
+            this.updateUserDisplay();
+            this.loadDashboard();
+        } else {
+            this.showAuth();
+        }
+    }
+    
+    showAuth() {
+        document.getElementById('authScreen')?.classList.remove('hidden');
+        document.getElementById('mainApp')?.classList.add('hidden');
+        
+        if (this.legacyUser) {
+            document.getElementById('professionalName').value = this.legacyUser.name;
+            document.getElementById('professionalType').value = this.legacyUser.type;
+            document.getElementById('professionalInstitution').value = 
+                this.legacyUser.institution === 'Not specified' ? '' : this.legacyUser.institution;
+        }
+        this.setAuthMode(this.legacyUser || !Object.keys(this.getAccounts()).length ? 'register' : 'signin');
+    }
+    
+    showApp() {
+        document.getElementById('authScreen')?.classList.add('hidden');
+        document.getElementById('mainApp')?.classList.remove('hidden');
+    }
+    
+    setAuthMode(mode) {
+        const registering = mode === 'register';
+        this.authMode = mode;
+        
+        document.querySelectorAll('.auth-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        document.getElementById('registerFields')?.classList.toggle('hidden', !registering);
+        document.getElementById('confirmPasswordGroup')?.classList.toggle('hidden', !registering);
+        
+        const label = document.getElementById('professionalSubmitLabel');
+        if (label) label.textContent = registering ? 'Create Account' : 'Sign In';
+        
+        const password = document.getElementById('professionalPassword');
+        if (password) password.autocomplete = registering ? 'new-password' : 'current-password';
+    }
+    
+    loginAsProfessional(e) {
+        if (e) e.preventDefault();
+        return this.authMode === 'register' ? this.registerAccount() : this.signIn();
+    }
+    
+    async registerAccount() {
+        const name = document.getElementById('professionalName').value.trim();
+        const type = document.getElementById('professionalType').value;
+        const institution = document.getElementById('professionalInstitution').value.trim();
+        const email = this.normalizeEmail(document.getElementById('professionalEmail').value);
+        const password = document.getElementById('professionalPassword').value;
+        const confirmation = document.getElementById('professionalPasswordConfirm').value;
+        
+        if (!name || !type) {
+            this.showToast('Name and professional type are required', 'error');
+            return;
+        }
+        
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.showToast('Enter a valid email address', 'error');
+            return;
+        }
+        
+        if (password.length < PASSWORD_MIN_LENGTH) {
+            this.showToast(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`, 'error');
+            return;
+        }
+        
+        if (password !== confirmation) {
+            this.showToast('Passwords do not match', 'error');
+            return;
+        }
+        
+        if (this.getAccounts()[email]) {
+            this.showToast('An account with this email already exists', 'error');
+            return;
+        }
+        
+        const salt = this.generateSalt();
+        const passwordHash = await this.hashPassword(password, salt);
+        const now = new Date().toISOString();
+        
+        // A name-only identity left in this browser becomes the account, so
+        // everything it created stays attached without a claim
+        const legacy = this.legacyUser;
+        const user = {
+            id: legacy?.id || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name,
+            type: type,
+            institution: institution || 'Not specified',
+            email: email,
+            role: 'member',
+            bio: legacy?.bio || '',
+            expertise: legacy?.expertise || [],
+            avatar_initials: name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2),
+            createdAt: legacy?.createdAt || now
+        };
+        
+        const accounts = this.getAccounts();
+        accounts[email] = {
+            userId: user.id,
+            email: email,
+            salt: salt,
+            passwordHash: passwordHash,
+            iterations: PASSWORD_HASH_ITERATIONS,
+            createdAt: now,
+            passwordChangedAt: null
+        };
+        this.saveJSON('thoraxlab_accounts', accounts);
+        this.legacyUser = null;
+        
+        if (legacy && legacy.name !== user.name) {
+            this.user = user;
+            this.propagateProfileChanges();
+        }
+        
+        this.startSession(user, `Welcome to Thorax Lab Pro, ${name.split(' ')[0]}!`);
+    }
+    
+    async signIn() {
+        const email = this.normalizeEmail(document.getElementById('professionalEmail').value);
+        const password = document.getElementById('professionalPassword').value;
+        const account = this.getAccounts()[email];
+        
+        if (!account || !(await this.verifyPassword(account, password))) {
+            this.showToast('Incorrect email or password', 'error');
+            return;
+        }
+        
+        const profile = this.getUserDirectory()[account.userId];
+        if (!profile) {
+            this.showToast('This account has no profile. Please register again.', 'error');
+            return;
+        }
+        
+        // The name-only identity this browser was using may be claimed by
+        // the account that signs in here, and by no one else
+        const legacy = this.legacyUser;
+        if (legacy && legacy.id !== account.userId) {
+            const claims = this.loadJSON('thoraxlab_legacy_claims') || {};
+            claims[account.userId] = { id: legacy.id, name: legacy.name };
+            this.saveJSON('thoraxlab_legacy_claims', claims);
+        }
+        
+        this.legacyUser = null;
+        this.startSession({ ...profile, email: email }, `Welcome back, ${profile.name.split(' ')[0]}!`);
+        
+        if (this.findLegacyIdentities().length) {
+            this.showToast('This browser holds contributions from before accounts existed. Claim them from your profile.', 'info');
+        }
+    }
+    
+    startSession(user, message) {
+        const now = Date.now();
+        
+        this.user = user;
+        this.isVisitor = false;
+        
+        this.saveJSON('thoraxlab_session', {
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_DURATION_MS).toISOString()
+        });
+        this.saveJSON('thoraxlab_user', this.user);
+        this.saveJSON('thoraxlab_visitor', false);
+        this.registerUser();
+        
+        document.getElementById('professionalForm')?.reset();
+        
+        this.showApp();
+        this.updateUserDisplay();
+        this.checkWeeklyDigest();
+        this.renderNotifications();
+        this.showToast(message, 'success');
+        this.loadDashboard();
+        
+        // Signing in from an invite link returns to the invitation
+        if (window.location.hash.startsWith('#invite/')) {
+            this.handleRoute();
+        }
+    }
+    
+    loginAsVisitor(e) {
+        if (e) e.preventDefault();
+        
+        const name = document.getElementById('visitorName').value.trim();
+        
+        this.user = {
+            id: `visitor_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: name || 'Guest Researcher',
+            type: 'visitor',
+            institution: 'Viewing Only',
+            avatar_initials: 'G',
+            createdAt: new Date().toISOString()
+        };
+        
+        this.isVisitor = true;
+        
+        this.saveJSON('thoraxlab_user', this.user);
+        this.saveJSON('thoraxlab_visitor', true);
+        
+        this.showApp();
+        this.updateUserDisplay();
+        this.showToast('You are browsing as a guest researcher', 'info');
+        this.loadDashboard();
+    }
+    
+    logout() {
+        this.user = null;
+        this.isVisitor = false;
+        this.removeJSON('thoraxlab_user');
+        this.removeJSON('thoraxlab_visitor');
+        this.removeJSON('thoraxlab_session');
+        this.renderNotifications();
+        this.showAuth();
+    }
+    
+    updateUserDisplay() {
+        if (!this.user) return;
+        
+        const avatar = document.getElementById('userAvatar');
+        const name = document.getElementById('userName');
+        const role = document.getElementById('userRole');
+        const visitorBadge = document.getElementById('visitorBadge');
+        const newProjectBtn = document.getElementById('newProjectBtn');
+        const createMyProjectBtn = document.getElementById('createMyProjectBtn');
+        const welcome = document.getElementById('welcomeMessage');
+        
+        if (avatar) {
+            avatar.textContent = this.user.avatar_initials || '??';
+            if (this.isVisitor) {
+                avatar.style.background = 'linear-gradient(135deg, #64748B, #475569)';
+            }
+        }
+        
+        if (name) name.textContent = this.user.name;
+        
+        if (role) {
+            role.textContent = USER_TYPE_LABELS[this.user.type] || 'Research Professional';
+        }
+        
+        if (visitorBadge) {
+            visitorBadge.classList.toggle('hidden', !this.isVisitor);
+        }
+        
+        if (newProjectBtn) {
+            newProjectBtn.classList.toggle('hidden', !this.can('project.create'));
+        }
+        
+        if (createMyProjectBtn) {
+            createMyProjectBtn.classList.toggle('hidden', !this.can('project.create'));
+        }
+        
+        if (welcome && !this.isVisitor) {
+            const firstName = this.user.name.split(' ')[0];
+            const time = new Date().getHours();
+            let greeting = 'Good ';
+            
+            if (time < 12) greeting += 'morning';
+            else if (time < 18) greeting += 'afternoon';
+            else greeting += 'evening';
+            
+            welcome.textContent = `${greeting}, ${firstName}`;
+        }
+    }
+    
+    // ========== ACCOUNTS ==========
+    
+    getAccounts() {
+        return this.loadJSON('thoraxlab_accounts') || {};
+    }
+    
+    getAccountForUser(userId) {
+        return Object.values(this.getAccounts()).find(account => account.userId === userId) || null;
+    }
+    
+    normalizeEmail(email) {
+        return email.trim().toLowerCase();
+    }
+    
+    generateSalt() {
+        return this.generateToken(16);
+    }
+    
+    generateToken(byteLength = 24) {
+        return [...crypto.getRandomValues(new Uint8Array(byteLength))]
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    async hashPassword(password, salt, iterations = PASSWORD_HASH_ITERATIONS) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: encoder.encode(salt), iterations: iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+        
+        return [...new Uint8Array(bits)]
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    async verifyPassword(account, password) {
+        const hash = await this.hashPassword(password, account.salt, account.iterations);
+        return hash === account.passwordHash;
+    }
+    
+    hasValidSession() {
+        const session = this.loadJSON('thoraxlab_session');
+        return Boolean(session && session.userId === this.user?.id && new Date(session.expiresAt) > new Date());
+    }
+    
+    expireSession() {
+        this.logout();
+        this.showToast('Your session has expired. Please sign in again.', 'warning');
+    }
+    
+    async changePassword() {
+        const current = document.getElementById('currentPassword').value;
+        const password = document.getElementById('newPassword').value;
+        const confirmation = document.getElementById('newPasswordConfirm').value;
+        const account = this.getAccountForUser(this.user?.id);
+        
+        if (!account) {
+            this.showToast('Only registered accounts have a password', 'warning');
+            return;
+        }
+        
+        if (!(await this.verifyPassword(account, current))) {
+            this.showToast('Current password is incorrect', 'error');
+            return;
+        }
+        
+        if (password.length < PASSWORD_MIN_LENGTH) {
+            this.showToast(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`, 'error');
+            return;
+        }
+        
+        if (password !== confirmation) {
+            this.showToast('Passwords do not match', 'error');
+            return;
+        }
+        
+        const salt = this.generateSalt();
+        const passwordHash = await this.hashPassword(password, salt);
+        const accounts = this.getAccounts();
+        
+        accounts[account.email] = {
+            ...accounts[account.email],
+            salt: salt,
+            passwordHash: passwordHash,
+            iterations: PASSWORD_HASH_ITERATIONS,
+            passwordChangedAt: new Date().toISOString()
+        };
+        this.saveJSON('thoraxlab_accounts', accounts);
+        
+        document.getElementById('passwordForm').reset();
+        this.showToast('Password updated', 'success');
+    }
+    
+    // Only the name-only identity this browser was signed in with before the
+    // account signed in here can be claimed; matching by name would let
+    // anyone take over contributions by renaming themselves
+    getLegacyClaim() {
+        if (!this.user || this.isVisitor) return null;
+        return (this.loadJSON('thoraxlab_legacy_claims') || {})[this.user.id] || null;
+    }
+    
+    findLegacyIdentities() {
+        const claim = this.getLegacyClaim();
+        if (!claim) return [];
+        
+        const accountIds = new Set(Object.values(this.getAccounts()).map(account => account.userId));
+        if (claim.id === this.user.id || accountIds.has(claim.id)) return [];
+        
+        const identity = { id: claim.id, name: claim.name, projects: 0, discussions: 0, comments: 0 };
+        this.getProjects().forEach(project => {
+            if (project.ownerId === claim.id || (project.teamMembers || []).some(member => member.id === claim.id)) identity.projects++;
+            (project.discussions || []).forEach(discussion => {
+                if (discussion.authorId === claim.id) identity.discussions++;
+                identity.comments += (discussion.commentsList || []).filter(comment => comment.authorId === claim.id).length;
+            });
+        });
+        
+        return identity.projects + identity.discussions + identity.comments ? [identity] : [];
+    }
+    
+    renderLegacyClaims() {
+        const card = document.getElementById('legacyClaimCard');
+        const list = document.getElementById('legacyClaimList');
+        if (!card || !list) return;
+        
+        const identities = this.findLegacyIdentities();
+        card.classList.toggle('hidden', !identities.length);
+        
+        list.innerHTML = identities.map(identity => {
+            const parts = [
+                identity.projects && `${identity.projects} project${identity.projects === 1 ? '' : 's'}`,
+                identity.discussions && `${identity.discussions} discussion${identity.discussions === 1 ? '' : 's'}`,
+                identity.comments && `${identity.comments} comment${identity.comments === 1 ? '' : 's'}`
+            ].filter(Boolean);
+            
+            return `
+                <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                    <div class="flex-1">
+                        <div class="author-name">${this.escapeHtml(identity.name)}</div>
+                        <div class="text-muted">${parts.join(', ')}</div>
+                    </div>
+                    <button class="btn btn-outline btn-sm" data-legacy-id="${this.escapeAttribute(identity.id)}" onclick="app.claimLegacyIdentity(this.dataset.legacyId)">Claim</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    claimLegacyIdentity(legacyId) {
+        const identity = this.findLegacyIdentities().find(i => i.id === legacyId);
+        if (!identity) {
+            this.showToast('Nothing left to claim', 'info');
+            return;
+        }
+        
+        this.transferLegacyIdentity(legacyId, this.user);
+        
+        const total = identity.projects + identity.discussions + identity.comments;
+        this.showToast(`Claimed ${total} contribution${total === 1 ? '' : 's'}`, 'success');
+        this.renderLegacyClaims();
+    }
+    
+    // Name-only identities this browser never signed in with can only be
+    // claimed from another browser, so moderators hand them to the account
+    // of the person who made them instead
+    reassignLegacyIdentity(legacyId) {
+        const legacy = this.getResearcher(legacyId);
+        const target = this.getUserDirectory()[document.getElementById('legacyReassignTarget')?.value];
+        
+        if (!legacy || !this.authorize('user.reassign_legacy', { targetUser: legacy }, 'Only moderators can reassign contributions')) return;
+        
+        if (this.getAccountForUser(legacyId)) {
+            this.showToast(`${legacy.name} already has an account`, 'info');
+            return;
+        }
+        
+        if (!target || !this.getAccountForUser(target.id)) {
+            this.showToast('Choose the account to move these contributions to', 'error');
+            return;
+        }
+        
+        if (!confirm(`Move everything ${legacy.name} contributed to ${target.name}'s account? This cannot be undone.`)) return;
+        
+        this.transferLegacyIdentity(legacyId, target);
+        
+        this.showToast(`${legacy.name}'s contributions now belong to ${target.name}`, 'success');
+        this.navigateTo(`profile/${target.id}`);
+    }
+    
+    transferLegacyIdentity(legacyId, user) {
+        USER_REFERENCE_DOCUMENTS.forEach(key => {
+            const doc = this.loadJSON(key);
+            if (doc) {
+                this.saveJSON(key, this.replaceUserReferences(doc, legacyId, user.id));
+            }
+        });
+        
+        const directory = this.getUserDirectory();
+        delete directory[legacyId];
+        this.saveJSON('thoraxlab_users', directory);
+        
+        const claims = this.loadJSON('thoraxlab_legacy_claims') || {};
+        Object.keys(claims).forEach(userId => {
+            if (userId === user.id || claims[userId].id === legacyId) delete claims[userId];
+        });
+        this.saveJSON('thoraxlab_legacy_claims', claims);
+        
+        const projects = this.getProjects();
+        projects.forEach(project => {
+            // Claiming can make the user both owner and member, or a member twice
+            const seen = new Set([project.ownerId]);
+            project.teamMembers = (project.teamMembers || []).filter(member => {
+                if (seen.has(member.id)) return false;
+                seen.add(member.id);
+                return true;
+            });
+        });
+        this.saveJSON('thoraxlab_projects', projects);
+        this.propagateProfileChanges(user);
+    }
+    
+    // Ids are unique random strings, so any value or key equal to the old id
+    // is a reference to that user; colliding keys are merged
+    replaceUserReferences(value, fromId, toId) {
+        if (value === fromId) return toId;
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.replaceUserReferences(item, fromId, toId));
+        }
+        
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                const newKey = key === fromId ? toId : key;
+                const replaced = this.replaceUserReferences(item, fromId, toId);
+                
+                if (Array.isArray(result[newKey]) && Array.isArray(replaced)) {
+                    result[newKey] = [...new Set([...result[newKey], ...replaced])];
+                } else if (result[newKey] && typeof result[newKey] === 'object' && typeof replaced === 'object') {
+                    result[newKey] = { ...replaced, ...result[newKey] };
+                } else if (!(newKey in result)) {
+                    result[newKey] = replaced;
+                }
+            });
+            return result;
+        }
+        
+        return value;
+    }
+    
+    // ========== PROFILES ==========
+    
+    getUserDirectory() {
+        return this.loadJSON('thoraxlab_users') || {};
+    }
+    
+    // Keeps a public copy of each professional's profile so other sessions
+    // can render it on #profile/<userId>
+    registerUser(user = this.user) {
+        if (!user || this.isVisitor) return;
+        
+        const directory = this.getUserDirectory();
+        directory[user.id] = {
+            id: user.id,
+            name: user.name,
+            type: user.type,
+            institution: user.institution,
+            bio: user.bio || '',
+            expertise: user.expertise || [],
+            // Roles are granted by moderators, so the directory copy wins
+            role: directory[user.id]?.role || user.role || 'member',
+            avatar_initials: user.avatar_initials,
+            createdAt: user.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        this.saveJSON('thoraxlab_users', directory);
+    }
+    
+    // Falls back to the names stored on authored content for researchers
+    // that were never registered in the directory (e.g. demo data)
+    getResearcher(userId) {
+        const known = this.getUserDirectory()[userId];
+        if (known) return known;
+        
+        for (const project of this.getProjects()) {
+            if (project.ownerId === userId) {
+                return { id: userId, name: project.ownerName, type: project.ownerType, institution: project.institution, bio: '', expertise: [] };
+            }
+            const member = (project.teamMembers || []).find(m => m.id === userId);
+            if (member) {
+                return { id: userId, name: member.name, type: member.type, institution: member.institution || '', bio: '', expertise: [] };
+            }
+            for (const discussion of project.discussions || []) {
+                const authored = discussion.authorId === userId ? discussion :
+                    (discussion.commentsList || []).find(c => c.authorId === userId);
+                if (authored) {
+                    return { id: userId, name: authored.authorName, type: authored.authorType, institution: authored.authorInstitution || '', bio: '', expertise: [] };
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    renderAuthorLink(userId, name) {
+        if (!userId) return this.escapeHtml(name);
+        return `<a href="#profile/${this.escapeAttribute(userId)}" class="author-link" onclick="event.stopPropagation()">${this.escapeHtml(name)}</a>`;
+    }
+    
+    loadProfileSettings() {
+        if (!this.user) return;
+        
+        document.getElementById('profileAvatar').textContent = this.user.avatar_initials || '??';
+        document.getElementById('profileName').textContent = this.user.name;
+        document.getElementById('profileRole').textContent = 
+            `${USER_TYPE_LABELS[this.user.type] || 'Research Professional'} • ${this.user.institution}`;
+        document.getElementById('profileNameInput').value = this.user.name;
+        document.getElementById('profileInstitution').value = this.user.institution === 'Not specified' ? '' : this.user.institution;
+        document.getElementById('profileBio').value = this.user.bio || '';
+        document.getElementById('profileExpertise').value = (this.user.expertise || []).join(', ');
+        
+        const publicLink = document.getElementById('profilePublicLink');
+        if (publicLink) {
+            publicLink.href = `#profile/${this.user.id}`;
+            publicLink.classList.toggle('hidden', this.isVisitor);
+        }
+        
+        const canEdit = this.can('profile.edit', { targetUser: this.user });
+        document.querySelectorAll('#profileForm input, #profileForm textarea, #profileForm button').forEach(field => {
+            field.disabled = !canEdit;
+        });
+        
+        document.getElementById('passwordCard')?.classList.toggle('hidden', !this.getAccountForUser(this.user.id));
+        document.getElementById('moderationClaimCard')?.classList.toggle('hidden', !this.can('workspace.claim_moderation', { hasModerator: this.hasWorkspaceModerator() }));
+        document.getElementById('workspaceDataCard')?.classList.toggle('hidden', !this.can('workspace.export'));
+        document.getElementById('importWorkspaceBtn')?.classList.toggle('hidden', !this.can('workspace.import'));
+        this.renderLegacyClaims();
+    }
+    
+    saveProfile() {
+        if (!this.authorize('profile.edit', { targetUser: this.user }, 'Guests cannot edit a profile')) return;
+        
+        const name = document.getElementById('profileNameInput').value.trim();
+        const institution = document.getElementById('profileInstitution').value.trim();
+        const bio = document.getElementById('profileBio').value.trim();
+        const expertiseInput = document.getElementById('profileExpertise').value.trim();
+        
+        if (!name) {
+            this.showToast('Name is required', 'error');
+            return;
+        }
+        
+        if (bio.length > 1000) {
+            this.showToast('Bio must be 1000 characters or less', 'error');
+            return;
+        }
+        
+        const previous = this.user;
+        this.user = {
+            ...previous,
+            name: name,
+            institution: institution || 'Not specified',
+            bio: bio,
+            expertise: expertiseInput ? 
+                [...new Set(expertiseInput.split(',').map(t => t.trim()).filter(t => t))] : [],
+            avatar_initials: name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2),
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.saveJSON('thoraxlab_user', this.user);
+        this.registerUser();
+        
+        if (previous.name !== this.user.name || previous.institution !== this.user.institution) {
+            this.propagateProfileChanges();
+        }
+        
+        this.updateUserDisplay();
+        this.loadProfileSettings();
+        this.showToast('Profile updated', 'success');
+    }
+    
+    // Names are copied onto authored records, so a rename has to be
+    // written back to everything the user owns or wrote
+    propagateProfileChanges(user = this.user) {
+        const projects = this.getProjects();
+        const { id, name, institution } = user;
+        
+        projects.forEach(project => {
+            if (project.ownerId === id) {
+                project.ownerName = name;
+            }
+            (project.teamMembers || []).forEach(member => {
+                if (member.id === id) {
+                    member.name = name;
+                    member.institution = institution;
+                }
+            });
+            (project.discussions || []).forEach(discussion => {
+                if (discussion.authorId === id) {
+                    discussion.authorName = name;
+                }
+                (discussion.commentsList || []).forEach(comment => {
+                    if (comment.authorId === id) {
+                        comment.authorName = name;
+                        comment.authorInstitution = institution;
+                    }
+                });
+            });
+        });
+        
+        this.saveJSON('thoraxlab_projects', projects);
+    }
+    
+    setModerator(userId, grant) {
+        const directory = this.getUserDirectory();
+        const researcher = directory[userId];
+        
+        if (!researcher || !this.authorize('user.moderate', { targetUser: researcher }, 'Only moderators can change moderator roles')) return;
+        
+        researcher.role = grant ? 'moderator' : 'member';
+        researcher.updatedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_users', directory);
+        
+        this.showToast(grant ? `${researcher.name} is now a moderator` : `${researcher.name} is no longer a moderator`, 'success');
+        this.loadResearcherProfile(userId);
+    }
+    
+    hasWorkspaceModerator() {
+        return Object.values(this.getUserDirectory()).some(researcher => researcher.role === 'moderator');
+    }
+    
+    claimWorkspaceModeration() {
+        if (!this.authorize('workspace.claim_moderation', { hasModerator: this.hasWorkspaceModerator() }, 'This workspace already has a moderator')) return;
+        if (!confirm('Become the moderator of this workspace? Moderators can edit any project, manage teams, change roles and import workspace data.')) return;
+        
+        const directory = this.getUserDirectory();
+        this.user.role = 'moderator';
+        directory[this.user.id] = { ...directory[this.user.id], role: 'moderator', updatedAt: new Date().toISOString() };
+        this.saveJSON('thoraxlab_users', directory);
+        this.saveJSON('thoraxlab_user', this.user);
+        
+        this.showToast('You are now the moderator of this workspace', 'success');
+        this.loadProfileSettings();
+    }
+    
+    loadResearcherProfile(userId) {
+        const researcher = this.getResearcher(userId);
+        
+        if (!researcher) {
+            this.showToast('Researcher not found', 'error');
+            this.navigateTo('dashboard');
+            return;
+        }
+        
+        this.renderResearcherProfile(researcher);
+        this.showPage('researcherProfile');
+    }
+    
+    renderResearcherProfile(researcher) {
+        const container = document.getElementById('researcherProfilePage');
+        if (!container) return;
+        
+        const projects = this.getProjects();
+        const ownedProjects = projects.filter(p => p.ownerId === researcher.id);
+        const memberProjects = projects.filter(p => p.ownerId !== researcher.id && (p.teamMembers || []).some(m => m.id === researcher.id));
+        const discussions = [];
+        const comments = [];
+        
+        projects.forEach(project => {
+            (project.discussions || []).forEach(discussion => {
+                if (discussion.authorId === researcher.id) {
+                    discussions.push({ ...discussion, projectId: project.id, projectTitle: project.title });
+                }
+                (discussion.commentsList || []).forEach(comment => {
+                    if (comment.authorId === researcher.id) {
+                        comments.push({ ...comment, discussionId: discussion.id, discussionTitle: discussion.title });
+                    }
+                });
+            });
+        });
+        comments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        // Declared expertise first, then the domains of projects they work on
+        const domainCounts = {};
+        [...ownedProjects, ...memberProjects].forEach(project => {
+            (project.tags || []).forEach(tag => {
+                domainCounts[tag] = (domainCounts[tag] || 0) + 1;
+            });
+        });
+        const activeDomains = Object.keys(domainCounts)
+            .filter(tag => !(researcher.expertise || []).includes(tag))
+            .sort((a, b) => domainCounts[b] - domainCounts[a]);
+        const isSelf = researcher.id === this.user?.id;
+        const reassignTargets = !this.getAccountForUser(researcher.id) && this.can('user.reassign_legacy', { targetUser: researcher }) ?
+            Object.values(this.getUserDirectory())
+                .filter(user => this.getAccountForUser(user.id))
+                .sort((a, b) => a.name.localeCompare(b.name)) :
+            [];
+        
+        container.innerHTML = `
+            <div class="page-header">
+                <div class="flex items-center justify-between">
+                    <div class="flex items-center gap-4">
+                        <div class="user-avatar avatar-lg">${this.escapeHtml(researcher.avatar_initials || researcher.name.substring(0, 2).toUpperCase())}</div>
+                        <div>
+                            <h1 class="page-title">${this.escapeHtml(researcher.name)}</h1>
+                            <p class="page-subtitle">
+                                ${USER_TYPE_LABELS[researcher.type] || 'Research Professional'}${researcher.institution ? ` • ${this.escapeHtml(researcher.institution)}` : ''}
+                                ${researcher.role === 'moderator' ? '<span class="badge badge-primary ml-2">Moderator</span>' : ''}
+                            </p>
+                        </div>
+                    </div>
+                    ${isSelf ? `
+                        <a href="#profile" class="btn btn-outline">
+                            <i class="fas fa-user-edit mr-2"></i>
+                            Edit Profile
+                        </a>
+                    ` : ''}
+                    ${this.can('user.moderate', { targetUser: researcher }) && this.getAccountForUser(researcher.id) ? `
+                        <button class="btn btn-outline" onclick="app.setModerator('${researcher.id}', ${researcher.role !== 'moderator'})">
+                            <i class="fas fa-user-shield mr-2"></i>
+                            ${researcher.role === 'moderator' ? 'Remove Moderator' : 'Make Moderator'}
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            
+            <div class="dashboard-grid">
+                <div class="col-span-8">
+                    ${reassignTargets.length ? `
+                        <div class="card mb-6">
+                            <h2 class="card-title mb-3">Reassign Contributions</h2>
+                            <p class="text-muted mb-4">${this.escapeHtml(researcher.name)} has no account, for example after a name-only sign-in from before accounts existed. Move these contributions to the account of the person who made them.</p>
+                            <div class="flex gap-3">
+                                <select id="legacyReassignTarget" class="form-input" aria-label="Account to receive the contributions">
+                                    ${reassignTargets.map(user => `
+                                        <option value="${this.escapeAttribute(user.id)}">${this.escapeHtml(user.name)}${user.institution && user.institution !== 'Not specified' ? ` (${this.escapeHtml(user.institution)})` : ''}</option>
+                                    `).join('')}
+                                </select>
+                                <button class="btn btn-outline" data-legacy-id="${this.escapeAttribute(researcher.id)}" onclick="app.reassignLegacyIdentity(this.dataset.legacyId)">
+                                    <i class="fas fa-people-arrows mr-2"></i>
+                                    Reassign
+                                </button>
+                            </div>
+                        </div>
+                    ` : ''}
+                    ${researcher.bio ? `
+                        <div class="card mb-6">
+                            <h2 class="card-title mb-3">About</h2>
+                            <p class="profile-bio">${this.escapeHtml(researcher.bio)}</p>
+                        </div>
+                    ` : ''}
+                    
+                    <div class="card mb-6">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-flask"></i>
+                                Projects (${ownedProjects.length + memberProjects.length})
+                            </h2>
+                        </div>
+                        ${ownedProjects.length + memberProjects.length ? `
+                            <div class="space-y-3">
+                                ${[...ownedProjects, ...memberProjects].map(project => `
+                                    <a href="#project/${project.id}" class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                        <div class="flex-1">
+                                            <div class="author-name">${this.escapeHtml(project.title)}</div>
+                                            <div class="text-muted">${this.escapeHtml(project.institution || '')}</div>
+                                        </div>
+                                        <span class="badge badge-primary">${PROJECT_ROLES[this.getProjectRole(project, researcher.id)]?.label || 'Contributor'}</span>
+                                    </a>
+                                `).join('')}
+                            </div>
+                        ` : '<p class="text-muted">No projects yet</p>'}
+                    </div>
+                    
+                    <div class="card mb-6">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-comments"></i>
+                                Discussions (${discussions.length})
+                            </h2>
+                        </div>
+                        <div id="researcherDiscussions"></div>
+                    </div>
+                    
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-comment-medical"></i>
+                                Comments (${comments.length})
+                            </h2>
+                        </div>
+                        ${comments.length ? `
+                            <div class="space-y-3">
+                                ${comments.slice(0, 20).map(comment => `
+                                    <a href="#discussion/${comment.discussionId}/${comment.id}" class="block p-3 bg-surface rounded-lg">
+                                        <div class="text-muted mb-1">On "${this.escapeHtml(comment.discussionTitle)}" • ${this.formatTimeAgo(comment.createdAt)}</div>
+                                        <div>${renderMarkdownExcerpt(comment.content, 200)}</div>
+                                    </a>
+                                `).join('')}
+                            </div>
+                        ` : '<p class="text-muted">No comments yet</p>'}
+                    </div>
+                </div>
+                
+                <div class="col-span-4">
+                    <div class="card">
+                        <h2 class="card-title mb-3">Expertise</h2>
+                        ${(researcher.expertise || []).length ? `
+                            <div class="project-tags">
+                                ${researcher.expertise.map(tag => `<span class="project-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                            </div>
+                        ` : '<p class="text-muted mb-4">No expertise listed</p>'}
+                        ${activeDomains.length ? `
+                            <h3 class="text-sm text-muted mb-2">Active in</h3>
+                            <div class="project-tags">
+                                ${activeDomains.map(tag => `<span class="project-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.renderDiscussions(discussions, 'researcherDiscussions');
+    }
+    
+    // ========== ROUTER ==========
+    
+    setupRouter() {
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+    }
+    
+    handleRoute() {
+        if (this.user && !this.isVisitor && !this.hasValidSession()) {
+            this.expireSession();
+            return;
+        }
+        
+        const hash = window.location.hash.substring(1) || 'dashboard';
+        const [path, queryString = ''] = hash.split('?');
+        const parts = path.split('/');
+        this.routeParams = new URLSearchParams(queryString);
+        
+        const page = parts[0];
+        this.showPage(page);
+        
+        if (page === 'project' && parts[1]) {
+            this.loadProjectDetail(parts[1]);
+        } else if (page === 'discussion' && parts[1]) {
+            this.loadDiscussionDetail(parts[1], parts[2]);
+        } else if (page === 'profile' && parts[1]) {
+            this.loadResearcherProfile(decodeURIComponent(parts[1]));
+        } else if (page === 'invite') {
+            this.loadInvite(parts[1] || '');
+        } else if (page === 'review' && parts[1]) {
+            this.loadReview(parts[1]);
+        }
+        
+        this.updateNavigation(page);
+        this.renderNotifications();
+    }
+    
+    showPage(page) {
+        // Hide all pages
+        document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+        
+        // Show requested page
+        const pageElement = document.getElementById(`${page}Page`);
+        if (pageElement) {
+            pageElement.classList.remove('hidden');
+            
+            // Load page-specific content
+            switch(page) {
+                case 'dashboard':
+                    this.loadDashboard();
+                    break;
+                case 'projects':
+                    this.loadAllProjects();
+                    break;
+                case 'myprojects':
+                    this.loadMyProjects();
+                    break;
+                case 'profile':
+                    this.loadProfileSettings();
+                    break;
+                case 'digest':
+                    this.loadDigest();
+                    break;
+                case 'collaborations':
+                    this.loadCollaborations();
+                    break;
+                case 'search':
+                    this.loadSearchResults();
+                    break;
+                case 'findcollaborators':
+                    this.loadFindCollaborators();
+                    break;
+            }
+        }
+    }
+    
+    updateNavigation(page) {
+        document.querySelectorAll('.nav-link').forEach(link => {
+            const linkPage = link.getAttribute('href').substring(1);
+            if (linkPage.includes('/')) {
+                const linkBase = linkPage.split('/')[0];
+                link.classList.toggle('active', linkBase === page);
+            } else {
+                link.classList.toggle('active', linkPage === page);
+            }
+        });
+    }
+    
+    navigateTo(page) {
+        window.location.hash = page;
+    }
+    
+    // ========== DASHBOARD ==========
+    
+    loadDashboard() {
+        this.loadUserStats();
+        this.loadActivityFeed();
+        this.loadTagsCloud();
+        this.loadFeaturedDiscussions();
+        this.loadRecentProjects();
+    }
+    
+    loadUserStats() {
+        if (!this.user) return;
+        
+        if (this.isVisitor) {
+            const container = document.getElementById('userStats');
+            if (container) {
+                container.innerHTML = `
+                    <div class="stats-grid">
+                        <div class="stat-card">
+                            <div class="stat-icon">
+                                <i class="fas fa-eye"></i>
+                            </div>
+                            <div class="stat-content">
+                                <div class="stat-number">Guest</div>
+                                <div class="stat-label">Viewing Mode</div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const userProjects = projects.filter(p => p.ownerId === this.user?.id);
+        const userDiscussions = projects.reduce((count, project) => {
+            if (project.discussions) {
+                return count + project.discussions.filter(d => d.authorId === this.user?.id).length;
+            }
+            return count;
+        }, 0);
+        
+        const container = document.getElementById('userStats');
+        if (container) {
+            container.innerHTML = `
+                <div class="stats-grid">
+                    <div class="stat-card">
+                        <div class="stat-icon">
+                            <i class="fas fa-project-diagram"></i>
+                        </div>
+                        <div class="stat-content">
+                            <div class="stat-number">${userProjects.length}</div>
+                            <div class="stat-label">Projects</div>
+                        </div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-icon">
+                            <i class="fas fa-comments"></i>
+                        </div>
+                        <div class="stat-content">
+                            <div class="stat-number">${userDiscussions}</div>
+                            <div class="stat-label">Discussions</div>
+                        </div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-icon">
+                            <i class="fas fa-users"></i>
+                        </div>
+                        <div class="stat-content">
+                            <div class="stat-number">${userProjects.reduce((sum, p) => sum + (p.teamMembers?.length || 0), 0)}</div>
+                            <div class="stat-label">Collaborators</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+    }
+    
+    loadActivityFeed() {
+        const activities = this.getActivities();
+        let filteredActivities = activities;
+        
+        if (this.activityFilter === 'mention') {
+            filteredActivities = activities.filter(act => (act.mentionedUserIds || []).includes(this.user?.id));
+        } else if (this.activityFilter !== 'all') {
+            filteredActivities = activities.filter(act => act.type && act.type.includes(this.activityFilter));
+        }
+        
+        filteredActivities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        
+        const container = document.getElementById('activityFeed');
+        if (!container) return;
+        
+        if (!filteredActivities.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📊</div>
+                    <div class="empty-title">No recent activity</div>
+                    <p class="text-muted">Start a project or join a discussion</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = filteredActivities.slice(0, 5).map(activity => {
+            const icon = this.getActivityIcon(activity.type);
+            const timeAgo = this.formatTimeAgo(activity.timestamp);
+            
+            return `
+                <div class="activity-item">
+                    <div class="activity-icon">${icon}</div>
+                    <div class="activity-content">
+                        <div class="activity-text">${this.escapeHtml(activity.description)}</div>
+                        <div class="activity-time">${timeAgo}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    loadTagsCloud() {
+        const tags = this.getTags();
+        const container = document.getElementById('tagsCloud');
+        
+        if (!container) return;
+        
+        const tagsArray = Object.entries(tags)
+            .map(([tag, data]) => ({ tag, ...data }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10);
+        
+        container.innerHTML = `
+            <div class="tags-cloud">
+                ${tagsArray.map(({ tag, count }) => {
+                    const isActive = this.selectedTags.has(tag);
+                    return `
+                        <span class="tag ${isActive ? 'active' : ''}" data-tag="${this.escapeAttribute(tag)}">
+                            ${this.escapeHtml(tag)} <span class="text-muted">(${count})</span>
+                        </span>
+                    `;
+                }).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('.tag').forEach(tagEl => {
+            tagEl.addEventListener('click', (e) => {
+                const tag = e.currentTarget.dataset.tag;
+                this.toggleTag(tag);
+            });
+        });
+    }
+    
+    loadFeaturedDiscussions() {
+        const projects = this.getProjects();
+        const searchQuery = document.getElementById('discussionSearch')?.value.trim() || '';
+        let allDiscussions = [];
+        
+        projects.forEach(project => {
+            if (project.discussions) {
+                project.discussions.forEach(disc => {
+                    allDiscussions.push({
+                        ...disc,
+                        projectId: project.id,
+                        projectTitle: project.title,
+                        projectTags: project.tags,
+                        institution: project.institution
+                    });
+                });
+            }
+        });
+        
+        if (this.unansweredOnly.discussions) {
+            allDiscussions = allDiscussions.filter(disc => this.isUnansweredQuestion(disc));
+        }
+        
+        if (searchQuery && !SearchIndex.tokenize(searchQuery).length) {
+            // As in loadAllProjects, queries with nothing indexable match as plain text
+            const needle = searchQuery.toLowerCase();
+            allDiscussions = allDiscussions.filter(disc =>
+                disc.title.toLowerCase().includes(needle) ||
+                disc.content.toLowerCase().includes(needle) ||
+                (disc.commentsList || []).some(comment => comment.content.toLowerCase().includes(needle))
+            );
+        } else if (searchQuery) {
+            // Rank discussions by their best hit, counting hits in their comments
+            const rank = new Map();
+            this.searchIndex.search(searchQuery, { kinds: ['discussion', 'comment'], limit: Infinity })
+                .forEach(result => {
+                    const id = result.meta.discussionId;
+                    rank.set(id, Math.max(rank.get(id) || 0, result.score));
+                });
+            
+            const matched = allDiscussions
+                .filter(disc => rank.has(disc.id))
+                .sort((a, b) => rank.get(b.id) - rank.get(a.id));
+            this.renderDiscussions(matched.slice(0, 4), 'featuredDiscussions');
+            return;
+        }
+        
+        if (this.unansweredOnly.discussions) {
+            allDiscussions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            this.renderDiscussions(allDiscussions, 'featuredDiscussions');
+            return;
+        }
+        
+        allDiscussions.sort((a, b) => {
+            const engagementA = (a.likes || 0) + (a.comments || 0);
+            const engagementB = (b.likes || 0) + (b.comments || 0);
+            return engagementB - engagementA;
+        });
+        
+        const featured = allDiscussions.slice(0, 4);
+        this.renderDiscussions(featured, 'featuredDiscussions');
+    }
+    
+    loadRecentProjects() {
+        const projects = this.getProjects();
+        projects.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        const recent = projects.slice(0, 3);
+        this.renderProjects(recent, 'recentProjects');
+    }
+    
+    // ========== SEARCH ==========
+    
+    loadSearchResults() {
+        const query = this.routeParams.get('q') || '';
+        const input = document.getElementById('globalSearchInput');
+        if (input && document.activeElement !== input) {
+            input.value = query;
+        }
+        
+        document.querySelectorAll('.search-kind-filter').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.kind === this.searchKind);
+        });
+        
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+        
+        if (!query.trim()) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔎</div>
+                    <div class="empty-title">Search ThoraxLab</div>
+                    <p class="text-muted">Find projects, discussions and comments by keyword</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const results = this.searchIndex.search(query, {
+            kinds: this.searchKind === 'all' ? null : [this.searchKind]
+        });
+        
+        if (!results.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔎</div>
+                    <div class="empty-title">No results for "${this.escapeHtml(query)}"</div>
+                    <p class="text-muted">Try fewer or shorter keywords</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const kindLabels = { project: 'Project', discussion: 'Discussion', comment: 'Comment' };
+        const kindIcons = { project: 'fas fa-flask', discussion: 'fas fa-comments', comment: 'fas fa-comment' };
+        
+        container.innerHTML = `
+            <p class="text-muted mb-4">${results.length} result${results.length === 1 ? '' : 's'} for "${this.escapeHtml(query)}"</p>
+            <div class="space-y-4">
+                ${results.map(result => {
+                    const { meta } = result;
+                    const href = result.kind === 'project' ? `#project/${meta.projectId}` :
+                        result.kind === 'discussion' ? `#discussion/${meta.discussionId}` :
+                        `#discussion/${meta.discussionId}/${meta.commentId}`;
+                    
+                    return `
+                        <a class="card search-result" href="${href}">
+                            <div class="flex items-center gap-2 text-muted mb-2">
+                                <i class="${kindIcons[result.kind]}"></i>
+                                <span>${kindLabels[result.kind]}</span>
+                                ${meta.projectTitle ? `<span>• ${this.escapeHtml(meta.projectTitle)}</span>` : ''}
+                            </div>
+                            <h3 class="mb-2">
+                                ${result.kind === 'comment' ? 'Comment on ' : ''}${this.highlightMatches(meta.title, result.queryTerms)}
+                            </h3>
+                            <p class="search-snippet">${this.buildSnippet(meta.text, result.queryTerms)}</p>
+                            <div class="text-muted mt-2">${this.escapeHtml(meta.authorName || '')} • ${this.formatDate(meta.createdAt)}</div>
+                        </a>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    
+    runSearch(query) {
+        const hash = query ? `#search?q=${encodeURIComponent(query)}` : '#search';
+        if (window.location.hash.startsWith('#search')) {
+            history.replaceState(null, '', hash);
+            this.routeParams = new URLSearchParams(query ? { q: query } : {});
+            this.loadSearchResults();
+        } else {
+            window.location.hash = hash;
+        }
+    }
+    
+    searchTermPattern(terms) {
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    }
+    
+    highlightMatches(text, terms) {
+        if (!text || !terms.length) return this.escapeHtml(text);
+        
+        let html = '';
+        let last = 0;
+        text.replace(this.searchTermPattern(terms), (match, offset) => {
+            html += `${this.escapeHtml(text.slice(last, offset))}<mark>${this.escapeHtml(match)}</mark>`;
+            last = offset + match.length;
+            return match;
+        });
+        return html + this.escapeHtml(text.slice(last));
+    }
+    
+    // Cuts a window of text around the first match and highlights it
+    buildSnippet(text, terms, length = 200) {
+        if (!text) return '';
+        
+        const match = this.searchTermPattern(terms).exec(text);
+        const start = match ? Math.max(0, match.index - Math.floor(length / 3)) : 0;
+        const end = Math.min(text.length, start + length);
+        
+        return `${start > 0 ? '…' : ''}${this.highlightMatches(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+    }
+    
+    // ========== PROJECTS ==========
+    
+    loadAllProjects() {
+        let projects = this.getProjects();
+        
+        // Apply tag filters
+        if (this.selectedTags.size > 0) {
+            projects = projects.filter(project => 
+                project.tags && project.tags.some(tag => this.selectedTags.has(tag))
+            );
+        }
+        
+        if (this.unansweredOnly.projects) {
+            projects = projects.filter(project => (project.discussions || []).some(disc => this.isUnansweredQuestion(disc)));
+        }
+        
+        // Apply search filter
+        const searchQuery = document.getElementById('projectSearch')?.value.trim() || '';
+        if (searchQuery && !SearchIndex.tokenize(searchQuery).length) {
+            // Single letters and stopwords never reach the index; match them as plain text
+            const needle = searchQuery.toLowerCase();
+            projects = projects.filter(project =>
+                project.title.toLowerCase().includes(needle) ||
+                project.description.toLowerCase().includes(needle) ||
+                (project.tags && project.tags.some(tag => tag.toLowerCase().includes(needle))) ||
+                (project.institution || '').toLowerCase().includes(needle)
+            );
+        } else if (searchQuery) {
+            const matches = new Set(
+                this.searchIndex.search(searchQuery, { kinds: ['project'], limit: Infinity })
+                    .map(result => result.meta.projectId)
+            );
+            projects = projects.filter(project => matches.has(project.id));
+        }
+        
+        // Apply sorting
+        switch(this.projectSort) {
+            case 'recent':
+                projects.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+                break;
+            case 'popular':
+                projects.sort((a, b) => {
+                    const engagementA = this.calculateProjectEngagement(a);
+                    const engagementB = this.calculateProjectEngagement(b);
+                    return engagementB - engagementA;
+                });
+                break;
+            case 'title':
+                projects.sort((a, b) => a.title.localeCompare(b.title));
+                break;
+        }
+        
+        this.renderProjects(projects, 'allProjectsList');
+    }
+    
+    loadMyProjects() {
+        if (!this.can('project.create')) {
+            this.showToast('Visitors cannot create projects', 'warning');
+            this.navigateTo('dashboard');
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const myProjects = projects.filter(p => p.ownerId === this.user?.id);
+        this.renderProjects(myProjects, 'myProjectsList');
+    }
+    
+    loadProjectDetail(projectId) {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            this.navigateTo('projects');
+            return;
+        }
+        
+        if (this.currentProject?.id !== projectId) {
+            this.projectTab = 'discussions';
+        }
+        this.currentProject = project;
+        this.renderProjectDetail();
+        this.showPage('projectDetail');
+        this.recordProjectVisit(projectId);
+    }
+    
+    loadDiscussionDetail(discussionId, commentId = null) {
+        const projects = this.getProjects();
+        
+        for (const project of projects) {
+            if (project.discussions) {
+                const discussion = project.discussions.find(d => d.id === discussionId);
+                if (discussion) {
+                    if (this.currentDiscussion?.id !== discussionId) {
+                        this.commentFilter = { type: 'all', grade: 'all', sort: 'thread' };
+                    }
+                    this.currentDiscussion = {
+                        ...discussion,
+                        projectId: project.id,
+                        projectTitle: project.title,
+                        projectOwnerId: project.ownerId,
+                        institution: project.institution
+                    };
+                    this.renderDiscussionDetail();
+                    this.showPage('discussionDetail');
+                    if (commentId) {
+                        this.focusComment(commentId);
+                    }
+                    return;
+                }
+            }
+        }
+        
+        this.showToast('Discussion not found', 'error');
+        this.navigateTo('dashboard');
+    }
+    
+    // ========== RENDERING METHODS ==========
+    
+    renderProjects(projects, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        if (!projects.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📁</div>
+                    <div class="empty-title">No projects found</div>
+                    <p class="text-muted">${containerId === 'myProjectsList' ? 'Create your first research project' : 'Be the first to create a project'}</p>
+                    ${containerId === 'myProjectsList' && this.can('project.create') ? `
+                        <button class="btn btn-primary mt-4" onclick="app.showModal('newProjectModal')">
+                            <i class="fas fa-plus"></i>
+                            Create First Project
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = projects.map(project => {
+            const discussionCount = project.discussions ? project.discussions.length : 0;
+            const teamCount = project.teamMembers ? project.teamMembers.length : 0;
+            const unansweredCount = (project.discussions || []).filter(disc => this.isUnansweredQuestion(disc)).length;
+            
+            return `
+                <div class="project-card" data-project-id="${project.id}">
+                    <div class="project-header">
+                        <div class="project-type">
+                            <i class="fas fa-flask"></i>
+                            Research Project
+                        </div>
+                        <div class="project-institution">
+                            <i class="fas fa-university"></i>
+                            ${this.escapeHtml(project.institution || '')}
+                        </div>
+                    </div>
+                    
+                    <h3 class="project-title">${this.escapeHtml(project.title)}</h3>
+                    
+                    <p class="project-excerpt">
+                        ${this.escapeHtml(project.description.substring(0, 150))}${project.description.length > 150 ? '...' : ''}
+                    </p>
+                    
+                    <div class="project-tags">
+                        ${(project.tags || []).slice(0, 3).map(tag => `
+                            <span class="project-tag">${this.escapeHtml(tag)}</span>
+                        `).join('')}
+                    </div>
+                    
+                    <div class="project-footer">
+                        <div class="project-stats">
+                            <div class="stat">
+                                <i class="fas fa-comments"></i>
+                                <span>${discussionCount}</span>
+                            </div>
+                            <div class="stat">
+                                <i class="fas fa-users"></i>
+                                <span>${teamCount}</span>
+                            </div>
+                            ${unansweredCount ? `
+                                <div class="stat" title="Unanswered questions">
+                                    <i class="fas fa-question-circle"></i>
+                                    <span>${unansweredCount}</span>
+                                </div>
+                            ` : ''}
+                        </div>
+                        <div class="project-author">
+                            <div class="author-avatar-small">${project.ownerName.substring(0, 2).toUpperCase()}</div>
+                            <span>${this.renderAuthorLink(project.ownerId, project.ownerName)}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        container.querySelectorAll('.project-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const projectId = card.dataset.projectId;
+                this.navigateTo(`project/${projectId}`);
+            });
+        });
+    }
+    
+    renderDiscussions(discussions, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        if (!discussions.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">💬</div>
+                    <div class="empty-title">No discussions yet</div>
+                    <p class="text-muted">Start the first discussion in a project</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = discussions.map(disc => {
+            const engagementScore = (disc.likes || 0) + (disc.comments || 0);
+            const isFeatured = engagementScore >= 15;
+            const attachmentCount = this.countDiscussionAttachments(disc);
+            
+            return `
+                <div class="discussion-card" data-discussion-id="${disc.id}" data-project-id="${disc.projectId}">
+                    <div class="discussion-header">
+                        <div class="discussion-type type-${disc.type}">
+                            <i class="${this.getDiscussionIcon(disc.type)}"></i>
+                            <span>${disc.type}</span>
+                        </div>
+                        ${disc.acceptedAnswer ? `
+                            <div class="resolved-badge">
+                                <i class="fas fa-check-circle"></i>
+                                Resolved
+                            </div>
+                        ` : isFeatured ? `
+                            <div class="featured-badge">
+                                <i class="fas fa-star"></i>
+                                Featured
+                            </div>
+                        ` : ''}
+                    </div>
+                    
+                    <h3 class="discussion-title">${this.escapeHtml(disc.title)}</h3>
+                    
+                    <p class="discussion-excerpt">
+                        ${renderMarkdownExcerpt(disc.content, 120)}
+                    </p>
+                    
+                    <div class="discussion-meta">
+                        <div class="author-info">
+                            <div class="author-avatar">${disc.authorName.substring(0, 2).toUpperCase()}</div>
+                            <div>
+                                <div class="author-name">${this.renderAuthorLink(disc.authorId, disc.authorName)}</div>
+                                <div class="author-institution">${this.escapeHtml(disc.institution || '')}</div>
+                            </div>
+                        </div>
+                        <div class="engagement-metrics">
+                            <div class="metric">
+                                <i class="fas fa-heart"></i>
+                                <span>${disc.likes || 0}</span>
+                            </div>
+                            <div class="metric">
+                                <i class="fas fa-comment"></i>
+                                <span>${disc.comments || 0}</span>
+                            </div>
+                            ${attachmentCount ? `
+                                <div class="metric" title="Attachments">
+                                    <i class="fas fa-paperclip"></i>
+                                    <span>${attachmentCount}</span>
+                                </div>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        container.querySelectorAll('.discussion-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const discussionId = card.dataset.discussionId;
+                this.navigateTo(`discussion/${discussionId}`);
+            });
+        });
+    }
+    
+    renderProjectDetail() {
+        const container = document.getElementById('projectDetailPage');
+        if (!container || !this.currentProject) return;
+        
+        const project = this.currentProject;
+        const discussionCount = project.discussions ? project.discussions.length : 0;
+        const teamCount = project.teamMembers ? project.teamMembers.length : 0;
+        const canJoin = this.can('project.join', { project });
+        const canStartDiscussion = this.can('discussion.create', { project });
+        const canEditProject = this.can('project.edit', { project });
+        const canManageTeam = this.can('team.manage', { project });
+        const pendingRequests = canManageTeam ? this.getJoinRequests(project.id).filter(r => r.status === 'pending') : [];
+        const myRequests = this.getJoinRequests(project.id).filter(r => r.userId === this.user?.id);
+        const myLatestRequest = myRequests[myRequests.length - 1];
+        const archivedDiscussions = this.can('discussion.restore', { project }) ? this.getArchivedDiscussions(project.id) : [];
+        const revisions = this.getProjectRevisions(project.id).slice().reverse();
+        
+        container.innerHTML = `
+            <div class="page-header">
+                <button class="btn btn-secondary mb-4" onclick="app.navigateTo('projects')">
+                    <i class="fas fa-arrow-left"></i>
+                    Back to Projects
+                </button>
+                <div class="flex items-start justify-between">
+                    <div>
+                        <h1 class="page-title">${this.escapeHtml(project.title)}</h1>
+                        <p class="page-subtitle">${this.escapeHtml(project.institution || '')} • Led by ${this.renderAuthorLink(project.ownerId, project.ownerName)}</p>
+                    </div>
+                    <div class="flex gap-2">
+                        <button class="btn btn-outline" onclick="app.showReportModal('${project.id}')">
+                            <i class="fas fa-file-alt"></i>
+                            Report
+                        </button>
+                        ${canEditProject ? `
+                            <button class="btn btn-outline" onclick="app.showEditProjectModal('${project.id}')">
+                                <i class="fas fa-edit"></i>
+                                Edit
+                            </button>
+                        ` : ''}
+                        ${canManageTeam ? `
+                            <button class="btn btn-outline" onclick="app.showAddTeamMemberModal('${project.id}')">
+                                <i class="fas fa-user-plus"></i>
+                                Add Member
+                            </button>
+                            <button class="btn btn-outline" onclick="app.showInviteModal('${project.id}')">
+                                <i class="fas fa-envelope"></i>
+                                Invite
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            </div>
+            
+            <div class="dashboard-grid">
+                <div class="col-span-8">
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-book-open"></i>
+                                Project Overview
+                            </h2>
+                            ${canStartDiscussion ? `
+                                <button class="btn btn-primary btn-sm" onclick="app.showNewDiscussionModal('${project.id}')">
+                                    <i class="fas fa-plus"></i>
+                                    New Discussion
+                                </button>
+                            ` : ''}
+                        </div>
+                        
+                        <div class="mb-6">
+                            <h3 class="mb-2">Description</h3>
+                            <p class="text-lead">${this.escapeHtml(project.description)}</p>
+                        </div>
+                        
+                        <div class="mb-6">
+                            <h3 class="mb-2">Research Domains</h3>
+                            <div class="project-tags">
+                                ${(project.tags || []).map(tag => `
+                                    <span class="project-tag">${this.escapeHtml(tag)}</span>
+                                `).join('')}
+                            </div>
+                        </div>
+                        
+                        <div>
+                            <h3 class="mb-2">Project Team</h3>
+                            <div class="space-y-3">
+                                <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                    <div class="author-avatar-small">${project.ownerName.substring(0, 2).toUpperCase()}</div>
+                                    <div>
+                                        <div class="author-name">${this.renderAuthorLink(project.ownerId, project.ownerName)}</div>
+                                        <div class="text-muted">${this.escapeHtml(this.formatProjectField('ownerPosition', project.ownerPosition))} • Project Lead</div>
+                                    </div>
+                                </div>
+                                ${(project.teamMembers || []).map(member => `
+                                    <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                        <div class="author-avatar-small">${member.name.substring(0, 2).toUpperCase()}</div>
+                                        <div>
+                                            <div class="author-name">${this.renderAuthorLink(member.id, member.name)}</div>
+                                            <div class="text-muted">${this.escapeHtml(member.position || '')} • ${PROJECT_ROLES[member.role]?.label || 'Contributor'}</div>
+                                        </div>
+                                        ${this.can('team.manage_member', { project, member }) ? `
+                                            <div class="ml-auto flex gap-2">
+                                                <button class="text-muted" onclick="app.showEditTeamMemberModal('${project.id}', '${member.id}')">
+                                                    <i class="fas fa-pen"></i>
+                                                </button>
+                                                <button class="text-muted hover:text-error" onclick="app.removeTeamMember('${project.id}', '${member.id}')">
+                                                    <i class="fas fa-times"></i>
+                                                </button>
+                                            </div>
+                                        ` : ''}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    ${this.renderProjectReviews(project)}
+                    
+                    ${this.renderDecisionLog(project)}
+                </div>
+                
+                <div class="col-span-4">
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-chart-bar"></i>
+                                Project Stats
+                            </h2>
+                        </div>
+                        
+                        <div class="space-y-4">
+                            <div>
+                                <div class="text-muted">Created</div>
+                                <div class="font-semibold">${this.formatDate(project.createdAt)}</div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Last Updated</div>
+                                <div class="font-semibold">${this.formatDate(project.updatedAt)}</div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Discussions</div>
+                                <div class="font-semibold">${discussionCount}</div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Team Members</div>
+                                <div class="font-semibold">${teamCount + 1}</div>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="card mt-4">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-history"></i>
+                                History
+                            </h2>
+                        </div>
+                        
+                        <div class="space-y-3">
+                            ${revisions.map(revision => `
+                                <div class="flex items-center gap-3">
+                                    <div>
+                                        <div class="font-semibold">${this.escapeHtml(revision.userName)}</div>
+                                        <div class="text-muted">
+                                            ${revision.restoredFrom ? 'Restored a previous version' : `Changed ${revision.changes.map(c => PROJECT_FIELD_LABELS[c.field].toLowerCase()).join(', ')}`}
+                                            • ${this.formatTimeAgo(revision.createdAt)}
+                                        </div>
+                                    </div>
+                                    <button class="btn btn-ghost btn-sm ml-auto" onclick="app.showProjectRevision('${project.id}', '${revision.id}')">
+                                        View
+                                    </button>
+                                </div>
+                            `).join('')}
+                            <div class="flex items-center gap-3">
+                                <div>
+                                    <div class="font-semibold">${this.renderAuthorLink(project.ownerId, project.ownerName)}</div>
+                                    <div class="text-muted">Created the project • ${this.formatTimeAgo(project.createdAt)}</div>
+                                </div>
+                                ${revisions.length ? `
+                                    <button class="btn btn-ghost btn-sm ml-auto" onclick="app.showProjectRevision('${project.id}', null)">
+                                        View
+                                    </button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    ${canManageTeam ? `
+                        <div class="card mt-4">
+                            <div class="card-header">
+                                <h2 class="card-title">
+                                    <i class="card-icon fas fa-inbox"></i>
+                                    Join Requests
+                                </h2>
+                                ${pendingRequests.length ? `<span class="badge badge-warning">${pendingRequests.length}</span>` : ''}
+                            </div>
+                            
+                            ${pendingRequests.length ? `
+                                <div class="space-y-4">
+                                    ${pendingRequests.map(request => `
+                                        <div class="p-3 bg-surface rounded-lg">
+                                            <div class="author-name">${this.escapeHtml(request.userName)}</div>
+                                            <div class="text-muted mb-2">${this.escapeHtml(request.userInstitution || '')} • ${this.formatTimeAgo(request.createdAt)}</div>
+                                            ${request.message ? `<p class="mb-3">${this.escapeHtml(request.message)}</p>` : ''}
+                                            <div class="flex gap-2">
+                                                <button class="btn btn-primary btn-sm" onclick="app.respondToJoinRequest('${request.id}', true)">
+                                                    <i class="fas fa-check"></i>
+                                                    Approve
+                                                </button>
+                                                <button class="btn btn-outline btn-sm" onclick="app.respondToJoinRequest('${request.id}', false)">
+                                                    <i class="fas fa-times"></i>
+                                                    Decline
+                                                </button>
+                                            </div>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            ` : `
+                                <p class="text-muted">No pending requests</p>
+                            `}
+                        </div>
+                    ` : ''}
+                    
+                    ${archivedDiscussions.length ? `
+                        <div class="card mt-4">
+                            <div class="card-header">
+                                <h2 class="card-title">
+                                    <i class="card-icon fas fa-trash-restore"></i>
+                                    Deleted Discussions
+                                </h2>
+                            </div>
+                            <div class="space-y-3">
+                                ${archivedDiscussions.map(entry => `
+                                    <div class="flex items-center gap-3">
+                                        <div>
+                                            <div class="font-semibold">${this.escapeHtml(entry.discussion.title)}</div>
+                                            <div class="text-muted">Deleted by ${this.escapeHtml(entry.deletedByName)} • ${this.formatTimeAgo(entry.deletedAt)}</div>
+                                        </div>
+                                        <button class="btn btn-ghost btn-sm ml-auto" onclick="app.restoreDiscussion('${entry.id}')">
+                                            Restore
+                                        </button>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+                    
+                    ${canJoin ? `
+                        <div class="card mt-4">
+                            <h3 class="mb-3">Join this Project</h3>
+                            ${myLatestRequest?.status === 'pending' ? `
+                                <p class="text-sm text-muted mb-3">Sent ${this.formatTimeAgo(myLatestRequest.createdAt)} to ${this.escapeHtml(project.ownerName)}</p>
+                                <button class="btn btn-outline w-full" disabled>
+                                    <i class="fas fa-hourglass-half"></i>
+                                    Request pending
+                                </button>
+                            ` : `
+                                <p class="text-sm text-muted mb-3">
+                                    ${myLatestRequest?.status === 'declined' ? 'Your previous request was declined. You can send a new one.' : 'Request to join as a collaborator'}
+                                </p>
+                                <button class="btn btn-outline w-full" onclick="app.showJoinRequestModal('${project.id}')">
+                                    <i class="fas fa-user-plus"></i>
+                                    Request to Join
+                                </button>
+                            `}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+            
+            <div class="mt-8">
+                <div class="activity-filters mb-4">
+                    <button class="activity-filter ${this.projectTab === 'discussions' ? 'active' : ''}" onclick="app.setProjectTab('discussions')">
+                        Discussions (${discussionCount})
+                    </button>
+                    <button class="activity-filter ${this.projectTab === 'files' ? 'active' : ''}" onclick="app.setProjectTab('files')">
+                        <i class="fas fa-paperclip"></i>
+                        Files (${this.getProjectAttachments(project).length})
+                    </button>
+                </div>
+                
+                ${this.projectTab === 'files' ? this.renderProjectFiles(project) : discussionCount > 0 ? `
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${project.discussions.map(disc => `
+                            <div class="discussion-card" data-discussion-id="${disc.id}">
+                                <div class="discussion-header">
+                                    <div class="discussion-type type-${disc.type}">
+                                        <i class="${this.getDiscussionIcon(disc.type)}"></i>
+                                        ${disc.type}
+                                    </div>
+                                    ${disc.acceptedAnswer ? `
+                                        <div class="resolved-badge">
+                                            <i class="fas fa-check-circle"></i>
+                                            Resolved
+                                        </div>
+                                    ` : ''}
+                                </div>
+                                <h3 class="discussion-title">${this.escapeHtml(disc.title)}</h3>
+                                <p class="discussion-excerpt">${renderMarkdownExcerpt(disc.content, 100)}</p>
+                                <div class="discussion-meta">
+                                    <div class="author-info">
+                                        <div class="author-avatar">${disc.authorName.substring(0, 2).toUpperCase()}</div>
+                                        <div class="author-name">${this.renderAuthorLink(disc.authorId, disc.authorName)}</div>
+                                    </div>
+                                    <div class="engagement-metrics">
+                                        <div class="metric">
+                                            <i class="fas fa-heart"></i>
+                                            <span>${disc.likes || 0}</span>
+                                        </div>
+                                        <div class="metric">
+                                            <i class="fas fa-comment"></i>
+                                            <span>${disc.comments || 0}</span>
+                                        </div>
+                                        ${this.countDiscussionAttachments(disc) ? `
+                                            <div class="metric" title="Attachments">
+                                                <i class="fas fa-paperclip"></i>
+                                                <span>${this.countDiscussionAttachments(disc)}</span>
+                                            </div>
+                                        ` : ''}
+                                    </div>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : `
+                    <div class="text-center">
+                        <div class="empty-icon">💬</div>
+                        <h3 class="mb-2">No discussions yet</h3>
+                        <p class="text-muted mb-4">Be the first to start a discussion in this project</p>
+                        ${canStartDiscussion ? `
+                            <button class="btn btn-primary" onclick="app.showNewDiscussionModal('${project.id}')">
+                                <i class="fas fa-plus"></i>
+                                Start First Discussion
+                            </button>
+                        ` : ''}
+                    </div>
+                `}
+            </div>
+        `;
+        
+        container.querySelectorAll('.discussion-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const discussionId = card.dataset.discussionId;
+                this.navigateTo(`discussion/${discussionId}`);
+            });
+        });
+        
+        this.loadAttachmentThumbnails(container);
+    }
+    
+    renderDiscussionDetail() {
+        const container = document.getElementById('discussionDetailPage');
+        if (!container || !this.currentDiscussion) return;
+        
+        const discussion = this.currentDiscussion;
+        const project = this.getProjects().find(p => p.id === discussion.projectId);
+        const canModerate = this.can('discussion.moderate', { project, discussion });
+        const canComment = this.can('comment.create', { project, discussion });
+        const liked = this.hasLikedDiscussion(discussion.id);
+        
+        container.innerHTML = `
+            <div class="page-header">
+                <button class="btn btn-secondary mb-4" onclick="app.navigateTo('project/${discussion.projectId}')">
+                    <i class="fas fa-arrow-left"></i>
+                    Back to Project
+                </button>
+                <h1 class="page-title">${this.escapeHtml(discussion.title)}</h1>
+                <p class="page-subtitle">${this.escapeHtml(discussion.projectTitle)} • ${this.formatDate(discussion.createdAt)}</p>
+            </div>
+            
+            <div class="dashboard-grid">
+                <div class="col-span-8">
+                    <div class="card">
+                        <div class="discussion-header">
+                            <div class="discussion-type type-${discussion.type}">
+                                <i class="${this.getDiscussionIcon(discussion.type)}"></i>
+                                <span>${discussion.type}</span>
+                            </div>
+                            <div class="flex items-center gap-4">
+                                <span class="text-muted">
+                                    <i class="fas fa-eye"></i> ${discussion.views || 0} views
+                                </span>
+                                <button class="btn btn-ghost btn-sm ${liked ? 'text-red-500' : ''}" 
+                                        onclick="app.toggleDiscussionLike('${discussion.id}')">
+                                    <i class="fas fa-heart ${liked ? 'fas' : 'far'}"></i> ${discussion.likes || 0}
+                                </button>
+                            </div>
+                        </div>
+                        
+                        <div class="mb-6">
+                            <div class="author-info mb-4">
+                                <div class="author-avatar">${discussion.authorName.substring(0, 2).toUpperCase()}</div>
+                                <div>
+                                    <div class="author-name">${this.renderAuthorLink(discussion.authorId, discussion.authorName)}</div>
+                                    <div class="author-institution">${this.escapeHtml(discussion.institution || '')}</div>
+                                </div>
+                            </div>
+                            
+                            <div class="markdown-body max-w-none">
+                                ${renderMarkdown(discussion.content)}
+                            </div>
+                            ${this.renderAttachments(discussion.attachments)}
+                            
+                            ${(discussion.versions || []).length ? `
+                                <details class="mt-4">
+                                    <summary class="text-muted">Edit history (${discussion.versions.length})</summary>
+                                    <div class="space-y-3 mt-2">
+                                        ${discussion.versions.slice().reverse().map(version => `
+                                            <div class="p-3 bg-surface rounded-lg">
+                                                <div class="text-muted mb-1">
+                                                    Version from ${this.formatDate(version.savedAt)} • ${version.type} • replaced by ${this.escapeHtml(version.replacedByName || '')}
+                                                </div>
+                                                <div class="font-semibold">${this.escapeHtml(version.title)}</div>
+                                                <div class="markdown-body">${renderMarkdown(version.content)}</div>
+                                            </div>
+                                        `).join('')}
+                                    </div>
+                                </details>
+                            ` : ''}
+                        </div>
+                        
+                        <div class="discussion-meta">
+                            <div class="text-muted">
+                                Started ${this.formatTimeAgo(discussion.createdAt)}
+                                ${discussion.editedAt ? ` • <span title="${this.formatDate(discussion.editedAt)}">edited ${this.formatTimeAgo(discussion.editedAt)}</span>` : ''}
+                            </div>
+                            <div class="flex gap-2">
+                                <button class="btn btn-outline btn-sm" onclick="app.showReportModal('${discussion.projectId}', '${discussion.id}')">
+                                    <i class="fas fa-file-alt"></i>
+                                    Report
+                                </button>
+                                ${canModerate ? `
+                                    <button class="btn btn-outline btn-sm" onclick="app.showEditDiscussionModal('${discussion.id}')">
+                                        <i class="fas fa-edit"></i>
+                                        Edit
+                                    </button>
+                                    <button class="btn btn-outline btn-sm text-error" onclick="app.deleteDiscussion('${discussion.id}')">
+                                        <i class="fas fa-trash"></i>
+                                        Delete
+                                    </button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    ${this.renderDecisionPanel(discussion, project)}
+                    
+                    <div class="mt-8">
+                        <h2 class="mb-4">Comments (${discussion.comments || 0})</h2>
+                        
+                        <div id="discussionComments">
+                            ${this.renderCommentsSection(discussion)}
+                        </div>
+                        
+                        ${canComment ? `
+                            <div class="mt-6">
+                                <div class="card">
+                                    <h3 class="mb-3">Add Your Insight</h3>
+                                    <div class="flex flex-wrap gap-3 mb-3">
+                                        <div class="form-group flex-1">
+                                            <label for="quickCommentType" class="form-label">Contribution Type</label>
+                                            <select id="quickCommentType" class="form-input">
+                                                ${Object.entries(COMMENT_TYPES).map(([value, { label }]) => `
+                                                    <option value="${value}">${label}</option>
+                                                `).join('')}
+                                            </select>
+                                        </div>
+                                        <div class="form-group flex-1">
+                                            <label for="quickCommentGrade" class="form-label">Evidence Grade</label>
+                                            <select id="quickCommentGrade" class="form-input">
+                                                <option value="">Not graded</option>
+                                                ${Object.entries(EVIDENCE_GRADES).map(([value, label]) => `
+                                                    <option value="${value}">${label}</option>
+                                                `).join('')}
+                                            </select>
+                                        </div>
+                                    </div>
+                                    <div class="form-group">
+                                        <label for="quickCommentReference" class="form-label">Supporting Reference</label>
+                                        <input type="text" id="quickCommentReference" class="form-input" maxlength="300"
+                                               placeholder="Optional: DOI, PMID or link to the paper">
+                                    </div>
+                                    <div class="form-group">
+                                        ${this.renderMarkdownTabs('quickComment')}
+                                        <textarea id="quickComment" class="form-input form-textarea" data-mentions 
+                                                  placeholder="Share your expert perspective, analysis, or recommendation..."
+                                                  rows="3" maxlength="1000"></textarea>
+                                        <div id="quickCommentPreview" class="markdown-preview markdown-body hidden"></div>
+                                        <div class="flex items-center justify-between">
+                                            <span class="markdown-hint">Markdown supported. Type @ to mention a colleague</span>
+                                            <div class="char-counter" id="quickCommentCounter">0/1000</div>
+                                        </div>
+                                    </div>
+                                    ${this.renderAttachmentPicker('quickCommentAttachments')}
+                                    <button id="quickCommentSubmit" class="btn btn-primary mt-2" onclick="app.addQuickComment('${discussion.id}')">
+                                        <i class="fas fa-paper-plane"></i>
+                                        Post Comment
+                                    </button>
+                                </div>
+                            </div>
+                        ` : `
+                            <div class="mt-6 p-4 bg-warning-50 border border-warning-200 rounded-lg text-center">
+                                <i class="fas fa-info-circle text-warning-500 mr-2"></i>
+                                <span class="text-warning-700">Guest researchers can view but cannot contribute to discussions</span>
+                            </div>
+                        `}
+                    </div>
+                </div>
+                
+                <div class="col-span-4">
+                    <div class="card">
+                        <div class="card-header">
+                            <h2 class="card-title">
+                                <i class="card-icon fas fa-info-circle"></i>
+                                Discussion Info
+                            </h2>
                         </div>
                         
-                        <div class="mb-6">
-                            <h3 class="mb-2">Research Domains</h3>
-                            <div class="project-tags">
-                                ${(project.tags || []).map(tag => `
-                                    <span class="project-tag">${this.escapeHtml(tag)}</span>
-                                `).join('')}
+                        <div class="space-y-4">
+                            <div>
+                                <div class="text-muted">Project</div>
+                                <div class="font-semibold">${this.escapeHtml(discussion.projectTitle)}</div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Type</div>
+                                <div class="discussion-type type-${discussion.type} inline-flex">
+                                    <i class="${this.getDiscussionIcon(discussion.type)}"></i>
+                                    <span>${discussion.type}</span>
+                                </div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Started</div>
+                                <div class="font-semibold">${this.formatDate(discussion.createdAt)}</div>
+                            </div>
+                            <div>
+                                <div class="text-muted">Engagement</div>
+                                <div class="flex items-center gap-4">
+                                    <span><i class="fas fa-heart text-red-500"></i> ${discussion.likes || 0}</span>
+                                    <span><i class="fas fa-comment text-primary"></i> ${discussion.comments || 0}</span>
+                                    <span><i class="fas fa-eye text-muted"></i> ${discussion.views || 0}</span>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.loadAttachmentThumbnails(container);
+        
+        // Update view count
+        this.incrementDiscussionViews(discussion.id);
+    }
+    
+    renderCommentsSection(discussion) {
+        const comments = discussion.commentsList || [];
+        if (!comments.length) {
+            return `
+                <div class="text-center py-8">
+                    <div class="empty-icon">💬</div>
+                    <h3 class="mb-2">No comments yet</h3>
+                    <p class="text-muted">Be the first to contribute to this discussion</p>
+                </div>
+            `;
+        }
+        
+        const { type, grade, sort } = this.commentFilter;
+        const threaded = type === 'all' && grade === 'all' && sort === 'thread';
+        const acceptedAnswer = this.getAcceptedAnswer(discussion);
+        // Worked out once here rather than for every comment in the discussion
+        const thread = {
+            discussionId: discussion.id,
+            canReply: this.can('comment.create', { discussion }),
+            canAccept: discussion.type === 'question' && this.can('discussion.accept_answer', {
+                project: this.getProjects().find(p => p.id === discussion.projectId),
+                discussion
+            })
+        };
+        
+        let body;
+        if (threaded) {
+            body = this.renderCommentThread(discussion, thread);
+        } else {
+            const gradeRank = value => value ? Object.keys(EVIDENCE_GRADES).indexOf(value) : Infinity;
+            const filtered = comments
+                .filter(comment => type === 'all' || comment.type === type)
+                .filter(comment => grade === 'all' || comment.evidenceGrade === grade);
+            
+            switch (sort) {
+                case 'newest':
+                    filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                    break;
+                case 'grade':
+                    filtered.sort((a, b) => gradeRank(a.evidenceGrade) - gradeRank(b.evidenceGrade));
+                    break;
+                case 'likes':
+                    filtered.sort((a, b) => (b.likes || 0) - (a.likes || 0));
+                    break;
+                default:
+                    filtered.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            }
+            
+            body = filtered.length ?
+                filtered.map(comment => this.renderComment(comment, {}, thread)).join('') :
+                '<p class="text-muted text-center py-8">No comments match these filters</p>';
+        }
+        
+        return `
+            ${acceptedAnswer ? this.renderAcceptedAnswer(discussion, acceptedAnswer) : ''}
+            <div class="comment-filters flex flex-wrap items-center gap-2 mb-4">
+                <select class="form-input" onchange="app.setCommentFilter('type', this.value)" aria-label="Filter by comment type">
+                    <option value="all">All types</option>
+                    ${Object.entries(COMMENT_TYPES).map(([value, { label }]) => `
+                        <option value="${value}" ${type === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <select class="form-input" onchange="app.setCommentFilter('grade', this.value)" aria-label="Filter by evidence grade">
+                    <option value="all">Any evidence</option>
+                    ${Object.entries(EVIDENCE_GRADES).map(([value, label]) => `
+                        <option value="${value}" ${grade === value ? 'selected' : ''}>${label} certainty</option>
+                    `).join('')}
+                </select>
+                <select class="form-input" onchange="app.setCommentFilter('sort', this.value)" aria-label="Sort comments">
+                    <option value="thread" ${sort === 'thread' ? 'selected' : ''}>Conversation</option>
+                    <option value="newest" ${sort === 'newest' ? 'selected' : ''}>Newest first</option>
+                    <option value="grade" ${sort === 'grade' ? 'selected' : ''}>Strongest evidence</option>
+                    <option value="likes" ${sort === 'likes' ? 'selected' : ''}>Most liked</option>
+                </select>
+            </div>
+            <div class="space-y-4">
+                ${body}
+            </div>
+        `;
+    }
+    
+    setCommentFilter(key, value) {
+        this.commentFilter[key] = value;
+        
+        const container = document.getElementById('discussionComments');
+        if (container && this.currentDiscussion) {
+            container.innerHTML = this.renderCommentsSection(this.currentDiscussion);
+            this.loadAttachmentThumbnails(container);
+        }
+    }
+    
+    renderCommentBadges(comment) {
+        const type = COMMENT_TYPES[comment.type];
+        const grade = EVIDENCE_GRADES[comment.evidenceGrade];
+        if (!type && !grade) return '';
+        
+        return `
+            <div class="flex flex-wrap items-center gap-2 mb-3">
+                ${type ? `
+                    <span class="comment-type comment-type-${comment.type}">
+                        <i class="${type.icon}"></i>
+                        ${type.label}
+                    </span>
+                ` : ''}
+                ${grade ? `
+                    <span class="evidence-grade grade-${comment.evidenceGrade}" title="GRADE certainty of evidence">
+                        GRADE: ${grade}
+                    </span>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    renderCommentReference(reference) {
+        if (!reference) return '';
+        
+        const doi = reference.match(/^(?:doi:\s*)?(10\.\d{4,9}\/\S+)$/i);
+        const pmid = reference.match(/^PMID:?\s*(\d+)$/i);
+        let href = null;
+        
+        if (/^https?:\/\//i.test(reference)) href = reference;
+        else if (doi) href = `https://doi.org/${doi[1]}`;
+        else if (pmid) href = `https://pubmed.ncbi.nlm.nih.gov/${pmid[1]}/`;
+        
+        return `
+            <div class="comment-reference mt-3">
+                <i class="fas fa-book-medical"></i>
+                ${href ? `
+                    <a href="${this.escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(reference)}</a>
+                ` : this.escapeHtml(reference)}
+            </div>
+        `;
+    }
+    
+    renderCommentThread(discussion, thread) {
+        const comments = discussion.commentsList || [];
+        const childrenByParent = {};
+        comments.forEach(comment => {
+            const parentId = comment.parentId || 'root';
+            (childrenByParent[parentId] = childrenByParent[parentId] || []).push(comment);
+        });
+        
+        return (childrenByParent.root || [])
+            .map(comment => this.renderComment(comment, childrenByParent, thread))
+            .join('');
+    }
+    
+    renderComment(comment, childrenByParent, thread) {
+        const { discussionId, canReply, canAccept } = thread;
+        const commentLiked = this.hasLikedComment(comment.id);
+        const replies = childrenByParent[comment.id] || [];
+        const replyCount = this.countCommentReplies(comment.id, childrenByParent);
+        const collapsed = this.collapsedComments.has(comment.id);
+        const isAccepted = this.currentDiscussion?.acceptedAnswer?.commentId === comment.id;
+        
+        return `
+            <div class="comment-thread ${isAccepted ? 'accepted-answer' : ''}" id="comment-${comment.id}">
+                <div class="card">
+                    ${isAccepted ? `
+                        <div class="resolved-badge mb-3">
+                            <i class="fas fa-check-circle"></i>
+                            Accepted Answer
+                        </div>
+                    ` : ''}
+                    <div class="author-info mb-3">
+                        <div class="author-avatar">${comment.authorName.substring(0, 2).toUpperCase()}</div>
+                        <div>
+                            <div class="author-name">${this.renderAuthorLink(comment.authorId, comment.authorName)}</div>
+                            <div class="author-institution">${this.escapeHtml(comment.authorInstitution || '')}</div>
+                        </div>
+                    </div>
+                    ${this.renderCommentBadges(comment)}
+                    <div class="markdown-body">${renderMarkdown(comment.content)}</div>
+                    ${this.renderAttachments(comment.attachments)}
+                    ${this.renderCommentReference(comment.reference)}
+                    <div class="discussion-meta mt-3">
+                        <div class="flex items-center gap-3 text-muted">
+                            <a href="#discussion/${discussionId}/${comment.id}" class="comment-permalink" title="Link to this comment">
+                                ${this.formatTimeAgo(comment.createdAt)}
+                            </a>
+                            ${replyCount ? `
+                                <button class="btn btn-ghost btn-sm" onclick="app.toggleCommentReplies('${comment.id}')">
+                                    <i class="fas ${collapsed ? 'fa-chevron-right' : 'fa-chevron-down'}" id="replies-toggle-${comment.id}"></i>
+                                    ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}
+                                </button>
+                            ` : ''}
+                        </div>
+                        <div class="flex items-center gap-2">
+                            ${canAccept ? `
+                                <button class="btn btn-ghost btn-sm ${isAccepted ? 'text-success' : ''}" onclick="app.toggleAcceptedAnswer('${discussionId}', '${comment.id}')">
+                                    <i class="fas fa-check-circle"></i> ${isAccepted ? 'Unaccept' : 'Accept Answer'}
+                                </button>
+                            ` : ''}
+                            ${canReply ? `
+                                <button class="btn btn-ghost btn-sm" onclick="app.toggleReplyForm('${comment.id}')">
+                                    <i class="fas fa-reply"></i> Reply
+                                </button>
+                            ` : ''}
+                            <button class="btn btn-ghost btn-sm ${commentLiked ? 'text-red-500' : ''}" 
+                                    onclick="app.toggleCommentLike('${comment.id}')">
+                                <i class="fas fa-heart ${commentLiked ? 'fas' : 'far'}"></i> ${comment.likes || 0}
+                            </button>
+                        </div>
+                    </div>
+                    ${canReply ? `
+                        <div class="mt-3 hidden" id="reply-form-${comment.id}">
+                            ${this.renderMarkdownTabs(`replyContent-${comment.id}`)}
+                            <textarea id="replyContent-${comment.id}" class="form-input form-textarea" data-mentions 
+                                      placeholder="Reply to ${this.escapeHtml(comment.authorName)}..."
+                                      rows="2" maxlength="1000"></textarea>
+                            <div id="replyContent-${comment.id}Preview" class="markdown-preview markdown-body hidden"></div>
+                            <div class="flex gap-2 justify-end mt-2">
+                                <button class="btn btn-outline btn-sm" onclick="app.toggleReplyForm('${comment.id}')">Cancel</button>
+                                <button class="btn btn-primary btn-sm" onclick="app.addReply('${discussionId}', '${comment.id}')">
+                                    <i class="fas fa-paper-plane"></i>
+                                    Post Reply
+                                </button>
+                            </div>
+                        </div>
+                    ` : ''}
+                </div>
+                ${replies.length ? `
+                    <div class="comment-replies space-y-4 ${collapsed ? 'hidden' : ''}" id="replies-${comment.id}">
+                        ${replies.map(reply => this.renderComment(reply, childrenByParent, thread)).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    countCommentReplies(commentId, childrenByParent) {
+        return (childrenByParent[commentId] || []).reduce((count, reply) => {
+            return count + 1 + this.countCommentReplies(reply.id, childrenByParent);
+        }, 0);
+    }
+    
+    toggleCommentReplies(commentId) {
+        const replies = document.getElementById(`replies-${commentId}`);
+        const icon = document.getElementById(`replies-toggle-${commentId}`);
+        if (!replies) return;
+        
+        if (this.collapsedComments.has(commentId)) {
+            this.collapsedComments.delete(commentId);
+        } else {
+            this.collapsedComments.add(commentId);
+        }
+        
+        const collapsed = this.collapsedComments.has(commentId);
+        replies.classList.toggle('hidden', collapsed);
+        icon?.classList.toggle('fa-chevron-right', collapsed);
+        icon?.classList.toggle('fa-chevron-down', !collapsed);
+    }
+    
+    toggleReplyForm(commentId) {
+        const form = document.getElementById(`reply-form-${commentId}`);
+        if (!form) return;
+        
+        form.classList.toggle('hidden');
+        if (!form.classList.contains('hidden')) {
+            document.getElementById(`replyContent-${commentId}`)?.focus();
+        }
+    }
+    
+    // Expands any collapsed ancestors, then scrolls to and highlights a comment
+    focusComment(commentId) {
+        const comments = this.currentDiscussion?.commentsList || [];
+        let comment = comments.find(c => c.id === commentId);
+        
+        if (!comment) {
+            this.showToast('Comment not found', 'warning');
+            return;
+        }
+        
+        while (comment?.parentId) {
+            if (this.collapsedComments.has(comment.parentId)) {
+                this.toggleCommentReplies(comment.parentId);
+            }
+            comment = comments.find(c => c.id === comment.parentId);
+        }
+        
+        const element = document.getElementById(`comment-${commentId}`);
+        if (element) {
+            element.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+            element.classList.add('comment-highlight');
+            setTimeout(() => element.classList.remove('comment-highlight'), 2000);
+        }
+    }
+    
+    // ========== PROJECT MANAGEMENT ==========
+    
+    createProject() {
+        if (!this.authorize('project.create', {}, 'Guests cannot create projects')) return;
+        
+        const title = document.getElementById('projectTitle').value.trim();
+        const description = document.getElementById('projectDescription').value.trim();
+        const tagsInput = document.getElementById('projectTags').value.trim();
+        const institution = document.getElementById('projectInstitution').value.trim();
+        const position = document.getElementById('projectPosition').value;
+        
+        if (!title || !description || !position) {
+            this.showToast('Title, description, and position are required', 'error');
+            return;
+        }
+        
+        if (description.length > 2000) {
+            this.showToast('Description must be 2000 characters or less', 'error');
+            return;
+        }
+        
+        const tags = tagsInput ? 
+            tagsInput.split(',').map(t => t.trim()).filter(t => t) : [];
+        
+        const project = {
+            id: `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            title: title,
+            description: description,
+            tags: tags,
+            institution: institution || this.user.institution,
+            ownerId: this.user.id,
+            ownerName: this.user.name,
+            ownerType: this.user.type,
+            ownerPosition: position,
+            teamMembers: [],
+            discussions: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        
+        const projects = this.getProjects();
+        projects.push(project);
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        // Add activity
+        this.addActivity({
+            type: 'project_created',
+            description: `${this.user.name} started "${title}"`,
+            projectId: project.id
+        });
+        
+        // Update tags
+        this.updateTagsCount(tags);
+        
+        this.showToast('Project created successfully!', 'success');
+        this.hideModal('newProjectModal');
+        this.navigateTo(`project/${project.id}`);
+    }
+    
+    showEditProjectModal(projectId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!this.can('project.edit', { project })) {
+            this.showToast('Only project leads can edit this project', 'warning');
+            return;
+        }
+        
+        document.getElementById('editProjectId').value = project.id;
+        document.getElementById('editProjectTitle').value = project.title;
+        document.getElementById('editProjectDescription').value = project.description;
+        document.getElementById('editProjectTags').value = (project.tags || []).join(', ');
+        document.getElementById('editDescCounter').textContent = `${project.description.length}/2000`;
+        
+        // Older projects store a free-text position that isn't one of the options
+        const positionSelect = document.getElementById('editProjectPosition');
+        if (project.ownerPosition && ![...positionSelect.options].some(o => o.value === project.ownerPosition)) {
+            positionSelect.add(new Option(project.ownerPosition, project.ownerPosition));
+        }
+        positionSelect.value = project.ownerPosition || '';
+        
+        this.showModal('editProjectModal');
+    }
+    
+    updateProject() {
+        const projectId = document.getElementById('editProjectId').value;
+        const title = document.getElementById('editProjectTitle').value.trim();
+        const description = document.getElementById('editProjectDescription').value.trim();
+        const tagsInput = document.getElementById('editProjectTags').value.trim();
+        const position = document.getElementById('editProjectPosition').value;
+        
+        if (!title || !description || !position) {
+            this.showToast('Title, description, and position are required', 'error');
+            return;
+        }
+        
+        if (description.length > 2000) {
+            this.showToast('Description must be 2000 characters or less', 'error');
+            return;
+        }
+        
+        const tags = tagsInput ? 
+            [...new Set(tagsInput.split(',').map(t => t.trim()).filter(t => t))] : [];
+        
+        const saved = this.applyProjectEdit(projectId, {
+            title: title,
+            description: description,
+            tags: tags,
+            ownerPosition: position
+        });
+        
+        if (saved === null) return;
+        
+        this.showToast(saved ? 'Project updated successfully!' : 'No changes to save', saved ? 'success' : 'info');
+        this.hideModal('editProjectModal');
+        this.loadProjectDetail(projectId);
+    }
+    
+    // Applies edits to the editable project fields, records a revision and keeps
+    // thoraxlab_tags counts in step. Returns true when something changed, false
+    // when nothing did and null when the edit was rejected.
+    applyProjectEdit(projectId, values, restoredFrom = null) {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return null;
+        }
+        
+        if (!this.can('project.edit', { project })) {
+            this.showToast('Only project leads can edit this project', 'warning');
+            return null;
+        }
+        
+        const changes = this.diffProjectFields(project, values);
+        if (!changes.length) return false;
+        
+        changes.forEach(change => {
+            project[change.field] = change.to;
+        });
+        project.updatedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        const tagChange = changes.find(change => change.field === 'tags');
+        if (tagChange) {
+            this.updateTagsCount(tagChange.to.filter(tag => !tagChange.from.includes(tag)));
+            this.updateTagsCount(tagChange.from.filter(tag => !tagChange.to.includes(tag)), -1);
+        }
+        
+        const revisions = this.loadJSON('thoraxlab_revisions') || {};
+        if (!revisions[projectId]) {
+            revisions[projectId] = [];
+        }
+        revisions[projectId].push({
+            id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            projectId: projectId,
+            userId: this.user.id,
+            userName: this.user.name,
+            createdAt: project.updatedAt,
+            restoredFrom: restoredFrom,
+            changes: changes
+        });
+        this.saveJSON('thoraxlab_revisions', revisions);
+        
+        this.addActivity({
+            type: 'project_updated',
+            description: restoredFrom ?
+                `${this.user.name} restored an earlier version of "${project.title}"` :
+                `${this.user.name} updated ${changes.map(c => PROJECT_FIELD_LABELS[c.field].toLowerCase()).join(', ')} of "${project.title}"`,
+            projectId: projectId
+        });
+        
+        return true;
+    }
+    
+    diffProjectFields(project, values) {
+        return Object.keys(PROJECT_FIELD_LABELS)
+            .filter(field => field in values)
+            .filter(field => JSON.stringify(project[field] ?? null) !== JSON.stringify(values[field] ?? null))
+            .map(field => ({
+                field: field,
+                from: project[field] ?? (field === 'tags' ? [] : ''),
+                to: values[field]
+            }));
+    }
+    
+    getProjectRevisions(projectId) {
+        const revisions = this.loadJSON('thoraxlab_revisions') || {};
+        return revisions[projectId] || [];
+    }
+    
+    // Rebuilds the editable fields as they were right after the given revision
+    // by undoing every newer revision. Passing null yields the original version.
+    getProjectVersion(projectId, revisionId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        if (!project) return null;
+        
+        const revisions = this.getProjectRevisions(projectId);
+        const index = revisionId ? revisions.findIndex(r => r.id === revisionId) : -1;
+        if (revisionId && index === -1) return null;
+        
+        const version = {};
+        Object.keys(PROJECT_FIELD_LABELS).forEach(field => {
+            version[field] = project[field];
+        });
+        
+        revisions.slice(index + 1).reverse().forEach(revision => {
+            revision.changes.forEach(change => {
+                version[change.field] = change.from;
+            });
+        });
+        
+        return version;
+    }
+    
+    showProjectRevision(projectId, revisionId) {
+        const version = this.getProjectVersion(projectId, revisionId || null);
+        const container = document.getElementById('projectRevisionBody');
+        
+        if (!version || !container) {
+            this.showToast('Revision not found', 'error');
+            return;
+        }
+        
+        const project = this.getProjects().find(p => p.id === projectId);
+        const revision = this.getProjectRevisions(projectId).find(r => r.id === revisionId);
+        const canRestore = this.can('project.edit', { project });
+        
+        container.innerHTML = `
+            <p class="text-muted mb-4">
+                ${revision ? 
+                    `Saved by ${this.escapeHtml(revision.userName)} on ${this.formatDate(revision.createdAt)}` : 
+                    `Original version from ${this.formatDate(project.createdAt)}`}
+            </p>
+            
+            ${revision ? `
+                <div class="mb-6">
+                    <h3 class="mb-2">Changes</h3>
+                    <div class="space-y-3">
+                        ${revision.changes.map(change => `
+                            <div class="p-3 bg-surface rounded-lg">
+                                <div class="font-semibold mb-1">${PROJECT_FIELD_LABELS[change.field]}</div>
+                                <div class="text-muted"><del>${this.escapeHtml(this.formatProjectField(change.field, change.from))}</del></div>
+                                <div>${this.escapeHtml(this.formatProjectField(change.field, change.to))}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            <div class="mb-6">
+                <h3 class="mb-2">${this.escapeHtml(version.title)}</h3>
+                <p class="text-muted mb-2">${this.escapeHtml(this.formatProjectField('ownerPosition', version.ownerPosition))}</p>
+                <p class="mb-2">${this.escapeHtml(version.description)}</p>
+                <div class="project-tags">
+                    ${(version.tags || []).map(tag => `
+                        <span class="project-tag">${this.escapeHtml(tag)}</span>
+                    `).join('')}
+                </div>
+            </div>
+            
+            <div class="flex gap-3 justify-end">
+                <button type="button" class="btn btn-outline" onclick="app.hideModal('projectRevisionModal')">
+                    Close
+                </button>
+                ${canRestore ? `
+                    <button type="button" class="btn btn-primary" onclick="app.restoreProjectRevision('${projectId}', ${revisionId ? `'${revisionId}'` : 'null'})">
+                        <i class="fas fa-undo mr-2"></i>
+                        Restore this Version
+                    </button>
+                ` : ''}
+            </div>
+        `;
+        
+        this.showModal('projectRevisionModal');
+    }
+    
+    restoreProjectRevision(projectId, revisionId) {
+        if (!confirm('Restore this version? Your current title, description, tags and position will be replaced.')) return;
+        
+        const version = this.getProjectVersion(projectId, revisionId);
+        if (!version) {
+            this.showToast('Revision not found', 'error');
+            return;
+        }
+        
+        const saved = this.applyProjectEdit(projectId, version, revisionId || 'original');
+        if (saved === null) return;
+        
+        this.showToast(saved ? 'Project version restored' : 'This version matches the current project', saved ? 'success' : 'info');
+        this.hideModal('projectRevisionModal');
+        this.loadProjectDetail(projectId);
+    }
+    
+    formatProjectField(field, value) {
+        if (field === 'tags') return (value || []).join(', ') || 'No domains';
+        if (field === 'ownerPosition') {
+            return POSITION_LABELS[value] || value || '';
+        }
+        return value || '';
+    }
+    
+    async createDiscussion() {
+        const projectId = document.getElementById('discussionProjectId').value;
+        const title = document.getElementById('discussionTitle').value.trim();
+        const content = document.getElementById('discussionContent').value.trim();
+        const type = document.querySelector('#newDiscussionModal .discussion-type-btn.active')?.dataset.type || 'brainstorm';
+        const files = [...(document.getElementById('discussionAttachments')?.files || [])];
+        
+        if (!title || !content) {
+            this.showToast('Topic and description are required', 'error');
+            return;
+        }
+        
+        if (content.length > 5000) {
+            this.showToast('Description must be 5000 characters or less', 'error');
+            return;
+        }
+        
+        const attachmentError = this.validateAttachmentFiles(files);
+        if (attachmentError) {
+            this.showToast(attachmentError, 'error');
+            return;
+        }
+        
+        const poll = type === 'decision' ? this.readPollFields() : null;
+        if (type === 'decision' && !poll) return;
+        
+        const discussion = {
+            id: `disc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            title: title,
+            content: content,
+            type: type,
+            tags: [],
+            authorId: this.user.id,
+            authorName: this.user.name,
+            authorType: this.user.type,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            likes: 0,
+            comments: 0,
+            views: 0,
+            commentsList: [],
+            mentions: extractMentions(content),
+            attachments: []
+        };
+        
+        if (poll) {
+            discussion.poll = poll;
+        }
+        
+        const project = this.getProjects().find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!this.authorize('discussion.create', { project }, 'Only team members can start discussions in this project')) return;
+        
+        const submit = document.querySelector('#discussionForm button[type="submit"]');
+        submit.disabled = true;
+        try {
+            discussion.attachments = await this.storeAttachments(files);
+        } catch (error) {
+            console.error('Error storing attachments:', error);
+            this.showToast('Could not store the attachments. The browser may be out of storage space.', 'error');
+            return;
+        } finally {
+            submit.disabled = false;
+        }
+        
+        // Read again, other changes may have been saved while the files were stored
+        const projects = this.getProjects();
+        const projectIndex = projects.findIndex(p => p.id === projectId);
+        
+        if (projectIndex === -1) {
+            this.discardAttachments(discussion.attachments);
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!projects[projectIndex].discussions) {
+            projects[projectIndex].discussions = [];
+        }
+        
+        projects[projectIndex].discussions.push(discussion);
+        projects[projectIndex].updatedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        // Add activity
+        this.addActivity({
+            type: 'discussion_started',
+            description: `${this.user.name} started discussion "${title}"`,
+            projectId: projectId,
+            discussionId: discussion.id
+        });
+        
+        this.notify(projects[projectIndex].ownerId, 'project_discussion', {
+            message: `${this.user.name} started "${title}" in ${projects[projectIndex].title}`,
+            link: `discussion/${discussion.id}`,
+            projectId: projectId
+        });
+        
+        this.recordMentions(discussion.mentions, { project: projects[projectIndex], discussion });
+        
+        this.showToast('Discussion started successfully!', 'success');
+        this.hideModal('newDiscussionModal');
+        this.navigateTo(`discussion/${discussion.id}`);
+    }
+    
+    showEditDiscussionModal(discussionId) {
+        const { project, discussion } = this.findDiscussion(this.getProjects(), discussionId);
+        
+        if (!discussion || !this.can('discussion.moderate', { project, discussion })) {
+            this.showToast('Only the author, a project lead or a moderator can edit this discussion', 'warning');
+            return;
+        }
+        
+        document.getElementById('editDiscussionId').value = discussion.id;
+        document.getElementById('editDiscussionTitle').value = discussion.title;
+        document.getElementById('editDiscussionContent').value = discussion.content;
+        document.getElementById('editDiscussionCounter').textContent = `${discussion.content.length}/5000`;
+        document.querySelectorAll('#editDiscussionModal .discussion-type-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.type === discussion.type);
+        });
+        
+        this.showModal('editDiscussionModal');
+    }
+    
+    updateDiscussion() {
+        const discussionId = document.getElementById('editDiscussionId').value;
+        const title = document.getElementById('editDiscussionTitle').value.trim();
+        const content = document.getElementById('editDiscussionContent').value.trim();
+        const type = document.querySelector('#editDiscussionModal .discussion-type-btn.active')?.dataset.type || 'brainstorm';
+        
+        if (!title || !content) {
+            this.showToast('Topic and description are required', 'error');
+            return;
+        }
+        
+        if (content.length > 5000) {
+            this.showToast('Description must be 5000 characters or less', 'error');
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const { project, discussion } = this.findDiscussion(projects, discussionId);
+        
+        if (!discussion || !this.can('discussion.moderate', { project, discussion })) {
+            this.showToast('Only the author, a project lead or a moderator can edit this discussion', 'warning');
+            return;
+        }
+        
+        if (discussion.title === title && discussion.content === content && discussion.type === type) {
+            this.showToast('No changes to save', 'info');
+            this.hideModal('editDiscussionModal');
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        if (!discussion.versions) {
+            discussion.versions = [];
+        }
+        discussion.versions.push({
+            title: discussion.title,
+            content: discussion.content,
+            type: discussion.type,
+            savedAt: discussion.editedAt || discussion.createdAt,
+            replacedBy: this.user.id,
+            replacedByName: this.user.name
+        });
+        
+        const previousMentions = new Set((discussion.mentions || []).map(mention => mention.userId));
+        
+        discussion.title = title;
+        discussion.content = content;
+        discussion.type = type;
+        discussion.mentions = extractMentions(content);
+        discussion.editedAt = now;
+        discussion.editedBy = this.user.id;
+        discussion.updatedAt = now;
+        project.updatedAt = now;
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        this.addActivity({
+            type: 'discussion_edited',
+            description: `${this.user.name} edited discussion "${title}"`,
+            projectId: project.id,
+            discussionId: discussion.id
+        });
+        
+        // Only people newly mentioned by this edit hear about it
+        this.recordMentions(discussion.mentions.filter(mention => !previousMentions.has(mention.userId)), { project, discussion });
+        
+        this.showToast('Discussion updated', 'success');
+        this.hideModal('editDiscussionModal');
+        this.loadDiscussionDetail(discussionId);
+    }
+    
+    // Soft delete: the discussion, its comments, the likes on both and the
+    // activity entries that point at it are moved together into
+    // thoraxlab_archive so a project lead can restore them later
+    deleteDiscussion(discussionId) {
+        const projects = this.getProjects();
+        const { project, discussion, index } = this.findDiscussion(projects, discussionId);
+        
+        if (!discussion || !this.can('discussion.moderate', { project, discussion })) {
+            this.showToast('Only the author, a project lead or a moderator can delete this discussion', 'warning');
+            return;
+        }
+        
+        const commentCount = (discussion.commentsList || []).length;
+        if (!confirm(`Delete "${discussion.title}"${commentCount ? ` and its ${commentCount} comment${commentCount === 1 ? '' : 's'}` : ''}? A project lead can restore it later.`)) return;
+        
+        const now = new Date().toISOString();
+        project.discussions.splice(index, 1);
+        project.updatedAt = now;
+        
+        // Pull out the likes that belong to this discussion and its comments
+        const likeKeys = new Set([
+            `discussion_${discussion.id}`,
+            ...(discussion.commentsList || []).map(comment => `comment_${comment.id}`)
+        ]);
+        const likes = this.loadJSON('thoraxlab_likes') || {};
+        const archivedLikes = {};
+        Object.entries(likes).forEach(([userId, userLikes]) => {
+            Object.keys(userLikes).forEach(key => {
+                if (likeKeys.has(key)) {
+                    (archivedLikes[userId] = archivedLikes[userId] || []).push(key);
+                    delete userLikes[key];
+                }
+            });
+        });
+        
+        const activities = this.getActivities();
+        const archivedActivities = activities.filter(activity => activity.discussionId === discussion.id);
+        
+        const archive = this.loadJSON('thoraxlab_archive') || [];
+        archive.push({
+            id: `archive_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'discussion',
+            projectId: project.id,
+            position: index,
+            discussion: discussion,
+            likes: archivedLikes,
+            activities: archivedActivities,
+            deletedAt: now,
+            deletedBy: this.user.id,
+            deletedByName: this.user.name
+        });
+        
+        this.saveJSON('thoraxlab_projects', projects);
+        this.saveJSON('thoraxlab_likes', likes);
+        this.saveJSON('thoraxlab_activity', activities.filter(activity => activity.discussionId !== discussion.id));
+        this.saveJSON('thoraxlab_archive', archive);
+        
+        this.addActivity({
+            type: 'discussion_deleted',
+            description: `${this.user.name} deleted discussion "${discussion.title}"`,
+            projectId: project.id
+        });
+        
+        this.showToast('Discussion deleted', 'success');
+        this.navigateTo(`project/${project.id}`);
+    }
+    
+    getArchivedDiscussions(projectId) {
+        return (this.loadJSON('thoraxlab_archive') || [])
+            .filter(entry => entry.kind === 'discussion' && entry.projectId === projectId);
+    }
+    
+    restoreDiscussion(archiveId) {
+        const archive = this.loadJSON('thoraxlab_archive') || [];
+        const entry = archive.find(e => e.id === archiveId);
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === entry?.projectId);
+        
+        if (!entry || !project) {
+            this.showToast('Deleted discussion not found', 'error');
+            return;
+        }
+        
+        if (!this.can('discussion.restore', { project })) {
+            this.showToast('Only project leads and moderators can restore discussions', 'warning');
+            return;
+        }
+        
+        if (!project.discussions) {
+            project.discussions = [];
+        }
+        project.discussions.splice(Math.min(entry.position, project.discussions.length), 0, entry.discussion);
+        project.updatedAt = new Date().toISOString();
+        
+        const likes = this.loadJSON('thoraxlab_likes') || {};
+        Object.entries(entry.likes).forEach(([userId, keys]) => {
+            likes[userId] = likes[userId] || {};
+            keys.forEach(key => {
+                likes[userId][key] = true;
+            });
+        });
+        
+        const activities = this.getActivities()
+            .concat(entry.activities)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, 100);
+        
+        this.saveJSON('thoraxlab_projects', projects);
+        this.saveJSON('thoraxlab_likes', likes);
+        this.saveJSON('thoraxlab_activity', activities);
+        this.saveJSON('thoraxlab_archive', archive.filter(e => e.id !== archiveId));
+        
+        this.addActivity({
+            type: 'discussion_restored',
+            description: `${this.user.name} restored discussion "${entry.discussion.title}"`,
+            projectId: project.id,
+            discussionId: entry.discussion.id
+        });
+        
+        this.showToast('Discussion restored', 'success');
+        this.loadProjectDetail(project.id);
+    }
+    
+    addComment() {
+        const discussionId = document.getElementById('commentDiscussionId').value;
+        const content = document.getElementById('commentContent').value.trim();
+        
+        if (!content) {
+            this.showToast('Comment content is required', 'error');
+            return;
+        }
+        
+        this.addCommentToDiscussion(discussionId, content);
+    }
+    
+    async addQuickComment(discussionId) {
+        const content = document.getElementById('quickComment').value.trim();
+        const files = [...(document.getElementById('quickCommentAttachments')?.files || [])];
+        
+        if (!content) {
+            this.showToast('Comment content is required', 'error');
+            return;
+        }
+        
+        if (content.length > 1000) {
+            this.showToast('Comment must be 1000 characters or less', 'error');
+            return;
+        }
+        
+        const attachmentError = this.validateAttachmentFiles(files);
+        if (attachmentError) {
+            this.showToast(attachmentError, 'error');
+            return;
+        }
+        
+        const submit = document.getElementById('quickCommentSubmit');
+        let attachments;
+        submit.disabled = true;
+        try {
+            attachments = await this.storeAttachments(files);
+        } catch (error) {
+            console.error('Error storing attachments:', error);
+            this.showToast('Could not store the attachments. The browser may be out of storage space.', 'error');
+            return;
+        } finally {
+            submit.disabled = false;
+        }
+        
+        const comment = this.addCommentToDiscussion(discussionId, content, null, {
+            type: document.getElementById('quickCommentType')?.value,
+            evidenceGrade: document.getElementById('quickCommentGrade')?.value,
+            reference: document.getElementById('quickCommentReference')?.value.trim(),
+            attachments
+        });
+        if (!comment) {
+            this.discardAttachments(attachments);
+            return;
+        }
+        document.getElementById('quickComment').value = '';
+        document.getElementById('quickCommentCounter').textContent = '0/1000';
+        this.setMarkdownMode('quickComment', 'write');
+    }
+    
+    addReply(discussionId, parentId) {
+        const input = document.getElementById(`replyContent-${parentId}`);
+        const content = input?.value.trim() || '';
+        
+        if (!content) {
+            this.showToast('Reply content is required', 'error');
+            return;
+        }
+        
+        if (content.length > 1000) {
+            this.showToast('Reply must be 1000 characters or less', 'error');
+            return;
+        }
+        
+        this.addCommentToDiscussion(discussionId, content, parentId);
+    }
+    
+    addCommentToDiscussion(discussionId, content, parentId = null, details = {}) {
+        const comment = {
+            id: `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            parentId: null,
+            content: content,
+            type: Object.hasOwn(COMMENT_TYPES, details.type) ? details.type : null,
+            evidenceGrade: Object.hasOwn(EVIDENCE_GRADES, details.evidenceGrade) ? details.evidenceGrade : null,
+            reference: (details.reference || '').substring(0, 300) || null,
+            mentions: extractMentions(content),
+            attachments: details.attachments || [],
+            authorId: this.user.id,
+            authorName: this.user.name,
+            authorType: this.user.type,
+            authorInstitution: this.user.institution,
+            createdAt: new Date().toISOString(),
+            likes: 0
+        };
+        
+        const projects = this.getProjects();
+        let discussionUpdated = false;
+        let parent = null;
+        
+        for (const project of projects) {
+            if (project.discussions) {
+                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
+                if (discussionIndex !== -1) {
+                    if (!this.authorize('comment.create', { project, discussion: project.discussions[discussionIndex] }, 'Guests cannot comment')) return;
+                    if (!project.discussions[discussionIndex].commentsList) {
+                        project.discussions[discussionIndex].commentsList = [];
+                    }
+                    if (parentId) {
+                        parent = this.resolveReplyParent(project.discussions[discussionIndex].commentsList, parentId);
+                        if (!parent) {
+                            this.showToast('The comment you replied to no longer exists', 'error');
+                            return;
+                        }
+                        comment.parentId = parent.id;
+                    }
+                    project.discussions[discussionIndex].commentsList.push(comment);
+                    project.discussions[discussionIndex].comments = (project.discussions[discussionIndex].comments || 0) + 1;
+                    project.discussions[discussionIndex].updatedAt = new Date().toISOString();
+                    project.updatedAt = new Date().toISOString();
+                    discussionUpdated = true;
+                    break;
+                }
+            }
+        }
+        
+        if (discussionUpdated) {
+            this.saveJSON('thoraxlab_projects', projects);
+            
+            const { project, discussion } = this.findDiscussion(projects, discussionId);
+            const link = `discussion/${discussionId}/${comment.id}`;
+            this.notifyEach([
+                parent && {
+                    recipientId: parent.authorId,
+                    type: 'discussion_reply',
+                    message: `${this.user.name} replied to your comment in "${discussion.title}"`,
+                    link, projectId: project.id
+                },
+                {
+                    recipientId: discussion.authorId,
+                    type: 'discussion_reply',
+                    message: `${this.user.name} replied to your discussion "${discussion.title}"`,
+                    link, projectId: project.id
+                },
+                {
+                    recipientId: project.ownerId,
+                    type: 'project_comment',
+                    message: `${this.user.name} commented on "${discussion.title}" in ${project.title}`,
+                    link, projectId: project.id
+                }
+            ].filter(Boolean));
+            
+            // Add activity
+            this.addActivity({
+                type: parent ? 'comment_reply' : 'comment_added',
+                description: parent ?
+                    `${this.user.name} replied to ${parent.authorName} in a discussion` :
+                    `${this.user.name} added insight to a discussion`,
+                projectId: this.findDiscussion(projects, discussionId).project.id,
+                discussionId: discussionId,
+                commentId: comment.id
+            });
+            
+            this.recordMentions(comment.mentions, { project, discussion, comment });
+            
+            this.showToast(parent ? 'Reply posted' : 'Insight added successfully!', 'success');
+            this.hideModal('commentModal');
+            this.loadDiscussionDetail(discussionId, parent ? comment.id : null);
+            return comment;
+        } else {
+            this.showToast('Discussion not found', 'error');
+        }
+    }
+    
+    // Replies nest at most COMMENT_MAX_DEPTH levels deep; replying deeper than
+    // that attaches the reply to the deepest allowed ancestor instead
+    resolveReplyParent(commentsList, parentId) {
+        const byId = {};
+        commentsList.forEach(comment => {
+            byId[comment.id] = comment;
+        });
+        
+        const chain = [];
+        let current = byId[parentId];
+        while (current) {
+            chain.unshift(current);
+            current = current.parentId ? byId[current.parentId] : null;
+        }
+        
+        if (!chain.length) return null;
+        return chain[Math.min(chain.length, COMMENT_MAX_DEPTH) - 1];
+    }
+    
+    // ========== INTERACTION METHODS ==========
+    
+    toggleDiscussionLike(discussionId) {
+        if (!this.authorize('discussion.like', {}, 'Guests cannot like discussions')) return;
+        
+        const liked = this.toggleLike('discussion', discussionId);
+        const projects = this.getProjects();
+        
+        for (const project of projects) {
+            if (project.discussions) {
+                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
+                if (discussionIndex !== -1) {
+                    if (liked) {
+                        project.discussions[discussionIndex].likes = (project.discussions[discussionIndex].likes || 0) + 1;
+                        this.notify(project.discussions[discussionIndex].authorId, 'like', {
+                            message: `${this.user.name} liked your discussion "${project.discussions[discussionIndex].title}"`,
+                            link: `discussion/${discussionId}`,
+                            projectId: project.id
+                        });
+                    } else {
+                        project.discussions[discussionIndex].likes = Math.max(0, (project.discussions[discussionIndex].likes || 0) - 1);
+                    }
+                    project.updatedAt = new Date().toISOString();
+                    break;
+                }
+            }
+        }
+        
+        this.saveJSON('thoraxlab_projects', projects);
+        this.loadDiscussionDetail(discussionId);
+    }
+    
+    toggleCommentLike(commentId) {
+        if (!this.authorize('comment.like', {}, 'Guests cannot like comments')) return;
+        
+        if (this.toggleLike('comment', commentId)) {
+            const comment = (this.currentDiscussion.commentsList || []).find(c => c.id === commentId);
+            this.notify(comment?.authorId, 'like', {
+                message: `${this.user.name} liked your comment in "${this.currentDiscussion.title}"`,
+                link: `discussion/${this.currentDiscussion.id}/${commentId}`,
+                projectId: this.currentDiscussion.projectId
+            });
+        }
+        this.loadDiscussionDetail(this.currentDiscussion.id);
+    }
+    
+    toggleLike(type, id) {
+        const likes = this.loadJSON('thoraxlab_likes') || {};
+        const key = `${type}_${id}`;
+        
+        if (!likes[this.user.id]) {
+            likes[this.user.id] = {};
+        }
+        
+        const hasLiked = likes[this.user.id][key];
+        
+        if (hasLiked) {
+            delete likes[this.user.id][key];
+        } else {
+            likes[this.user.id][key] = true;
+        }
+        
+        this.saveJSON('thoraxlab_likes', likes);
+        return !hasLiked;
+    }
+    
+    hasLikedDiscussion(discussionId) {
+        const likes = this.loadJSON('thoraxlab_likes') || {};
+        return likes[this.user?.id]?.[`discussion_${discussionId}`] || false;
+    }
+    
+    hasLikedComment(commentId) {
+        const likes = this.loadJSON('thoraxlab_likes') || {};
+        return likes[this.user?.id]?.[`comment_${commentId}`] || false;
+    }
+    
+    incrementDiscussionViews(discussionId) {
+        const projects = this.getProjects();
+        
+        for (const project of projects) {
+            if (project.discussions) {
+                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
+                if (discussionIndex !== -1) {
+                    project.discussions[discussionIndex].views = (project.discussions[discussionIndex].views || 0) + 1;
+                    project.updatedAt = new Date().toISOString();
+                    break;
+                }
+            }
+        }
+        
+        this.saveJSON('thoraxlab_projects', projects);
+    }
+    
+    // ========== DATA MANAGEMENT ==========
+    
+    getProjects() {
+        return this.loadJSON('thoraxlab_projects') || [];
+    }
+    
+    getActivities() {
+        return this.loadJSON('thoraxlab_activity') || [];
+    }
+    
+    // Locates a discussion inside an already loaded projects array so callers
+    // can mutate it in place and save the array back
+    findDiscussion(projects, discussionId) {
+        for (const project of projects) {
+            const index = (project.discussions || []).findIndex(d => d.id === discussionId);
+            if (index !== -1) {
+                return { project, discussion: project.discussions[index], index };
+            }
+        }
+        return { project: null, discussion: null, index: -1 };
+    }
+    
+    getTags() {
+        return this.loadJSON('thoraxlab_tags') || {};
+    }
+    
+    addActivity(activity) {
+        const activities = this.getActivities();
+        activities.unshift({
+            id: `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...activity,
+            timestamp: new Date().toISOString(),
+            userId: this.user?.id
+        });
+        
+        if (activities.length > 100) {
+            activities.length = 100;
+        }
+        
+        this.saveJSON('thoraxlab_activity', activities);
+    }
+    
+    updateTagsCount(newTags, delta = 1) {
+        const tags = this.getTags();
+        
+        newTags.forEach(tag => {
+            if (tags[tag]) {
+                tags[tag].count += delta;
+                if (tags[tag].count <= 0) {
+                    delete tags[tag];
+                }
+            } else if (delta > 0) {
+                tags[tag] = { count: delta, frequency: 'low' };
+            }
+        });
+        
+        this.saveJSON('thoraxlab_tags', tags);
+    }
+    
+    toggleTag(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.add(tag);
+        }
+        
+        document.querySelectorAll(`[data-tag="${tag}"]`).forEach(el => {
+            el.classList.toggle('active', this.selectedTags.has(tag));
+        });
+        
+        if (window.location.hash.includes('projects')) {
+            this.loadAllProjects();
+        }
+    }
+    
+    calculateProjectEngagement(project) {
+        if (!project.discussions) return 0;
+        return project.discussions.reduce((sum, disc) => {
+            return sum + (disc.likes || 0) + (disc.comments || 0);
+        }, 0);
+    }
+    
+    // ========== UTILITY METHODS ==========
+    
+    getActivityIcon(type) {
+        const icons = {
+            'project_created': '<i class="fas fa-project-diagram"></i>',
+            'project_updated': '<i class="fas fa-edit"></i>',
+            'discussion_started': '<i class="fas fa-comments"></i>',
+            'discussion_edited': '<i class="fas fa-edit"></i>',
+            'discussion_deleted': '<i class="fas fa-trash"></i>',
+            'discussion_restored': '<i class="fas fa-trash-restore"></i>',
+            'comment_added': '<i class="fas fa-comment-medical"></i>',
+            'comment_reply': '<i class="fas fa-reply"></i>',
+            'user_joined': '<i class="fas fa-user-plus"></i>',
+            'member_added': '<i class="fas fa-user-plus"></i>',
+            'member_updated': '<i class="fas fa-user-tag"></i>',
+            'member_removed': '<i class="fas fa-user-minus"></i>',
+            'member_left': '<i class="fas fa-sign-out-alt"></i>',
+            'review_submitted': '<i class="fas fa-clipboard-check"></i>',
+            'decision_recorded': '<i class="fas fa-gavel"></i>',
+            'answer_accepted': '<i class="fas fa-check-circle"></i>',
+            'mention': '<i class="fas fa-at"></i>',
+            'workspace_imported': '<i class="fas fa-file-import"></i>',
+            'join_request': '<i class="fas fa-door-open"></i>',
+            'join_approved': '<i class="fas fa-user-check"></i>'
+        };
+        return icons[type] || '<i class="fas fa-bell"></i>';
+    }
+    
+    getDiscussionIcon(type) {
+        const icons = {
+            'brainstorm': 'fas fa-lightbulb',
+            'question': 'fas fa-question-circle',
+            'decision': 'fas fa-gavel',
+            'insight': 'fas fa-eye'
+        };
+        return icons[type] || 'fas fa-comments';
+    }
+    
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', { 
+            month: 'short', 
+            day: 'numeric', 
+            year: 'numeric' 
+        });
+    }
+    
+    formatDateTime(dateString) {
+        const time = new Date(dateString).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return `${this.formatDate(dateString)} ${time}`;
+    }
+    
+    formatTimeAgo(dateString) {
+        const date = new Date(dateString);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+        
+        if (diffDays === 0) {
+            const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+            if (diffHours === 0) {
+                const diffMinutes = Math.floor(diffMs / (1000 * 60));
+                return diffMinutes <= 1 ? 'Just now' : `${diffMinutes}m ago`;
+            }
+            return diffHours === 1 ? '1 hour ago' : `${diffHours}h ago`;
+        } else if (diffDays === 1) {
+            return 'Yesterday';
+        } else if (diffDays < 7) {
+            return `${diffDays}d ago`;
+        } else if (diffDays < 30) {
+            const weeks = Math.floor(diffDays / 7);
+            return `${weeks}w ago`;
+        } else {
+            return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        }
+    }
+    
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    
+    toDateInputValue(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().substring(0, 10);
+    }
+    
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // ========== MODAL MANAGEMENT ==========
+    
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('active');
+            document.body.style.overflow = 'hidden';
+        }
+    }
+    
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('active');
+            document.body.style.overflow = '';
+            
+            const form = modal.querySelector('form');
+            if (form) form.reset();
+        }
+    }
+    
+    showNewDiscussionModal(projectId) {
+        document.getElementById('discussionProjectId').value = projectId;
+        this.updateDecisionFields();
+        this.setMarkdownMode('discussionContent', 'write');
+        this.updateAttachmentPicker('discussionAttachments');
+        this.showModal('newDiscussionModal');
+    }
+    
+    showCommentModal(discussionId) {
+        document.getElementById('commentDiscussionId').value = discussionId;
+        this.showModal('commentModal');
+    }
+    
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+        
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        
+        const icons = {
+            success: 'fa-check-circle',
+            error: 'fa-exclamation-circle',
+            warning: 'fa-exclamation-triangle',
+            info: 'fa-info-circle'
+        };
+        
+        toast.innerHTML = `
+            <i class="fas ${icons[type]} toast-icon"></i>
+            <div class="toast-content">
+                <span>${this.escapeHtml(message)}</span>
+            </div>
+            <button class="toast-close">&times;</button>
+        `;
+        
+        container.appendChild(toast);
+        
+        toast.querySelector('.toast-close').addEventListener('click', () => toast.remove());
+        
+        setTimeout(() => {
+            toast.style.animation = 'slideOut 0.3s ease';
+            setTimeout(() => toast.remove(), 300);
+        }, 4000);
+    }
+    
+    // ========== NOTIFICATIONS ==========
+    
+    getNotificationSettings(userId = this.user?.id) {
+        const settings = this.loadJSON('thoraxlab_notification_settings') || {};
+        return { ...NOTIFICATION_DEFAULTS, ...settings[userId] };
+    }
+    
+    showNotificationSettings() {
+        const settings = this.getNotificationSettings();
+        document.querySelectorAll('#notificationSettingsModal [data-setting]').forEach(input => {
+            input.checked = Boolean(settings[input.dataset.setting]);
+        });
+        document.getElementById('notificationDropdown')?.classList.remove('active');
+        this.showModal('notificationSettingsModal');
+    }
+    
+    saveNotificationSettings() {
+        if (!this.user || this.isVisitor) {
+            this.hideModal('notificationSettingsModal');
+            return;
+        }
+        
+        const settings = this.loadJSON('thoraxlab_notification_settings') || {};
+        settings[this.user.id] = {};
+        document.querySelectorAll('#notificationSettingsModal [data-setting]').forEach(input => {
+            settings[this.user.id][input.dataset.setting] = input.checked;
+        });
+        this.saveJSON('thoraxlab_notification_settings', settings);
+        
+        this.hideModal('notificationSettingsModal');
+        this.showToast('Notification settings saved', 'success');
+        this.checkWeeklyDigest();
+    }
+    
+    getNotifications(userId = this.user?.id) {
+        return (this.loadJSON('thoraxlab_notifications') || [])
+            .filter(n => n.userId === userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    
+    // Creates a notification for another user unless their settings turn
+    // that kind of event off. Actors are never notified about themselves.
+    notify(recipientId, type, details) {
+        if (!recipientId || recipientId === this.user?.id || !NOTIFICATION_TYPES[type]) return;
+        
+        const { setting } = NOTIFICATION_TYPES[type];
+        if (!this.getNotificationSettings(recipientId)[setting]) return;
+        
+        this.addNotification(recipientId, type, details);
+    }
+    
+    addNotification(recipientId, type, details) {
+        const notifications = this.loadJSON('thoraxlab_notifications') || [];
+        notifications.unshift({
+            id: `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId: recipientId,
+            type: type,
+            message: details.message,
+            link: details.link || '',
+            projectId: details.projectId || null,
+            actorId: this.user?.id,
+            actorName: this.user?.name,
+            createdAt: new Date().toISOString(),
+            read: false
+        });
+        
+        if (notifications.length > 500) {
+            notifications.length = 500;
+        }
+        
+        this.saveJSON('thoraxlab_notifications', notifications);
+    }
+    
+    // One event can concern several people; each hears about it once, through
+    // the first (most specific) entry that names them
+    notifyEach(entries) {
+        const notified = new Set();
+        entries.forEach(({ recipientId, type, ...details }) => {
+            if (!recipientId || notified.has(recipientId)) return;
+            notified.add(recipientId);
+            this.notify(recipientId, type, details);
+        });
+    }
+    
+    markNotificationRead(notificationId) {
+        const notifications = this.loadJSON('thoraxlab_notifications') || [];
+        const notification = notifications.find(n => n.id === notificationId && n.userId === this.user?.id);
+        
+        if (notification && !notification.read) {
+            notification.read = true;
+            this.saveJSON('thoraxlab_notifications', notifications);
+        }
+        
+        this.renderNotifications();
+        return notification;
+    }
+    
+    markAllNotificationsRead() {
+        const notifications = this.loadJSON('thoraxlab_notifications') || [];
+        notifications.forEach(n => {
+            if (n.userId === this.user?.id) {
+                n.read = true;
+            }
+        });
+        this.saveJSON('thoraxlab_notifications', notifications);
+        this.renderNotifications();
+    }
+    
+    openNotification(notificationId) {
+        const notification = this.markNotificationRead(notificationId);
+        document.getElementById('notificationDropdown')?.classList.remove('active');
+        
+        if (notification?.link) {
+            window.location.hash = notification.link;
+        }
+    }
+    
+    renderNotifications() {
+        const center = document.getElementById('notificationCenter');
+        const count = document.getElementById('notificationCount');
+        const list = document.getElementById('notificationList');
+        if (!center || !count || !list) return;
+        
+        center.classList.toggle('hidden', !this.user || this.isVisitor);
+        if (!this.user || this.isVisitor) return;
+        
+        const notifications = this.getNotifications();
+        const unread = notifications.filter(n => !n.read).length;
+        
+        count.textContent = unread > 99 ? '99+' : unread;
+        count.classList.toggle('hidden', !unread);
+        
+        if (!notifications.length) {
+            list.innerHTML = `
+                <div class="p-6 text-center text-muted">
+                    <i class="fas fa-bell-slash mb-2"></i>
+                    <div>You're all caught up</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = notifications.slice(0, 30).map(notification => `
+            <div class="notification-item ${notification.read ? '' : 'unread'}" onclick="app.openNotification('${notification.id}')">
+                <i class="${NOTIFICATION_TYPES[notification.type]?.icon || 'fas fa-bell'} notification-icon"></i>
+                <div class="flex-1">
+                    <div class="notification-message">${this.escapeHtml(notification.message)}</div>
+                    <div class="text-sm text-muted">${this.formatTimeAgo(notification.createdAt)}</div>
+                </div>
+                ${notification.read ? '' : `
+                    <button class="btn btn-ghost btn-icon btn-sm" title="Mark as read"
+                            onclick="event.stopPropagation(); app.markNotificationRead('${notification.id}')">
+                        <i class="fas fa-check"></i>
+                    </button>
+                `}
+            </div>
+        `).join('');
+    }
+    
+    setupNotificationCenter() {
+        const bell = document.getElementById('notificationBell');
+        const dropdown = document.getElementById('notificationDropdown');
+        if (!bell || !dropdown) return;
+        
+        bell.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.renderNotifications();
+            dropdown.classList.toggle('active');
+        });
+        
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!bell.contains(e.target) && !dropdown.contains(e.target)) {
+                dropdown.classList.remove('active');
+            }
+        });
+    }
+    
+    // ========== WEEKLY DIGEST ==========
+    
+    // Followed tags default to the user's declared expertise until they pick their own
+    getFollowedTags(userId = this.user?.id) {
+        const followed = this.loadJSON('thoraxlab_followed_tags') || {};
+        return followed[userId] || this.getResearcher(userId)?.expertise || [];
+    }
+    
+    toggleFollowedTag(tag) {
+        if (!this.user || this.isVisitor) return;
+        
+        const followed = this.loadJSON('thoraxlab_followed_tags') || {};
+        const tags = new Set(this.getFollowedTags());
+        if (tags.has(tag)) {
+            tags.delete(tag);
+        } else {
+            tags.add(tag);
+        }
+        followed[this.user.id] = [...tags];
+        this.saveJSON('thoraxlab_followed_tags', followed);
+        this.loadDigest();
+    }
+    
+    getDigestRange() {
+        // Hand-edited links can carry anything; unparseable dates use the default range
+        const parse = (param, time) => {
+            const value = this.routeParams.get(param);
+            const date = value ? new Date(`${value}T${time}`) : null;
+            return date && !Number.isNaN(date.getTime()) ? date : null;
+        };
+        
+        const to = parse('to', '23:59:59.999') || new Date();
+        const from = parse('from', '00:00:00') || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+        
+        return { from, to };
+    }
+    
+    buildDigest(userId, from, to) {
+        const inRange = (date) => date && new Date(date) >= from && new Date(date) <= to;
+        const researcher = this.getResearcher(userId) || { id: userId, name: 'Researcher' };
+        const followedTags = this.getFollowedTags(userId);
+        const followed = new Set(followedTags.map(tag => tag.toLowerCase()));
+        const projects = this.getProjects();
+        const user = { ...researcher, type: researcher.type || 'member' };
+        
+        const newProjects = projects
+            .filter(p => inRange(p.createdAt) && (p.tags || []).some(tag => followed.has(tag.toLowerCase())))
+            .map(p => ({ id: p.id, title: p.title, institution: p.institution, ownerName: p.ownerName, tags: p.tags, createdAt: p.createdAt }));
+        
+        const discussions = [];
+        const projectComments = [];
+        projects.forEach(project => {
+            (project.discussions || []).forEach(discussion => {
+                const comments = (discussion.commentsList || []).filter(c => inRange(c.createdAt));
+                
+                if (comments.length || inRange(discussion.createdAt)) {
+                    discussions.push({
+                        id: discussion.id,
+                        title: discussion.title,
+                        projectTitle: project.title,
+                        newComments: comments.length,
+                        likes: discussion.likes || 0
+                    });
+                }
+                
+                if (project.ownerId === userId) {
+                    comments
+                        .filter(c => c.authorId !== userId)
+                        .forEach(comment => projectComments.push({
+                            id: comment.id,
+                            discussionId: discussion.id,
+                            discussionTitle: discussion.title,
+                            projectTitle: project.title,
+                            authorName: comment.authorName,
+                            content: comment.content,
+                            createdAt: comment.createdAt
+                        }));
+                }
+            });
+        });
+        
+        const activeDiscussions = discussions
+            .sort((a, b) => b.newComments - a.newComments || b.likes - a.likes)
+            .slice(0, 5);
+        projectComments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        // Requests are listed while still open, whenever they were sent
+        const projectTitles = new Map(projects.map(p => [p.id, p.title]));
+        const joinRequests = this.getJoinRequests().filter(r => r.status === 'pending');
+        const pendingRequests = {
+            toReview: joinRequests
+                .filter(r => can(user, 'team.manage', { project: projects.find(p => p.id === r.projectId) }))
+                .map(r => ({ projectTitle: projectTitles.get(r.projectId), userName: r.userName, createdAt: r.createdAt })),
+            sent: joinRequests
+                .filter(r => r.userId === userId)
+                .map(r => ({ projectTitle: projectTitles.get(r.projectId), createdAt: r.createdAt })),
+            invitations: this.getInvitations()
+                .filter(i => this.getInvitationState(i) === 'active' && this.isInvitationFor(i, userId))
+                .map(i => ({ projectTitle: projectTitles.get(i.projectId), invitedByName: i.invitedByName, createdAt: i.createdAt }))
+        };
+        
+        const activityCounts = {};
+        this.getActivities()
+            .filter(activity => inRange(activity.timestamp))
+            .forEach(activity => {
+                activityCounts[activity.type] = (activityCounts[activity.type] || 0) + 1;
+            });
+        
+        return {
+            userName: researcher.name,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            generatedAt: new Date().toISOString(),
+            followedTags,
+            newProjects,
+            activeDiscussions,
+            projectComments,
+            pendingRequests,
+            activityCounts
+        };
+    }
+    
+    loadDigest() {
+        const container = document.getElementById('digestContent');
+        if (!container || !this.user) return;
+        
+        if (this.isVisitor) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📰</div>
+                    <div class="empty-title">Digests are for registered researchers</div>
+                    <p class="text-muted">Sign in to get a weekly summary of your projects</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const { from, to } = this.getDigestRange();
+        document.getElementById('digestFrom').value = this.toDateInputValue(from);
+        document.getElementById('digestTo').value = this.toDateInputValue(to);
+        
+        this.currentDigest = this.buildDigest(this.user.id, from, to);
+        const followed = new Set(this.currentDigest.followedTags);
+        
+        document.getElementById('digestFollowedTags').innerHTML = Object.keys(this.getTags()).sort().map(tag => `
+            <button class="project-tag ${followed.has(tag) ? 'followed' : ''}" data-tag="${this.escapeAttribute(tag)}" onclick="app.toggleFollowedTag(this.dataset.tag)">
+                ${followed.has(tag) ? '<i class="fas fa-check mr-1"></i>' : ''}${this.escapeHtml(tag)}
+            </button>
+        `).join('');
+        
+        container.innerHTML = this.renderDigestSections(this.currentDigest);
+    }
+    
+    describeDigestDiscussion(discussion) {
+        if (!discussion.newComments) return 'New discussion';
+        return `${discussion.newComments} new comment${discussion.newComments === 1 ? '' : 's'}`;
+    }
+    
+    changeDigestRange() {
+        const from = document.getElementById('digestFrom').value;
+        const to = document.getElementById('digestTo').value;
+        
+        if (from && to && from > to) {
+            this.showToast('The start date must be before the end date', 'error');
+            return;
+        }
+        
+        window.location.hash = `digest?from=${from}&to=${to}`;
+    }
+    
+    renderDigestSections(digest) {
+        const activityTotal = Object.values(digest.activityCounts).reduce((sum, n) => sum + n, 0);
+        const { toReview, sent, invitations } = digest.pendingRequests;
+        const section = (icon, title, body) => `
+            <div class="card mb-6">
+                <div class="card-header">
+                    <h2 class="card-title">
+                        <i class="card-icon ${icon}"></i>
+                        ${title}
+                    </h2>
+                </div>
+                ${body}
+            </div>
+        `;
+        const list = (items, render, empty) => items.length ?
+            `<div class="space-y-3">${items.map(render).join('')}</div>` :
+            `<p class="text-muted">${empty}</p>`;
+        
+        return `
+            ${section('fas fa-chart-bar', 'At a Glance', `
+                <p>${activityTotal} update${activityTotal === 1 ? '' : 's'} across ThoraxLab between ${this.formatDate(digest.from)} and ${this.formatDate(digest.to)}.</p>
+            `)}
+            
+            ${section('fas fa-flask', 'New Projects in Followed Tags', list(digest.newProjects, project => `
+                <a href="#project/${project.id}" class="block p-3 bg-surface rounded-lg">
+                    <div class="author-name">${this.escapeHtml(project.title)}</div>
+                    <div class="text-muted">${this.escapeHtml(project.ownerName)} • ${this.escapeHtml(project.institution || '')} • ${(project.tags || []).map(tag => this.escapeHtml(tag)).join(', ')}</div>
+                </a>
+            `, digest.followedTags.length ? 'No new projects in the tags you follow' : 'Follow a few tags above to hear about new projects'))}
+            
+            ${section('fas fa-fire', 'Most Active Discussions', list(digest.activeDiscussions, discussion => `
+                <a href="#discussion/${discussion.id}" class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                    <div class="flex-1">
+                        <div class="author-name">${this.escapeHtml(discussion.title)}</div>
+                        <div class="text-muted">${this.escapeHtml(discussion.projectTitle)}</div>
+                    </div>
+                    <span class="badge badge-primary">${this.describeDigestDiscussion(discussion)}</span>
+                </a>
+            `, 'No discussion activity in this period'))}
+            
+            ${section('fas fa-comment-medical', 'New Comments on Your Projects', list(digest.projectComments, comment => `
+                <a href="#discussion/${comment.discussionId}/${comment.id}" class="block p-3 bg-surface rounded-lg">
+                    <div class="text-muted mb-1">${this.escapeHtml(comment.authorName)} on "${this.escapeHtml(comment.discussionTitle)}" • ${this.formatDate(comment.createdAt)}</div>
+                    <div>${renderMarkdownExcerpt(comment.content, 200)}</div>
+                </a>
+            `, 'No new comments on your projects'))}
+            
+            ${section('fas fa-hourglass-half', 'Pending Requests', `
+                ${list(toReview, request => `
+                    <div class="p-3 bg-surface rounded-lg">${this.escapeHtml(request.userName)} wants to join <strong>${this.escapeHtml(request.projectTitle)}</strong></div>
+                `, 'No join requests waiting for you')}
+                ${sent.length || invitations.length ? `
+                    <div class="space-y-3 mt-3">
+                        ${sent.map(request => `
+                            <div class="p-3 bg-surface rounded-lg">Your request to join <strong>${this.escapeHtml(request.projectTitle)}</strong> is awaiting a decision</div>
+                        `).join('')}
+                        ${invitations.map(invitation => `
+                            <div class="p-3 bg-surface rounded-lg">${this.escapeHtml(invitation.invitedByName)} invited you to <strong>${this.escapeHtml(invitation.projectTitle)}</strong></div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `)}
+        `;
+    }
+    
+    digestToMarkdown(digest) {
+        const activityTotal = Object.values(digest.activityCounts).reduce((sum, n) => sum + n, 0);
+        const { toReview, sent, invitations } = digest.pendingRequests;
+        const lines = [
+            `# ThoraxLab Digest for ${digest.userName}`,
+            '',
+            `_${this.formatDate(digest.from)} – ${this.formatDate(digest.to)}_`,
+            '',
+            `${activityTotal} update${activityTotal === 1 ? '' : 's'} across ThoraxLab in this period.`,
+            '',
+            '## New Projects in Followed Tags',
+            ''
+        ];
+        const bullets = (items, render, empty) => {
+            lines.push(...(items.length ? items.map(item => `- ${render(item)}`) : [`_${empty}_`]), '');
+        };
+        
+        bullets(digest.newProjects, p => `**${p.title}** — ${p.ownerName}, ${p.institution || 'no institution'} (${(p.tags || []).join(', ')})`, 'No new projects');
+        lines.push('## Most Active Discussions', '');
+        bullets(digest.activeDiscussions, d => `**${d.title}** (${d.projectTitle}) — ${this.describeDigestDiscussion(d)}`, 'No discussion activity');
+        lines.push('## New Comments on Your Projects', '');
+        bullets(digest.projectComments, c => `${c.authorName} on "${c.discussionTitle}": ${c.content.substring(0, 200).replace(/\s+/g, ' ')}`, 'No new comments');
+        lines.push('## Pending Requests', '');
+        bullets([
+            ...toReview.map(r => `${r.userName} wants to join **${r.projectTitle}**`),
+            ...sent.map(r => `Your request to join **${r.projectTitle}** is awaiting a decision`),
+            ...invitations.map(i => `${i.invitedByName} invited you to **${i.projectTitle}**`)
+        ], line => line, 'Nothing pending');
+        
+        return lines.join('\n');
+    }
+    
+    // Self-contained page with inline styles so it can be mailed or pasted as is
+    digestToHtml(digest) {
+        const activityTotal = Object.values(digest.activityCounts).reduce((sum, n) => sum + n, 0);
+        const { toReview, sent, invitations } = digest.pendingRequests;
+        const base = `${window.location.origin}${window.location.pathname}`;
+        const esc = (text) => this.escapeHtml(text || '');
+        const section = (title, items, render, empty) => `
+    <h2>${title}</h2>
+    ${items.length ? items.map(item => `<div class="item">${render(item)}</div>`).join('\n    ') : `<p class="muted">${empty}</p>`}`;
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>ThoraxLab Digest – ${esc(digest.userName)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1E293B; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+        h1, h2 { color: #1A365D; }
+        h2 { border-bottom: 1px solid #E2E8F0; padding-bottom: 0.25rem; margin-top: 2rem; }
+        .muted { color: #64748B; }
+        .item { background: #F8FAFC; border-radius: 8px; padding: 0.75rem 1rem; margin: 0.5rem 0; }
+        a { color: #1A365D; }
+    </style>
+</head>
+<body>
+    <h1>ThoraxLab Digest for ${esc(digest.userName)}</h1>
+    <p class="muted">${this.formatDate(digest.from)} – ${this.formatDate(digest.to)}</p>
+    <p>${activityTotal} update${activityTotal === 1 ? '' : 's'} across ThoraxLab in this period.</p>
+    ${section('New Projects in Followed Tags', digest.newProjects, p => `
+        <a href="${base}#project/${p.id}"><strong>${esc(p.title)}</strong></a>
+        <div class="muted">${esc(p.ownerName)} • ${esc(p.institution)} • ${esc((p.tags || []).join(', '))}</div>`, 'No new projects')}
+    ${section('Most Active Discussions', digest.activeDiscussions, d => `
+        <a href="${base}#discussion/${d.id}"><strong>${esc(d.title)}</strong></a>
+        <div class="muted">${esc(d.projectTitle)} • ${this.describeDigestDiscussion(d)}</div>`, 'No discussion activity')}
+    ${section('New Comments on Your Projects', digest.projectComments, c => `
+        <div class="muted">${esc(c.authorName)} on <a href="${base}#discussion/${c.discussionId}/${c.id}">${esc(c.discussionTitle)}</a></div>
+        <div>${esc(c.content.substring(0, 200))}</div>`, 'No new comments')}
+    ${section('Pending Requests', [
+        ...toReview.map(r => `${esc(r.userName)} wants to join <strong>${esc(r.projectTitle)}</strong>`),
+        ...sent.map(r => `Your request to join <strong>${esc(r.projectTitle)}</strong> is awaiting a decision`),
+        ...invitations.map(i => `${esc(i.invitedByName)} invited you to <strong>${esc(i.projectTitle)}</strong>`)
+    ], line => line, 'Nothing pending')}
+    <p class="muted">Generated ${this.formatDate(digest.generatedAt)}</p>
+</body>
+</html>
+`;
+    }
+    
+    exportDigest(format) {
+        if (!this.currentDigest) return;
+        
+        const date = this.currentDigest.to.substring(0, 10);
+        if (format === 'markdown') {
+            this.downloadFile(`thoraxlab-digest-${date}.md`, this.digestToMarkdown(this.currentDigest), 'text/markdown');
+        } else {
+            this.downloadFile(`thoraxlab-digest-${date}.html`, this.digestToHtml(this.currentDigest), 'text/html');
+        }
+    }
+    
+    // Sends a "digest ready" notification at most once a week when enabled
+    checkWeeklyDigest() {
+        if (!this.user || this.isVisitor || !this.getNotificationSettings().weeklyDigest) return;
+        
+        const log = this.loadJSON('thoraxlab_digest_log') || {};
+        const last = log[this.user.id];
+        if (last && Date.now() - new Date(last).getTime() < 7 * 24 * 60 * 60 * 1000) return;
+        
+        log[this.user.id] = new Date().toISOString();
+        this.saveJSON('thoraxlab_digest_log', log);
+        
+        this.addNotification(this.user.id, 'weekly_digest', {
+            message: 'Your weekly digest is ready',
+            link: 'digest'
+        });
+        this.renderNotifications();
+    }
+    
+    // ========== PERMISSIONS ==========
+    
+    can(action, resource = {}) {
+        return can(this.user, action, resource);
+    }
+    
+    // Checks the policy for a mutating method and explains a refusal
+    authorize(action, resource = {}, message = 'You do not have permission to do that') {
+        if (this.can(action, resource)) return true;
+        
+        this.showToast(message, 'warning');
+        return false;
+    }
+    
+    // ========== TEAM MANAGEMENT ==========
+    
+    // The project owner is always the lead; everyone else gets their member role
+    getProjectRole(project, userId = this.user?.id) {
+        if (!project || !userId) return null;
+        if (project.ownerId === userId) return 'lead';
+        
+        const member = (project.teamMembers || []).find(m => m.id === userId);
+        return member ? (member.role || 'contributor') : null;
+    }
+    
+    showAddTeamMemberModal(projectId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        
+        if (!project || !this.can('team.manage', { project })) {
+            this.showToast('You do not have permission to manage this team', 'warning');
+            return;
+        }
+        
+        document.getElementById('teamMemberForm').reset();
+        document.getElementById('teamProjectId').value = projectId;
+        document.getElementById('teamMemberId').value = '';
+        this.setMemberUserOptions(project);
+        document.getElementById('teamMemberModalTitle').textContent = 'Add Team Member';
+        document.getElementById('teamMemberSubmitLabel').textContent = 'Add Member';
+        this.setMemberRoleOptions(project);
+        this.showModal('addTeamMemberModal');
+    }
+    
+    showEditTeamMemberModal(projectId, memberId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        const member = project?.teamMembers?.find(m => m.id === memberId);
+        
+        if (!member || !this.can('team.manage_member', { project, member })) {
+            this.showToast('You do not have permission to edit this member', 'warning');
+            return;
+        }
+        
+        document.getElementById('teamProjectId').value = projectId;
+        document.getElementById('teamMemberId').value = memberId;
+        this.setMemberUserOptions(project, member);
+        document.getElementById('memberPosition').value = member.position || '';
+        this.setMemberRoleOptions(project);
+        document.getElementById('memberRole').value = member.role || 'contributor';
+        document.getElementById('teamMemberModalTitle').textContent = 'Edit Team Member';
+        document.getElementById('teamMemberSubmitLabel').textContent = 'Save Member';
+        this.showModal('addTeamMemberModal');
+    }
+    
+    // Members are picked from the user directory so their project role follows
+    // their account. An existing member is shown on its own and cannot be swapped.
+    setMemberUserOptions(project, member = null) {
+        const select = document.getElementById('memberUserId');
+        const onTeam = new Set([project.ownerId, ...(project.teamMembers || []).map(m => m.id)]);
+        const researchers = member ?
+            [{ id: member.id, name: member.name, institution: member.institution }] :
+            Object.values(this.getUserDirectory())
+                .filter(researcher => !onTeam.has(researcher.id) && researcher.type !== 'visitor')
+                .sort((a, b) => a.name.localeCompare(b.name));
+        
+        select.innerHTML = researchers.length ?
+            `${member ? '' : '<option value="">Choose a researcher</option>'}${researchers.map(researcher => `
+                <option value="${this.escapeAttribute(researcher.id)}">
+                    ${this.escapeHtml(researcher.name)}${researcher.institution && researcher.institution !== 'Not specified' ? ` (${this.escapeHtml(researcher.institution)})` : ''}
+                </option>
+            `).join('')}` :
+            '<option value="">No other researchers have signed up yet</option>';
+        select.disabled = Boolean(member);
+    }
+    
+    setMemberRoleOptions(project) {
+        const canAssignLead = this.can('team.assign_lead', { project });
+        document.querySelectorAll('#memberRole option').forEach(option => {
+            option.disabled = option.value === 'lead' && !canAssignLead;
+        });
+    }
+    
+    saveTeamMember() {
+        const projectId = document.getElementById('teamProjectId').value;
+        const memberId = document.getElementById('teamMemberId').value;
+        const userId = memberId || document.getElementById('memberUserId').value;
+        const position = document.getElementById('memberPosition').value.trim();
+        const role = document.getElementById('memberRole').value;
+        
+        if (!userId || !position || !PROJECT_ROLES[role]) {
+            this.showToast('Researcher, position, and role are required', 'error');
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!this.can('team.manage', { project }) ||
+            (role === 'lead' && !this.can('team.assign_lead', { project }))) {
+            this.showToast('You do not have permission to assign this role', 'warning');
+            return;
+        }
+        
+        if (!project.teamMembers) {
+            project.teamMembers = [];
+        }
+        
+        let member;
+        if (memberId) {
+            member = project.teamMembers.find(m => m.id === memberId);
+            if (!member || !this.can('team.manage_member', { project, member })) {
+                this.showToast('You do not have permission to edit this member', 'warning');
+                return;
+            }
+            Object.assign(member, { position, role });
+        } else {
+            const researcher = this.getUserDirectory()[userId];
+            if (!researcher) {
+                this.showToast('Researcher not found', 'error');
+                return;
+            }
+            
+            if (userId === project.ownerId || project.teamMembers.some(m => m.id === userId)) {
+                this.showToast(`${researcher.name} is already on this team`, 'warning');
+                return;
+            }
+            
+            member = {
+                id: userId,
+                name: researcher.name,
+                type: researcher.type,
+                email: this.getAccountForUser(userId)?.email || '',
+                position: position,
+                institution: researcher.institution || '',
+                role: role,
+                addedAt: new Date().toISOString()
+            };
+            project.teamMembers.push(member);
+        }
+        
+        project.updatedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        this.addActivity({
+            type: memberId ? 'member_updated' : 'member_added',
+            description: memberId ?
+                `${this.user.name} made ${member.name} ${PROJECT_ROLES[role].label} on "${project.title}"` :
+                `${this.user.name} added ${member.name} to "${project.title}" as ${PROJECT_ROLES[role].label}`,
+            projectId: projectId
+        });
+        
+        this.showToast(memberId ? 'Team member updated' : `${member.name} added to the team`, 'success');
+        this.hideModal('addTeamMemberModal');
+        this.loadProjectDetail(projectId);
+    }
+    
+    removeTeamMember(projectId, memberId) {
+        const projects = this.getProjects();
+        const projectIndex = projects.findIndex(p => p.id === projectId);
+        const project = projects[projectIndex];
+        const member = project?.teamMembers?.find(m => m.id === memberId);
+        
+        if (!member) return;
+        
+        if (!this.can('team.manage_member', { project, member })) {
+            this.showToast('You do not have permission to remove this member', 'warning');
+            return;
+        }
+        
+        if (!confirm('Are you sure you want to remove this team member?')) return;
+        
+        if (projectIndex !== -1 && projects[projectIndex].teamMembers) {
+            projects[projectIndex].teamMembers = projects[projectIndex].teamMembers.filter(m => m.id !== memberId);
+            projects[projectIndex].updatedAt = new Date().toISOString();
+            this.saveJSON('thoraxlab_projects', projects);
+            
+            this.addActivity({
+                type: 'member_removed',
+                description: `${this.user.name} removed ${member.name} from "${project.title}"`,
+                projectId: projectId
+            });
+            
+            this.showToast('Team member removed', 'success');
+            this.loadProjectDetail(projectId);
+        }
+    }
+    
+    // ========== COLLABORATIONS ==========
+    
+    getProjectVisits(userId = this.user?.id) {
+        const visits = this.loadJSON('thoraxlab_project_visits') || {};
+        return visits[userId] || {};
+    }
+    
+    recordProjectVisit(projectId) {
+        if (this.isVisitor || !this.user) return;
+        
+        const visits = this.loadJSON('thoraxlab_project_visits') || {};
+        visits[this.user.id] = { ...visits[this.user.id], [projectId]: new Date().toISOString() };
+        this.saveJSON('thoraxlab_project_visits', visits);
+    }
+    
+    // Older comment activities only carry a discussionId, so those are matched
+    // through the project's discussions
+    getProjectActivity(project, since = null) {
+        const discussionIds = new Set((project.discussions || []).map(d => d.id));
+        
+        return this.getActivities().filter(activity =>
+            (activity.projectId === project.id || discussionIds.has(activity.discussionId)) &&
+            (!since || new Date(activity.timestamp) > new Date(since))
+        );
+    }
+    
+    loadCollaborations() {
+        const container = document.getElementById('collaborationsList');
+        if (!container) return;
+        
+        if (this.isVisitor || !this.user) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🤝</div>
+                    <div class="empty-title">Sign in to collaborate</div>
+                    <p class="text-muted">Guests cannot join project teams</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const visits = this.getProjectVisits();
+        const collaborations = projects
+            .filter(p => p.ownerId !== this.user.id && this.getProjectRole(p))
+            .map(project => {
+                const unread = this.getProjectActivity(project, visits[project.id] || project.teamMembers.find(m => m.id === this.user.id)?.addedAt)
+                    .filter(activity => activity.userId !== this.user.id);
+                return { project, unread, role: this.getProjectRole(project) };
+            })
+            .sort((a, b) => b.unread.length - a.unread.length || new Date(b.project.updatedAt) - new Date(a.project.updatedAt));
+        
+        const invitations = this.getInvitations()
+            .filter(i => this.getInvitationState(i) === 'active' && this.isInvitationFor(i))
+            .map(invitation => ({ invitation, project: projects.find(p => p.id === invitation.projectId) }))
+            .filter(entry => entry.project);
+        
+        const reviewRequests = this.getReviews()
+            .filter(r => r.reviewerId === this.user.id && ['requested', 'accepted'].includes(r.status))
+            .map(review => ({ review, ...this.getReviewSubject(review) }))
+            .filter(entry => entry.project)
+            .sort((a, b) => a.review.dueDate.localeCompare(b.review.dueDate));
+        
+        // Only the latest request per project matters; approved ones show up as collaborations
+        const latestRequests = new Map();
+        this.getJoinRequests()
+            .filter(r => r.userId === this.user.id)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(request => latestRequests.set(request.projectId, request));
+        const requests = [...latestRequests.values()]
+            .filter(r => r.status !== 'approved')
+            .map(request => ({ request, project: projects.find(p => p.id === request.projectId) }))
+            .filter(entry => entry.project && !this.getProjectRole(entry.project))
+            .reverse();
+        
+        if (!collaborations.length && !invitations.length && !reviewRequests.length && !requests.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🤝</div>
+                    <div class="empty-title">No collaborations yet</div>
+                    <p class="text-muted mb-4">Projects you join as a team member will appear here</p>
+                    <a href="#projects" class="btn btn-primary">Browse Projects</a>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            ${invitations.length ? `
+                <div class="card">
+                    <div class="card-header">
+                        <h2 class="card-title">
+                            <i class="card-icon fas fa-envelope-open-text"></i>
+                            Pending Invitations
+                        </h2>
+                        <span class="badge badge-warning">${invitations.length}</span>
+                    </div>
+                    <div class="space-y-3">
+                        ${invitations.map(({ invitation, project }) => `
+                            <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                <div class="flex-1">
+                                    <div class="author-name">${this.escapeHtml(project.title)}</div>
+                                    <div class="text-muted">
+                                        ${this.escapeHtml(invitation.invitedByName)} invited you as ${PROJECT_ROLES[invitation.role]?.label || 'Contributor'} • ${this.formatTimeAgo(invitation.createdAt)}
+                                    </div>
+                                </div>
+                                <button class="btn btn-primary btn-sm" onclick="app.respondToInvitation('${invitation.id}', true)">Accept</button>
+                                <button class="btn btn-outline btn-sm" onclick="app.respondToInvitation('${invitation.id}', false)">Decline</button>
                             </div>
-                        </div>
-                        
-                        <div>
-                            <h3 class="mb-2">Project Team</h3>
-                            <div class="space-y-3">
-                                <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
-                                    <div class="author-avatar-small">${project.ownerName.substring(0, 2).toUpperCase()}</div>
-                                    <div>
-                                        <div class="author-name">${this.escapeHtml(project.ownerName)}</div>
-                                        <div class="text-muted">${project.ownerPosition} • Project Lead</div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${reviewRequests.length ? `
+                <div class="card">
+                    <div class="card-header">
+                        <h2 class="card-title">
+                            <i class="card-icon fas fa-user-md"></i>
+                            Review Requests
+                        </h2>
+                        <span class="badge badge-warning">${reviewRequests.length}</span>
+                    </div>
+                    <div class="space-y-3">
+                        ${reviewRequests.map(({ review, project, discussion }) => `
+                            <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                <div class="flex-1">
+                                    <div class="author-name">${this.escapeHtml(discussion?.title || project.title)}</div>
+                                    <div class="text-muted">
+                                        Requested by ${this.escapeHtml(review.requestedByName)} • Due ${this.formatDueDate(review.dueDate)}
                                     </div>
                                 </div>
-                                ${(project.teamMembers || []).map(member => `
-                                    <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
-                                        <div class="author-avatar-small">${member.name.substring(0, 2).toUpperCase()}</div>
-                                        <div>
-                                            <div class="author-name">${this.escapeHtml(member.name)}</div>
-                                            <div class="text-muted">${member.position}</div>
-                                        </div>
-                                        ${isOwner ? `
-                                            <button class="ml-auto text-muted hover:text-error" onclick="app.removeTeamMember('${project.id}', '${member.id}')">
-                                                <i class="fas fa-times"></i>
-                                            </button>
-                                        ` : ''}
+                                ${this.isReviewOverdue(review) ? '<span class="badge badge-error">Overdue</span>' : ''}
+                                <span class="badge ${REVIEW_STATUSES[review.status].badge}">${REVIEW_STATUSES[review.status].label}</span>
+                                <a href="#review/${review.id}" class="btn btn-primary btn-sm">Open</a>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${collaborations.map(({ project, unread, role }) => `
+                <div class="card collaboration-card">
+                    <div class="flex items-start justify-between gap-4">
+                        <div class="flex-1">
+                            <div class="flex items-center gap-2 mb-2">
+                                <span class="badge badge-primary">${PROJECT_ROLES[role].label}</span>
+                                ${unread.length ? `<span class="badge badge-warning">${unread.length} new</span>` : ''}
+                            </div>
+                            <h3 class="mb-2"><a href="#project/${project.id}">${this.escapeHtml(project.title)}</a></h3>
+                            <p class="text-muted">
+                                Led by ${this.renderAuthorLink(project.ownerId, project.ownerName)} • ${this.escapeHtml(project.institution)} • Updated ${this.formatTimeAgo(project.updatedAt)}
+                            </p>
+                        </div>
+                        <div class="flex gap-2">
+                            <a href="#project/${project.id}" class="btn btn-outline btn-sm">Open</a>
+                            <button class="btn btn-ghost btn-sm hover:text-error" onclick="app.leaveProject('${project.id}')">
+                                <i class="fas fa-sign-out-alt mr-2"></i>
+                                Leave
+                            </button>
+                        </div>
+                    </div>
+                    ${unread.length ? `
+                        <div class="collaboration-unread">
+                            ${unread.slice(0, 3).map(activity => `
+                                <div class="flex items-center gap-2 text-sm">
+                                    <span class="text-muted">${this.getActivityIcon(activity.type)}</span>
+                                    <span class="flex-1">${this.escapeHtml(activity.description)}</span>
+                                    <span class="text-muted">${this.formatTimeAgo(activity.timestamp)}</span>
+                                </div>
+                            `).join('')}
+                            ${unread.length > 3 ? `<div class="text-sm text-muted">and ${unread.length - 3} more since your last visit</div>` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+            
+            ${requests.length ? `
+                <div class="card">
+                    <div class="card-header">
+                        <h2 class="card-title">
+                            <i class="card-icon fas fa-paper-plane"></i>
+                            Join Requests
+                        </h2>
+                    </div>
+                    <div class="space-y-3">
+                        ${requests.map(({ request, project }) => `
+                            <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                <div class="flex-1">
+                                    <a href="#project/${project.id}" class="author-name">${this.escapeHtml(project.title)}</a>
+                                    <div class="text-muted">
+                                        Sent ${this.formatTimeAgo(request.createdAt)}${request.decidedAt ? ` • Answered ${this.formatTimeAgo(request.decidedAt)}` : ''}
                                     </div>
-                                `).join('')}
+                                </div>
+                                <span class="badge ${request.status === 'pending' ? 'badge-warning' : 'badge-error'}">
+                                    ${request.status === 'pending' ? 'Pending' : 'Declined'}
+                                </span>
                             </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+    
+    leaveProject(projectId) {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        
+        if (!project || !this.getProjectRole(project)) return;
+        
+        if (!this.authorize('project.leave', { project }, 'Project owners cannot leave their own project')) return;
+        
+        if (!confirm(`Leave "${project.title}"? You will need a new invitation or join request to return.`)) return;
+        
+        project.teamMembers = project.teamMembers.filter(m => m.id !== this.user.id);
+        project.updatedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        this.addActivity({
+            type: 'member_left',
+            description: `${this.user.name} left "${project.title}"`,
+            projectId: projectId
+        });
+        
+        this.showToast(`You left "${project.title}"`, 'success');
+        this.loadCollaborations();
+    }
+    
+    // ========== INVITATIONS ==========
+    
+    getInvitations(projectId = null) {
+        const invitations = this.loadJSON('thoraxlab_invitations') || [];
+        return projectId ? invitations.filter(i => i.projectId === projectId) : invitations;
+    }
+    
+    getInvitationByToken(token) {
+        return this.getInvitations().find(i => i.token === token) || null;
+    }
+    
+    // Link invitations stay active after use until they expire or are revoked
+    getInvitationState(invitation) {
+        if (['revoked', 'accepted', 'declined'].includes(invitation.status)) return invitation.status;
+        if (invitation.expiresAt && new Date(invitation.expiresAt) <= new Date()) return 'expired';
+        return 'active';
+    }
+    
+    isInvitationFor(invitation, userId = this.user?.id) {
+        if (invitation.inviteeId) return invitation.inviteeId === userId;
+        return Boolean(invitation.email) && invitation.email === this.getAccountForUser(userId)?.email;
+    }
+    
+    getInviteUrl(token) {
+        return `${window.location.origin}${window.location.pathname}#invite/${token}`;
+    }
+    
+    showInviteModal(projectId = null) {
+        const projects = this.getProjects().filter(project => this.can('team.manage', { project }));
+        
+        if (!projects.length) {
+            this.showToast('You can invite collaborators to projects whose team you manage', 'info');
+            return;
+        }
+        
+        document.getElementById('inviteCollaboratorForm').reset();
+        
+        const select = document.getElementById('inviteProjectId');
+        select.innerHTML = projects.map(project => `
+            <option value="${project.id}">${this.escapeHtml(project.title)}</option>
+        `).join('');
+        select.value = projects.some(p => p.id === projectId) ? projectId : projects[0].id;
+        
+        this.setInviteMethod('email');
+        this.updateInviteProject();
+        this.showModal('inviteCollaboratorModal');
+    }
+    
+    setInviteMethod(method) {
+        this.inviteMethod = method;
+        
+        document.querySelectorAll('.invite-method-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.method === method);
+        });
+        document.getElementById('emailInviteSection')?.classList.toggle('hidden', method !== 'email');
+        document.getElementById('linkInviteSection')?.classList.toggle('hidden', method !== 'link');
+        document.getElementById('collaboratorEmail').required = method === 'email';
+        document.getElementById('inviteSubmitLabel').textContent = method === 'email' ? 'Send Invitation' : 'Create Link';
+    }
+    
+    // Role choices and the outstanding list follow the selected project
+    updateInviteProject() {
+        const project = this.getProjects().find(p => p.id === document.getElementById('inviteProjectId').value);
+        const canAssignLead = this.can('team.assign_lead', { project });
+        const roleSelect = document.getElementById('inviteRole');
+        
+        roleSelect.querySelectorAll('option').forEach(option => {
+            option.disabled = option.value === 'lead' && !canAssignLead;
+        });
+        if (roleSelect.selectedOptions[0]?.disabled) {
+            roleSelect.value = 'contributor';
+        }
+        
+        document.getElementById('shareableLink').value = '';
+        document.getElementById('emailInviteResult').classList.add('hidden');
+        this.renderOutstandingInvites(project?.id);
+    }
+    
+    renderOutstandingInvites(projectId) {
+        const container = document.getElementById('outstandingInvitesList');
+        if (!container) return;
+        
+        const invitations = this.getInvitations(projectId)
+            .filter(i => this.getInvitationState(i) === 'active')
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        if (!projectId || !invitations.length) {
+            container.innerHTML = '<p class="text-sm text-muted">No outstanding invitations for this project</p>';
+            return;
+        }
+        
+        container.innerHTML = invitations.map(invitation => {
+            const isLink = invitation.mode === 'link';
+            const recipient = isLink ? 'Share link' : invitation.email || this.getResearcher(invitation.inviteeId)?.name || 'Researcher';
+            
+            return `
+                <div class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                    <i class="fas ${isLink ? 'fa-link' : 'fa-envelope'} text-muted"></i>
+                    <div class="flex-1">
+                        <div class="author-name">${this.escapeHtml(recipient)}</div>
+                        <div class="text-sm text-muted">
+                            ${PROJECT_ROLES[invitation.role]?.label || 'Contributor'} •
+                            ${invitation.expiresAt ? `Expires ${this.formatDate(invitation.expiresAt)}` : 'No expiry'}
+                            ${isLink ? ` • ${(invitation.acceptedBy || []).length} joined` : ''}
                         </div>
                     </div>
+                    ${isLink ? `
+                        <button type="button" class="btn btn-ghost btn-sm" onclick="app.copyInviteLink('${invitation.token}')" title="Copy link">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                    ` : ''}
+                    <button type="button" class="btn btn-ghost btn-sm hover:text-error" onclick="app.revokeInvitation('${invitation.id}')">
+                        Revoke
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    submitInvite() {
+        const projectId = document.getElementById('inviteProjectId').value;
+        const role = document.getElementById('inviteRole').value;
+        const expiresInDays = parseInt(document.getElementById('inviteExpiry').value, 10) || 0;
+        
+        if (this.inviteMethod === 'link') {
+            const invitation = this.createInvitation(projectId, { mode: 'link', role, expiresInDays });
+            if (!invitation) return;
+            
+            document.getElementById('shareableLink').value = this.getInviteUrl(invitation.token);
+            this.renderOutstandingInvites(projectId);
+            this.showToast('Invite link created', 'success');
+            return;
+        }
+        
+        const email = this.normalizeEmail(document.getElementById('collaboratorEmail').value);
+        const message = document.getElementById('inviteMessage').value.trim();
+        
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.showToast('Please enter a valid email address', 'error');
+            return;
+        }
+        
+        const invitation = this.createInvitation(projectId, { mode: 'email', email, role, message, expiresInDays });
+        if (!invitation) return;
+        
+        document.getElementById('collaboratorEmail').value = '';
+        document.getElementById('inviteMessage').value = '';
+        this.renderEmailInviteResult(invitation);
+        this.renderOutstandingInvites(projectId);
+        this.showToast(`Invitation recorded for ${email}`, 'success');
+    }
+    
+    createInvitation(projectId, { mode = 'email', email = '', inviteeId = null, role = 'contributor', message = '', expiresInDays = 7 } = {}) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        
+        if (!project || !PROJECT_ROLES[role]) {
+            this.showToast('Choose a project and role for the invitation', 'error');
+            return null;
+        }
+        
+        if (!this.authorize('invitation.create', { project, role }, 'You cannot invite collaborators with this role')) return null;
+        
+        const recipientId = inviteeId || (email ? this.getAccounts()[email]?.userId : null);
+        if (recipientId && this.getProjectRole(project, recipientId)) {
+            this.showToast('This researcher is already on the team', 'info');
+            return null;
+        }
+        
+        const invitations = this.getInvitations();
+        const duplicate = mode !== 'link' && invitations.some(i =>
+            i.projectId === projectId && this.getInvitationState(i) === 'active' &&
+            (inviteeId ? i.inviteeId === inviteeId : i.email === email)
+        );
+        if (duplicate) {
+            this.showToast('An invitation is already outstanding for this researcher', 'info');
+            return null;
+        }
+        
+        const now = new Date();
+        const invitation = {
+            id: `invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            token: this.generateToken(),
+            projectId: projectId,
+            mode: mode,
+            email: mode === 'email' ? email : '',
+            inviteeId: inviteeId,
+            role: role,
+            message: message,
+            invitedBy: this.user.id,
+            invitedByName: this.user.name,
+            status: 'pending',
+            acceptedBy: [],
+            createdAt: now.toISOString(),
+            expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+            respondedAt: null,
+            revokedAt: null
+        };
+        
+        invitations.push(invitation);
+        this.saveJSON('thoraxlab_invitations', invitations);
+        
+        this.notify(recipientId, 'invitation', {
+            message: `${this.user.name} invited you to join ${project.title}`,
+            link: `invite/${invitation.token}`,
+            projectId: projectId
+        });
+        
+        return invitation;
+    }
+    
+    buildInviteEmail(invitation) {
+        const project = this.getProjects().find(p => p.id === invitation.projectId);
+        const subject = `Invitation to join "${project?.title}" on Thorax Lab Pro`;
+        const body = [
+            'Hello,',
+            '',
+            `${invitation.invitedByName} has invited you to join the research project "${project?.title}" on Thorax Lab Pro as ${PROJECT_ROLES[invitation.role]?.label || 'Contributor'}.`,
+            ...(invitation.message ? ['', invitation.message] : []),
+            '',
+            `Accept the invitation: ${this.getInviteUrl(invitation.token)}`,
+            `Sign in or create an account with ${invitation.email} to join.`,
+            ...(invitation.expiresAt ? [`This invitation expires on ${this.formatDate(invitation.expiresAt)}.`] : [])
+        ].join('\n');
+        
+        return { subject, body };
+    }
+    
+    renderEmailInviteResult(invitation) {
+        const container = document.getElementById('emailInviteResult');
+        if (!container) return;
+        
+        const { subject, body } = this.buildInviteEmail(invitation);
+        const mailto = `mailto:${encodeURIComponent(invitation.email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        
+        container.innerHTML = `
+            <p class="text-sm text-muted mb-2">
+                Invitation recorded for <strong>${this.escapeHtml(invitation.email)}</strong>. Send it from your email client:
+            </p>
+            <div class="flex flex-wrap gap-2">
+                <a href="${this.escapeAttribute(mailto)}" class="btn btn-outline btn-sm">
+                    <i class="fas fa-envelope mr-2"></i>
+                    Open Email Draft
+                </a>
+                <button type="button" class="btn btn-outline btn-sm" onclick="app.downloadInviteEmail('${invitation.id}')">
+                    <i class="fas fa-download mr-2"></i>
+                    Download .eml
+                </button>
+            </div>
+        `;
+        container.classList.remove('hidden');
+    }
+    
+    downloadInviteEmail(invitationId) {
+        const invitation = this.getInvitations().find(i => i.id === invitationId);
+        if (!invitation) return;
+        
+        const { subject, body } = this.buildInviteEmail(invitation);
+        const from = this.getAccountForUser(invitation.invitedBy)?.email;
+        const message = [
+            ...(from ? [`From: ${this.encodeMailHeader(invitation.invitedByName)} <${from}>`] : []),
+            `To: ${invitation.email}`,
+            `Subject: ${this.encodeMailHeader(subject)}`,
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            body
+        ].join('\r\n').replace(/\r?\n/g, '\r\n');
+        
+        this.downloadFile(`invitation-${invitation.email.replace(/[^a-z0-9]+/gi, '-')}.eml`, message, 'message/rfc822');
+    }
+    
+    // Headers must be ASCII; anything else goes out as an RFC 2047 encoded word
+    encodeMailHeader(value) {
+        if (/^[\x20-\x7e]*$/.test(value)) return value;
+        
+        const bytes = new TextEncoder().encode(value);
+        return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+    }
+    
+    copyInviteLink(token = null) {
+        const link = token ? this.getInviteUrl(token) : document.getElementById('shareableLink').value;
+        
+        if (!link) {
+            this.showToast('Create an invite link first', 'info');
+            return;
+        }
+        
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => this.showToast('Invite link copied', 'success'))
+                .catch(() => this.selectInviteLink(link));
+        } else {
+            this.selectInviteLink(link);
+        }
+    }
+    
+    // Without clipboard access the link is left selected for a manual copy
+    selectInviteLink(link) {
+        this.setInviteMethod('link');
+        
+        const input = document.getElementById('shareableLink');
+        input.value = link;
+        input.select();
+        
+        const copied = typeof document.execCommand === 'function' && document.execCommand('copy');
+        this.showToast(copied ? 'Invite link copied' : 'Press Ctrl+C to copy the selected link', copied ? 'success' : 'info');
+    }
+    
+    revokeInvitation(invitationId) {
+        const invitations = this.getInvitations();
+        const invitation = invitations.find(i => i.id === invitationId);
+        
+        if (!invitation || this.getInvitationState(invitation) !== 'active') return;
+        
+        const project = this.getProjects().find(p => p.id === invitation.projectId);
+        if (!this.authorize('invitation.revoke', { project, invitation }, 'You cannot revoke this invitation')) return;
+        
+        if (!confirm('Revoke this invitation? Its link will stop working.')) return;
+        
+        invitation.status = 'revoked';
+        invitation.revokedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_invitations', invitations);
+        
+        const linkInput = document.getElementById('shareableLink');
+        if (linkInput?.value === this.getInviteUrl(invitation.token)) {
+            linkInput.value = '';
+        }
+        
+        this.renderOutstandingInvites(invitation.projectId);
+        this.showToast('Invitation revoked', 'success');
+    }
+    
+    loadInvite(token) {
+        const container = document.getElementById('invitePage');
+        if (!container) return;
+        
+        const invitation = this.getInvitationByToken(token);
+        const project = invitation && this.getProjects().find(p => p.id === invitation.projectId);
+        const state = invitation && this.getInvitationState(invitation);
+        const isMember = Boolean(project && this.user && this.getProjectRole(project));
+        
+        let problem = null;
+        if (!project) {
+            problem = ['Invitation not found', 'This invitation link is invalid. Ask the project team for a new one.'];
+        } else if (isMember) {
+            problem = ['You are already on this team', `You are a member of "${project.title}".`];
+        } else if (state === 'revoked') {
+            problem = ['Invitation revoked', 'The project team has withdrawn this invitation.'];
+        } else if (state === 'expired') {
+            problem = ['Invitation expired', `This invitation expired on ${this.formatDate(invitation.expiresAt)}. Ask the project team for a new one.`];
+        } else if (state !== 'active') {
+            problem = ['Invitation already answered', 'This invitation has already been accepted or declined.'];
+        } else if (!this.user || this.isVisitor) {
+            problem = ['Sign in to accept', 'Guests cannot join project teams. Sign out and sign in with a professional account to accept this invitation.'];
+        } else if (!this.can('invitation.respond', { project, invitation })) {
+            problem = ['Invitation addressed to someone else', `This invitation was sent to ${invitation.email || 'another researcher'}. Sign in with that account to accept it.`];
+        }
+        
+        if (problem) {
+            container.innerHTML = `
+                <div class="card">
+                    <div class="empty-state">
+                        <div class="empty-icon">✉️</div>
+                        <div class="empty-title">${this.escapeHtml(problem[0])}</div>
+                        <p class="text-muted mb-4">${this.escapeHtml(problem[1])}</p>
+                        ${isMember ? `
+                            <a href="#project/${project.id}" class="btn btn-primary">Open Project</a>
+                        ` : `
+                            <a href="#dashboard" class="btn btn-primary">Go to Dashboard</a>
+                        `}
+                    </div>
                 </div>
-                
-                <div class="col-span-4">
-                    <div class="card">
-                        <div class="card-header">
-                            <h2 class="card-title">
-                                <i class="card-icon fas fa-chart-bar"></i>
-                                Project Stats
-                            </h2>
-                        </div>
-                        
-                        <div class="space-y-4">
-                            <div>
-                                <div class="text-muted">Created</div>
-                                <div class="font-semibold">${this.formatDate(project.createdAt)}</div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Last Updated</div>
-                                <div class="font-semibold">${this.formatDate(project.updatedAt)}</div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Discussions</div>
-                                <div class="font-semibold">${discussionCount}</div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Team Members</div>
-                                <div class="font-semibold">${teamCount + 1}</div>
-                            </div>
-                        </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="page-header">
+                <h1 class="page-title">Project Invitation</h1>
+                <p class="page-subtitle">${this.renderAuthorLink(invitation.invitedBy, invitation.invitedByName)} invited you to join their research team</p>
+            </div>
+            
+            <div class="card">
+                <div class="flex items-center gap-2 mb-2">
+                    <span class="badge badge-primary">${PROJECT_ROLES[invitation.role]?.label || 'Contributor'}</span>
+                    ${invitation.expiresAt ? `<span class="text-sm text-muted">Expires ${this.formatDate(invitation.expiresAt)}</span>` : ''}
+                </div>
+                <h2 class="mb-2"><a href="#project/${project.id}">${this.escapeHtml(project.title)}</a></h2>
+                <p class="text-muted mb-4">
+                    Led by ${this.renderAuthorLink(project.ownerId, project.ownerName)} • ${this.escapeHtml(project.institution || '')}
+                </p>
+                <p class="mb-4">${this.escapeHtml(project.description || '')}</p>
+                ${invitation.message ? `
+                    <div class="p-3 bg-surface rounded-lg mb-4">
+                        <i class="fas fa-quote-left text-muted mr-2"></i>${this.escapeHtml(invitation.message)}
                     </div>
-                    
-                    ${!isOwner && !isTeamMember && !this.isVisitor ? `
-                        <div class="card mt-4">
-                            <h3 class="mb-3">Join this Project</h3>
-                            <p class="text-sm text-muted mb-3">Request to join as a collaborator</p>
-                            <button class="btn btn-outline w-full" onclick="app.requestToJoinProject('${project.id}')">
-                                <i class="fas fa-user-plus"></i>
-                                Request to Join
-                            </button>
-                        </div>
-                    ` : ''}
+                ` : ''}
+                <div class="flex gap-3">
+                    <button class="btn btn-primary" onclick="app.respondToInvitation('${invitation.id}', true)">
+                        <i class="fas fa-check mr-2"></i>
+                        Accept and Join
+                    </button>
+                    <button class="btn btn-outline" onclick="app.respondToInvitation('${invitation.id}', false)">
+                        Decline
+                    </button>
                 </div>
             </div>
+        `;
+    }
+    
+    respondToInvitation(invitationId, accept) {
+        const invitations = this.getInvitations();
+        const invitation = invitations.find(i => i.id === invitationId);
+        
+        if (!invitation || this.getInvitationState(invitation) !== 'active') {
+            this.showToast('This invitation is no longer available', 'info');
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === invitation.projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!this.authorize('invitation.respond', { project, invitation }, 'This invitation is addressed to someone else')) return;
+        
+        const now = new Date().toISOString();
+        
+        // A shared link is reused by everyone it was sent to, so only its uses are recorded
+        if (invitation.mode === 'link') {
+            if (accept) {
+                invitation.acceptedBy = [...(invitation.acceptedBy || []), { userId: this.user.id, acceptedAt: now }];
+            }
+        } else {
+            invitation.status = accept ? 'accepted' : 'declined';
+            invitation.inviteeId = this.user.id;
+            invitation.respondedAt = now;
+        }
+        this.saveJSON('thoraxlab_invitations', invitations);
+        
+        if (accept && !this.getProjectRole(project)) {
+            project.teamMembers.push({
+                id: this.user.id,
+                name: this.user.name,
+                type: this.user.type,
+                email: this.user.email || '',
+                position: 'Collaborator',
+                institution: this.user.institution || '',
+                role: PROJECT_ROLES[invitation.role] ? invitation.role : 'contributor',
+                addedAt: now
+            });
+            project.updatedAt = now;
+            this.saveJSON('thoraxlab_projects', projects);
             
-            ${discussionCount > 0 ? `
-                <div class="mt-8">
-                    <h2 class="mb-4">Discussions (${discussionCount})</h2>
-                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        ${project.discussions.map(disc => `
-                            <div class="discussion-card" data-discussion-id="${disc.id}">
-                                <div class="discussion-type type-${disc.type}">
-                                    <i class="${this.getDiscussionIcon(disc.type)}"></i>
-                                    ${disc.type}
-                                </div>
-                                <h3 class="discussion-title">${this.escapeHtml(disc.title)}</h3>
-                                <p class="discussion-excerpt">${this.escapeHtml(disc.content.substring(0, 100))}...</p>
-                                <div class="discussion-meta">
-                                    <div class="author-info">
-                                        <div class="author-avatar">${disc.authorName.substring(0, 2).toUpperCase()}</div>
-                                        <div class="author-name">${this.escapeHtml(disc.authorName)}</div>
-                                    </div>
-                                    <div class="engagement-metrics">
-                                        <div class="metric">
-                                            <i class="fas fa-heart"></i>
-                                            <span>${disc.likes || 0}</span>
-                                        </div>
-                                        <div class="metric">
-                                            <i class="fas fa-comment"></i>
-                                            <span>${disc.comments || 0}</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                        `).join('')}
+            this.addActivity({
+                type: 'member_added',
+                description: `${this.user.name} accepted an invitation to "${project.title}"`,
+                projectId: project.id
+            });
+        }
+        
+        if (accept || invitation.mode !== 'link') {
+            this.notify(invitation.invitedBy, 'invitation_response', {
+                message: `${this.user.name} ${accept ? 'accepted' : 'declined'} your invitation to ${project.title}`,
+                link: `project/${project.id}`,
+                projectId: project.id
+            });
+        }
+        
+        this.showToast(accept ? `You joined "${project.title}"` : 'Invitation declined', accept ? 'success' : 'info');
+        
+        if (window.location.hash.startsWith('#invite/')) {
+            this.navigateTo(accept ? `project/${project.id}` : 'dashboard');
+        } else {
+            this.loadCollaborations();
+        }
+    }
+    
+    // ========== JOIN REQUESTS ==========
+    
+    getJoinRequests(projectId = null) {
+        const requests = this.loadJSON('thoraxlab_join_requests') || [];
+        return projectId ? requests.filter(r => r.projectId === projectId) : requests;
+    }
+    
+    getPendingJoinRequest(projectId, userId = this.user?.id) {
+        return this.getJoinRequests(projectId).find(r => r.userId === userId && r.status === 'pending') || null;
+    }
+    
+    showJoinRequestModal(projectId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        if (!project) return;
+        
+        document.getElementById('joinRequestForm').reset();
+        document.getElementById('joinRequestCounter').textContent = '0/500';
+        document.getElementById('joinRequestProjectId').value = projectId;
+        document.getElementById('joinRequestProjectTitle').textContent = project.title;
+        this.showModal('joinRequestModal');
+    }
+    
+    requestToJoinProject(projectId, message = '') {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (this.getProjectRole(project)) {
+            this.showToast('You are already on this team', 'info');
+            return;
+        }
+        
+        if (!this.authorize('project.join', { project }, 'Guests cannot join projects')) return;
+        
+        if (this.getPendingJoinRequest(projectId)) {
+            this.showToast('You already have a pending request for this project', 'warning');
+            return;
+        }
+        
+        const requests = this.getJoinRequests();
+        requests.push({
+            id: `join_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            projectId: projectId,
+            userId: this.user.id,
+            userName: this.user.name,
+            userType: this.user.type,
+            userInstitution: this.user.institution,
+            message: message.substring(0, 500),
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            decidedAt: null,
+            decidedBy: null
+        });
+        this.saveJSON('thoraxlab_join_requests', requests);
+        
+        this.addActivity({
+            type: 'join_request',
+            description: `${this.user.name} requested to join "${project.title}"`,
+            projectId: projectId
+        });
+        
+        // Everyone who can approve the request hears about it
+        this.notifyEach([project.ownerId, ...(project.teamMembers || []).map(m => m.id)]
+            .filter(userId => can({ id: userId, type: 'member' }, 'team.manage', { project }))
+            .map(userId => ({
+                recipientId: userId,
+                type: 'join_request',
+                message: `${this.user.name} asked to join ${project.title}`,
+                link: `project/${projectId}`,
+                projectId: projectId
+            })));
+        
+        this.showToast(`Join request sent to ${project.ownerName}`, 'success');
+        this.hideModal('joinRequestModal');
+        this.loadProjectDetail(projectId);
+    }
+    
+    submitJoinRequest() {
+        const projectId = document.getElementById('joinRequestProjectId').value;
+        const message = document.getElementById('joinRequestMessage').value.trim();
+        this.requestToJoinProject(projectId, message);
+    }
+    
+    respondToJoinRequest(requestId, approve) {
+        const requests = this.getJoinRequests();
+        const request = requests.find(r => r.id === requestId);
+        
+        if (!request || request.status !== 'pending') {
+            this.showToast('This request has already been handled', 'info');
+            return;
+        }
+        
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === request.projectId);
+        
+        if (!project) {
+            this.showToast('Project not found', 'error');
+            return;
+        }
+        
+        if (!this.can('team.manage', { project })) {
+            this.showToast('You do not have permission to manage this team', 'warning');
+            return;
+        }
+        
+        request.status = approve ? 'approved' : 'declined';
+        request.decidedAt = new Date().toISOString();
+        request.decidedBy = this.user.id;
+        this.saveJSON('thoraxlab_join_requests', requests);
+        
+        if (approve) {
+            if (!project.teamMembers) {
+                project.teamMembers = [];
+            }
+            if (!project.teamMembers.some(m => m.id === request.userId)) {
+                project.teamMembers.push({
+                    id: request.userId,
+                    name: request.userName,
+                    type: request.userType,
+                    email: '',
+                    position: 'Collaborator',
+                    institution: request.userInstitution || '',
+                    role: 'contributor',
+                    addedAt: request.decidedAt
+                });
+            }
+            project.updatedAt = request.decidedAt;
+            this.saveJSON('thoraxlab_projects', projects);
+            
+            this.addActivity({
+                type: 'join_approved',
+                description: `${request.userName} joined "${project.title}"`,
+                projectId: project.id
+            });
+        }
+        
+        this.notify(request.userId, 'join_decision', {
+            message: approve ? `Your request to join ${project.title} was approved` : `Your request to join ${project.title} was declined`,
+            link: `project/${project.id}`,
+            projectId: project.id
+        });
+        
+        this.showToast(approve ? `${request.userName} added to the team` : 'Join request declined', approve ? 'success' : 'info');
+        this.loadProjectDetail(project.id);
+    }
+    
+    // ========== EXPERT REVIEWS ==========
+    
+    getReviews(projectId = null) {
+        const reviews = this.loadJSON('thoraxlab_reviews') || [];
+        return projectId ? reviews.filter(r => r.projectId === projectId) : reviews;
+    }
+    
+    isReviewOverdue(review) {
+        return ['requested', 'accepted'].includes(review.status) &&
+            review.dueDate < this.toDateInputValue(new Date());
+    }
+    
+    // Due dates are date-only strings, which Date would otherwise read as UTC
+    formatDueDate(dueDate) {
+        return this.formatDate(`${dueDate}T00:00:00`);
+    }
+    
+    getReviewSubject(review) {
+        const project = this.getProjects().find(p => p.id === review.projectId) || null;
+        const discussion = review.discussionId ? project?.discussions?.find(d => d.id === review.discussionId) || null : null;
+        return { project, discussion };
+    }
+    
+    // Anyone in the directory except the requester can be asked for a review
+    getReviewCandidates() {
+        return Object.values(this.getUserDirectory())
+            .filter(researcher => researcher.id !== this.user?.id && researcher.type !== 'visitor')
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    showReviewRequestModal(projectId = null, discussionId = null) {
+        const projects = this.getProjects().filter(project => this.can('review.request', { project }) ||
+            (project.discussions || []).some(discussion => this.can('review.request', { project, discussion })));
+        
+        if (!projects.length) {
+            this.showToast('Join a project team to request expert reviews', 'warning');
+            return;
+        }
+        
+        if (!this.getReviewCandidates().length) {
+            this.showToast('No other researchers are registered yet', 'info');
+            return;
+        }
+        
+        document.getElementById('requestReviewForm').reset();
+        
+        const select = document.getElementById('reviewProjectId');
+        select.innerHTML = projects.map(project => `
+            <option value="${project.id}">${this.escapeHtml(project.title)}</option>
+        `).join('');
+        select.value = projects.some(p => p.id === projectId) ? projectId : projects[0].id;
+        
+        const dueDate = document.getElementById('reviewDueDate');
+        dueDate.min = this.toDateInputValue(new Date());
+        dueDate.value = this.toDateInputValue(new Date(Date.now() + 14 * 24 * 60 * 60 * 1000));
+        
+        this.updateReviewSubjects(discussionId);
+        this.renderReviewerOptions();
+        this.setReviewerMode('people');
+        this.showModal('requestReviewModal');
+    }
+    
+    updateReviewSubjects(discussionId = null) {
+        const project = this.getProjects().find(p => p.id === document.getElementById('reviewProjectId').value);
+        if (!project) return;
+        
+        const discussions = (project.discussions || []).filter(discussion => this.can('review.request', { project, discussion }));
+        const subject = document.getElementById('reviewSubject');
+        subject.innerHTML = `
+            ${this.can('review.request', { project }) ? '<option value="">Whole project</option>' : ''}
+            ${discussions.map(discussion => `
+                <option value="${discussion.id}">Discussion: ${this.escapeHtml(discussion.title)}</option>
+            `).join('')}
+        `;
+        
+        if (discussions.some(d => d.id === discussionId)) {
+            subject.value = discussionId;
+        }
+    }
+    
+    renderReviewerOptions() {
+        const container = document.getElementById('reviewerOptions');
+        if (!container) return;
+        
+        const candidates = this.getReviewCandidates();
+        container.innerHTML = candidates.map(researcher => `
+            <label class="reviewer-option p-3 bg-surface rounded-lg" data-search="${this.escapeAttribute([researcher.name, researcher.institution, ...(researcher.expertise || [])].join(' ').toLowerCase())}">
+                <input type="checkbox" name="reviewer" value="${this.escapeAttribute(researcher.id)}">
+                <div>
+                    <div class="author-name">${this.escapeHtml(researcher.name)}</div>
+                    <div class="text-sm text-muted">
+                        ${this.escapeHtml(researcher.institution || '')}${researcher.expertise?.length ? ` • ${this.escapeHtml(researcher.expertise.join(', '))}` : ''}
                     </div>
                 </div>
-            ` : `
-                <div class="mt-8 text-center">
-                    <div class="empty-icon">💬</div>
-                    <h3 class="mb-2">No discussions yet</h3>
-                    <p class="text-muted mb-4">Be the first to start a discussion in this project</p>
-                    ${canStartDiscussion ? `
-                        <button class="btn btn-primary" onclick="app.showNewDiscussionModal('${project.id}')">
-                            <i class="fas fa-plus"></i>
-                            Start First Discussion
-                        </button>
-                    ` : ''}
-                </div>
-            `}
-        `;
+            </label>
+        `).join('');
+        
+        const tags = [...new Set(candidates.flatMap(researcher => researcher.expertise || []))].sort((a, b) => a.localeCompare(b));
+        document.getElementById('reviewExpertiseTag').innerHTML = tags.length ? tags.map(tag => `
+            <option value="${this.escapeAttribute(tag)}">${this.escapeHtml(tag)}</option>
+        `).join('') : '<option value="">No expertise listed yet</option>';
+        this.updateReviewExpertiseMatches();
+    }
+    
+    filterReviewerOptions() {
+        const query = document.getElementById('reviewerFilter').value.trim().toLowerCase();
+        document.querySelectorAll('#reviewerOptions .reviewer-option').forEach(option => {
+            option.classList.toggle('hidden', Boolean(query) && !option.dataset.search.includes(query));
+        });
+    }
+    
+    setReviewerMode(mode) {
+        this.reviewerMode = mode;
+        
+        document.querySelectorAll('.reviewer-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        document.getElementById('reviewPeopleSection')?.classList.toggle('hidden', mode !== 'people');
+        document.getElementById('reviewExpertiseSection')?.classList.toggle('hidden', mode !== 'expertise');
+    }
+    
+    getReviewersWithExpertise(tag) {
+        const target = tag.toLowerCase();
+        return this.getReviewCandidates()
+            .filter(researcher => (researcher.expertise || []).some(expertise => expertise.toLowerCase() === target));
+    }
+    
+    updateReviewExpertiseMatches() {
+        const tag = document.getElementById('reviewExpertiseTag').value;
+        const matches = tag ? this.getReviewersWithExpertise(tag) : [];
+        document.getElementById('reviewExpertiseMatches').textContent = matches.length ?
+            `${matches.length} researcher${matches.length === 1 ? '' : 's'}: ${matches.map(r => r.name).join(', ')}` :
+            'No researchers list this expertise';
+    }
+    
+    submitReviewRequest() {
+        const projectId = document.getElementById('reviewProjectId').value;
+        const discussionId = document.getElementById('reviewSubject').value || null;
+        const dueDate = document.getElementById('reviewDueDate').value;
+        const questions = document.getElementById('reviewQuestions').value
+            .split('\n')
+            .map(question => question.trim())
+            .filter(question => question);
+        const expertiseTag = this.reviewerMode === 'expertise' ? document.getElementById('reviewExpertiseTag').value : null;
+        const reviewerIds = expertiseTag ?
+            this.getReviewersWithExpertise(expertiseTag).map(researcher => researcher.id) :
+            [...document.querySelectorAll('#reviewerOptions input[name="reviewer"]:checked')].map(input => input.value);
+        
+        if (!reviewerIds.length) {
+            this.showToast(expertiseTag ? 'No researchers list this expertise' : 'Select at least one reviewer', 'error');
+            return;
+        }
+        
+        if (!dueDate || dueDate < this.toDateInputValue(new Date())) {
+            this.showToast('Choose a due date that is not in the past', 'error');
+            return;
+        }
+        
+        if (questions.some(question => question.length > 500)) {
+            this.showToast('Questions must be 500 characters or less', 'error');
+            return;
+        }
+        
+        const created = this.requestReview(projectId, discussionId, reviewerIds, { dueDate, questions, expertiseTag });
+        if (!created.length) return;
+        
+        this.hideModal('requestReviewModal');
+        if (this.currentProject?.id === projectId && window.location.hash.startsWith('#project/')) {
+            this.loadProjectDetail(projectId);
+        }
+    }
+    
+    requestReview(projectId, discussionId, reviewerIds, { dueDate, questions = [], expertiseTag = null }) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        const discussion = discussionId ? project?.discussions?.find(d => d.id === discussionId) : null;
         
-        container.querySelectorAll('.discussion-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const discussionId = card.dataset.discussionId;
-                this.navigateTo(`discussion/${discussionId}`);
+        if (!project || (discussionId && !discussion)) {
+            this.showToast('Project not found', 'error');
+            return [];
+        }
+        
+        if (!this.authorize('review.request', { project, discussion }, 'Only the project team can request expert reviews')) return [];
+        
+        const reviews = this.getReviews();
+        const directory = this.getUserDirectory();
+        const subjectTitle = discussion ? discussion.title : project.title;
+        
+        // Researchers already reviewing this subject are not asked twice
+        const open = new Set(reviews
+            .filter(r => r.projectId === projectId && r.discussionId === (discussionId || null) && ['requested', 'accepted'].includes(r.status))
+            .map(r => r.reviewerId));
+        
+        const now = new Date().toISOString();
+        const created = [...new Set(reviewerIds)]
+            .filter(reviewerId => directory[reviewerId] && reviewerId !== this.user.id && !open.has(reviewerId))
+            .map(reviewerId => ({
+                id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                projectId: projectId,
+                discussionId: discussionId || null,
+                requestedBy: this.user.id,
+                requestedByName: this.user.name,
+                reviewerId: reviewerId,
+                reviewerName: directory[reviewerId].name,
+                expertiseTag: expertiseTag,
+                questions: questions,
+                dueDate: dueDate,
+                status: 'requested',
+                createdAt: now,
+                respondedAt: null,
+                submittedAt: null,
+                review: null
+            }));
+        
+        if (!created.length) {
+            this.showToast('These researchers already have an open review request for this', 'info');
+            return [];
+        }
+        
+        reviews.push(...created);
+        this.saveJSON('thoraxlab_reviews', reviews);
+        
+        created.forEach(review => {
+            this.notify(review.reviewerId, 'review_request', {
+                message: `${this.user.name} asked you to review ${subjectTitle} by ${this.formatDueDate(dueDate)}`,
+                link: `review/${review.id}`,
+                projectId: projectId
             });
         });
+        
+        this.showToast(`Review requested from ${created.length} researcher${created.length === 1 ? '' : 's'}`, 'success');
+        return created;
     }
     
-    renderDiscussionDetail() {
-        const container = document.getElementById('discussionDetailPage');
-        if (!container || !this.currentDiscussion) return;
+    respondToReviewRequest(reviewId, accept) {
+        const reviews = this.getReviews();
+        const review = reviews.find(r => r.id === reviewId);
         
-        const discussion = this.currentDiscussion;
-        const isAuthor = !this.isVisitor && discussion.authorId === this.user?.id;
-        const canComment = !this.isVisitor;
-        const liked = this.hasLikedDiscussion(discussion.id);
+        if (!review || review.status !== 'requested') {
+            this.showToast('This review request is no longer open', 'info');
+            return;
+        }
+        
+        const { project, discussion } = this.getReviewSubject(review);
+        if (!this.authorize('review.respond', { project, review }, 'This review request is addressed to someone else')) return;
+        
+        review.status = accept ? 'accepted' : 'declined';
+        review.respondedAt = new Date().toISOString();
+        this.saveJSON('thoraxlab_reviews', reviews);
+        
+        this.notify(review.requestedBy, 'review_update', {
+            message: `${this.user.name} ${accept ? 'accepted' : 'declined'} your review request for ${discussion?.title || project?.title}`,
+            link: `review/${review.id}`,
+            projectId: review.projectId
+        });
+        
+        this.showToast(accept ? 'Review accepted. Submit it before the due date.' : 'Review request declined', accept ? 'success' : 'info');
+        this.loadReview(reviewId);
+    }
+    
+    submitReview(reviewId) {
+        const reviews = this.getReviews();
+        const review = reviews.find(r => r.id === reviewId);
+        
+        if (!review || review.status !== 'accepted') {
+            this.showToast('Accept the review request before submitting', 'info');
+            return;
+        }
+        
+        const { project, discussion } = this.getReviewSubject(review);
+        if (!this.authorize('review.respond', { project, review }, 'This review request is addressed to someone else')) return;
+        
+        const recommendation = document.getElementById('reviewRecommendation').value;
+        const comments = document.getElementById('reviewComments').value.trim();
+        const answers = review.questions.map((question, index) =>
+            document.getElementById(`reviewAnswer_${index}`)?.value.trim() || '');
+        
+        if (!REVIEW_RECOMMENDATIONS[recommendation]) {
+            this.showToast('Choose a recommendation', 'error');
+            return;
+        }
+        
+        if (!comments) {
+            this.showToast('Please add your review comments', 'error');
+            return;
+        }
+        
+        if (comments.length > 5000 || answers.some(answer => answer.length > 2000)) {
+            this.showToast('Comments are limited to 5000 characters and answers to 2000', 'error');
+            return;
+        }
+        
+        review.status = 'submitted';
+        review.submittedAt = new Date().toISOString();
+        review.review = { recommendation, answers, comments };
+        this.saveJSON('thoraxlab_reviews', reviews);
+        
+        const subjectTitle = discussion?.title || project?.title;
+        this.addActivity({
+            type: 'review_submitted',
+            description: `${this.user.name} submitted an expert review of "${subjectTitle}"`,
+            projectId: review.projectId
+        });
+        
+        this.notify(review.requestedBy, 'review_update', {
+            message: `${this.user.name} submitted a review of ${subjectTitle}: ${REVIEW_RECOMMENDATIONS[recommendation].label}`,
+            link: `project/${review.projectId}`,
+            projectId: review.projectId
+        });
+        
+        this.showToast('Review submitted', 'success');
+        this.loadReview(reviewId);
+    }
+    
+    loadReview(reviewId) {
+        const container = document.getElementById('reviewPage');
+        if (!container) return;
+        
+        const review = this.getReviews().find(r => r.id === reviewId);
+        const { project, discussion } = review ? this.getReviewSubject(review) : {};
+        
+        if (!review || !project || !this.can('review.view', { project, review })) {
+            container.innerHTML = `
+                <div class="card">
+                    <div class="empty-state">
+                        <div class="empty-icon">📋</div>
+                        <div class="empty-title">Review not available</div>
+                        <p class="text-muted mb-4">This review request does not exist or is not shared with you</p>
+                        <a href="#dashboard" class="btn btn-primary">Go to Dashboard</a>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+        
+        const isReviewer = this.can('review.respond', { project, review });
+        const subjectLink = discussion ?
+            `<a href="#discussion/${discussion.id}">${this.escapeHtml(discussion.title)}</a>` :
+            `<a href="#project/${project.id}">${this.escapeHtml(project.title)}</a>`;
         
         container.innerHTML = `
             <div class="page-header">
-                <button class="btn btn-secondary mb-4" onclick="app.navigateTo('project/${discussion.projectId}')">
+                <button class="btn btn-secondary mb-4" onclick="app.navigateTo('project/${project.id}')">
                     <i class="fas fa-arrow-left"></i>
                     Back to Project
                 </button>
-                <h1 class="page-title">${this.escapeHtml(discussion.title)}</h1>
-                <p class="page-subtitle">${this.escapeHtml(discussion.projectTitle)} • ${this.formatDate(discussion.createdAt)}</p>
+                <h1 class="page-title">Expert Review</h1>
+                <p class="page-subtitle">
+                    ${this.renderAuthorLink(review.requestedBy, review.requestedByName)} asked
+                    ${this.renderAuthorLink(review.reviewerId, review.reviewerName)} to review ${discussion ? 'a discussion in' : ''}
+                    ${discussion ? `<a href="#project/${project.id}">${this.escapeHtml(project.title)}</a>` : 'this project'}
+                </p>
             </div>
             
-            <div class="dashboard-grid">
-                <div class="col-span-8">
-                    <div class="card">
-                        <div class="discussion-header">
-                            <div class="discussion-type type-${discussion.type}">
-                                <i class="${this.getDiscussionIcon(discussion.type)}"></i>
-                                <span>${discussion.type}</span>
-                            </div>
-                            <div class="flex items-center gap-4">
-                                <span class="text-muted">
-                                    <i class="fas fa-eye"></i> ${discussion.views || 0} views
-                                </span>
-                                <button class="btn btn-ghost btn-sm ${liked ? 'text-red-500' : ''}" 
-                                        onclick="app.toggleDiscussionLike('${discussion.id}')">
-                                    <i class="fas fa-heart ${liked ? 'fas' : 'far'}"></i> ${discussion.likes || 0}
-                                </button>
-                            </div>
+            <div class="card">
+                <div class="flex items-center gap-2 mb-2">
+                    <span class="badge ${REVIEW_STATUSES[review.status].badge}">${REVIEW_STATUSES[review.status].label}</span>
+                    ${this.isReviewOverdue(review) ? '<span class="badge badge-error">Overdue</span>' : ''}
+                    <span class="text-sm text-muted">Due ${this.formatDueDate(review.dueDate)}</span>
+                    ${review.expertiseTag ? `<span class="project-tag">${this.escapeHtml(review.expertiseTag)}</span>` : ''}
+                </div>
+                <h2 class="mb-2">${subjectLink}</h2>
+                <p class="mb-4">${this.escapeHtml((discussion?.content || project.description || '').substring(0, 400))}</p>
+                
+                ${review.status === 'accepted' && isReviewer ? this.renderReviewForm(review) : `
+                    ${review.questions.length ? `
+                        <h3 class="mb-2">Questions</h3>
+                        <ol class="space-y-3 mb-4">
+                            ${review.questions.map((question, index) => `
+                                <li>
+                                    <div class="font-semibold">${this.escapeHtml(question)}</div>
+                                    ${review.review?.answers[index] ? `<p class="review-answer">${this.escapeHtml(review.review.answers[index])}</p>` : ''}
+                                </li>
+                            `).join('')}
+                        </ol>
+                    ` : ''}
+                    ${review.review ? `
+                        <div class="flex items-center gap-2 mb-2">
+                            <h3>Recommendation</h3>
+                            <span class="badge ${REVIEW_RECOMMENDATIONS[review.review.recommendation]?.badge || 'badge-primary'}">
+                                ${REVIEW_RECOMMENDATIONS[review.review.recommendation]?.label || review.review.recommendation}
+                            </span>
                         </div>
-                        
-                        <div class="mb-6">
-                            <div class="author-info mb-4">
-                                <div class="author-avatar">${discussion.authorName.substring(0, 2).toUpperCase()}</div>
-                                <div>
-                                    <div class="author-name">${this.escapeHtml(discussion.authorName)}</div>
-                                    <div class="author-institution">${this.escapeHtml(discussion.institution || '')}</div>
-                                </div>
-                            </div>
-                            
-                            <div class="prose max-w-none">
-                                ${this.escapeHtml(discussion.content).replace(/\n/g, '<br>')}
-                            </div>
+                        <p class="review-answer mb-2">${this.escapeHtml(review.review.comments)}</p>
+                        <p class="text-sm text-muted">Submitted ${this.formatTimeAgo(review.submittedAt)}</p>
+                    ` : ''}
+                    ${review.status === 'requested' && isReviewer ? `
+                        <div class="flex gap-3">
+                            <button class="btn btn-primary" onclick="app.respondToReviewRequest('${review.id}', true)">
+                                <i class="fas fa-check mr-2"></i>
+                                Accept Review
+                            </button>
+                            <button class="btn btn-outline" onclick="app.respondToReviewRequest('${review.id}', false)">
+                                Decline
+                            </button>
                         </div>
-                        
-                        <div class="discussion-meta">
-                            <div class="text-muted">
-                                Started ${this.formatTimeAgo(discussion.createdAt)}
-                            </div>
-                            ${isAuthor ? `
-                                <div class="flex gap-2">
-                                    <button class="btn btn-outline btn-sm" onclick="app.showEditDiscussionModal('${discussion.id}')">
-                                        <i class="fas fa-edit"></i>
-                                        Edit
-                                    </button>
-                                    <button class="btn btn-outline btn-sm text-error" onclick="app.deleteDiscussion('${discussion.id}')">
-                                        <i class="fas fa-trash"></i>
-                                        Delete
-                                    </button>
-                                </div>
-                            ` : ''}
+                    ` : ''}
+                `}
+            </div>
+        `;
+    }
+    
+    renderReviewForm(review) {
+        return `
+            <form id="reviewForm" onsubmit="event.preventDefault(); app.submitReview('${review.id}')">
+                ${review.questions.map((question, index) => `
+                    <div class="form-group">
+                        <label for="reviewAnswer_${index}" class="form-label">${index + 1}. ${this.escapeHtml(question)}</label>
+                        <textarea id="reviewAnswer_${index}" class="form-input form-textarea" rows="3" maxlength="2000"></textarea>
+                    </div>
+                `).join('')}
+                <div class="form-group">
+                    <label for="reviewRecommendation" class="form-label">Recommendation *</label>
+                    <select id="reviewRecommendation" class="form-input" required>
+                        <option value="">Select a recommendation</option>
+                        ${Object.entries(REVIEW_RECOMMENDATIONS).map(([value, { label }]) => `
+                            <option value="${value}">${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="reviewComments" class="form-label">Comments *</label>
+                    <textarea id="reviewComments" class="form-input form-textarea" rows="6" maxlength="5000"
+                              placeholder="Strengths, weaknesses and suggestions for the team..." required></textarea>
+                </div>
+                <div class="flex justify-end">
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-paper-plane mr-2"></i>
+                        Submit Review
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+    
+    renderProjectReviews(project) {
+        const reviews = this.getReviews(project.id).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const submitted = reviews.filter(r => r.status === 'submitted');
+        const open = this.can('review.view', { project }) ? reviews.filter(r => r.status !== 'submitted') : [];
+        const canRequest = this.can('review.request', { project });
+        
+        if (!submitted.length && !open.length && !canRequest) return '';
+        
+        const subjectLabel = review => {
+            const discussion = review.discussionId && project.discussions?.find(d => d.id === review.discussionId);
+            return review.discussionId ?
+                `Discussion: ${discussion ? this.escapeHtml(discussion.title) : 'deleted discussion'}` :
+                'Whole project';
+        };
+        
+        return `
+            <div class="card mt-4">
+                <div class="card-header">
+                    <h2 class="card-title">
+                        <i class="card-icon fas fa-user-md"></i>
+                        Expert Reviews
+                    </h2>
+                    ${canRequest ? `
+                        <button class="btn btn-outline btn-sm" onclick="app.showReviewRequestModal('${project.id}')">
+                            <i class="fas fa-plus"></i>
+                            Request Review
+                        </button>
+                    ` : ''}
+                </div>
+                
+                ${submitted.map(review => `
+                    <div class="review-entry">
+                        <div class="flex items-center gap-2 mb-2">
+                            <span class="badge ${REVIEW_RECOMMENDATIONS[review.review.recommendation]?.badge || 'badge-primary'}">
+                                ${REVIEW_RECOMMENDATIONS[review.review.recommendation]?.label || ''}
+                            </span>
+                            <span class="author-name">${this.renderAuthorLink(review.reviewerId, review.reviewerName)}</span>
+                            <span class="text-sm text-muted">• ${subjectLabel(review)} • ${this.formatTimeAgo(review.submittedAt)}</span>
                         </div>
+                        <p class="review-answer mb-2">${this.escapeHtml(review.review.comments)}</p>
+                        <a href="#review/${review.id}" class="text-sm">Read full review</a>
                     </div>
-                    
-                    <div class="mt-8">
-                        <h2 class="mb-4">Comments (${discussion.comments || 0})</h2>
-                        
-                        ${(discussion.commentsList && discussion.commentsList.length > 0) ? `
-                            <div class="space-y-4">
-                                ${discussion.commentsList.map(comment => {
-                                    const commentLiked = this.hasLikedComment(comment.id);
-                                    return `
-                                        <div class="card">
-                                            <div class="author-info mb-3">
-                                                <div class="author-avatar">${comment.authorName.substring(0, 2).toUpperCase()}</div>
-                                                <div>
-                                                    <div class="author-name">${this.escapeHtml(comment.authorName)}</div>
-                                                    <div class="author-institution">${this.escapeHtml(comment.authorInstitution || '')}</div>
-                                                </div>
-                                            </div>
-                                            <p>${this.escapeHtml(comment.content)}</p>
-                                            <div class="discussion-meta mt-3">
-                                                <div class="text-muted">
-                                                    ${this.formatTimeAgo(comment.createdAt)}
-                                                </div>
-                                                <button class="btn btn-ghost btn-sm ${commentLiked ? 'text-red-500' : ''}" 
-                                                        onclick="app.toggleCommentLike('${comment.id}')">
-                                                    <i class="fas fa-heart ${commentLiked ? 'fas' : 'far'}"></i> ${comment.likes || 0}
-                                                </button>
-                                            </div>
-                                        </div>
-                                    `;
-                                }).join('')}
-                            </div>
-                        ` : `
-                            <div class="text-center py-8">
-                                <div class="empty-icon">💬</div>
-                                <h3 class="mb-2">No comments yet</h3>
-                                <p class="text-muted">Be the first to contribute to this discussion</p>
-                            </div>
-                        `}
-                        
-                        ${canComment ? `
-                            <div class="mt-6">
-                                <div class="card">
-                                    <h3 class="mb-3">Add Your Insight</h3>
-                                    <div class="form-group">
-                                        <textarea id="quickComment" class="form-input form-textarea" 
-                                                  placeholder="Share your expert perspective, analysis, or recommendation..."
-                                                  rows="3" maxlength="1000"></textarea>
-                                        <div class="char-counter" id="quickCommentCounter">0/1000</div>
-                                    </div>
-                                    <button class="btn btn-primary mt-2" onclick="app.addQuickComment('${discussion.id}')">
-                                        <i class="fas fa-paper-plane"></i>
-                                        Post Comment
-                                    </button>
+                `).join('')}
+                
+                ${open.length ? `
+                    <h3 class="mb-2 ${submitted.length ? 'mt-4' : ''}">Open Requests</h3>
+                    <div class="space-y-2">
+                        ${open.map(review => `
+                            <a href="#review/${review.id}" class="flex items-center gap-3 p-3 bg-surface rounded-lg">
+                                <div class="flex-1">
+                                    <div class="author-name">${this.escapeHtml(review.reviewerName)}</div>
+                                    <div class="text-sm text-muted">${subjectLabel(review)} • Due ${this.formatDueDate(review.dueDate)}</div>
                                 </div>
-                            </div>
-                        ` : `
-                            <div class="mt-6 p-4 bg-warning-50 border border-warning-200 rounded-lg text-center">
-                                <i class="fas fa-info-circle text-warning-500 mr-2"></i>
-                                <span class="text-warning-700">Guest researchers can view but cannot contribute to discussions</span>
-                            </div>
-                        `}
+                                ${this.isReviewOverdue(review) ? '<span class="badge badge-error">Overdue</span>' : ''}
+                                <span class="badge ${REVIEW_STATUSES[review.status].badge}">${REVIEW_STATUSES[review.status].label}</span>
+                            </a>
+                        `).join('')}
                     </div>
-                </div>
+                ` : ''}
                 
-                <div class="col-span-4">
-                    <div class="card">
-                        <div class="card-header">
-                            <h2 class="card-title">
-                                <i class="card-icon fas fa-info-circle"></i>
-                                Discussion Info
-                            </h2>
+                ${!submitted.length && !open.length ? '<p class="text-muted">No expert reviews yet</p>' : ''}
+            </div>
+        `;
+    }
+    
+    // ========== FIND COLLABORATORS ==========
+    
+    // Each matched tag counts for more in stated expertise than in past discussions
+    scoreCollaborator(researcher, topicTags, projects) {
+        // Matching ignores case but keeps the first spelling seen for display
+        const matches = tags => tags.filter((tag, index) => topicTags.has(tag.toLowerCase()) &&
+            tags.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+        const expertise = matches(researcher.expertise || []);
+        const known = new Set(expertise.map(tag => tag.toLowerCase()));
+        const discussed = new Map();
+        let comments = 0;
+        
+        projects.forEach(project => {
+            (project.discussions || []).forEach(discussion => {
+                const discussionTags = [...(discussion.tags || []), ...(project.tags || [])];
+                
+                if (discussion.authorId === researcher.id) {
+                    matches(discussionTags)
+                        .filter(tag => !known.has(tag.toLowerCase()) && !discussed.has(tag.toLowerCase()))
+                        .forEach(tag => discussed.set(tag.toLowerCase(), tag));
+                }
+                
+                const authored = (discussion.commentsList || []).filter(comment => comment.authorId === researcher.id).length;
+                if (authored && matches(discussionTags).length) {
+                    comments += authored;
+                }
+            });
+        });
+        
+        return {
+            score: expertise.length * 3 + discussed.size * 2 + Math.min(comments, 10),
+            expertise: expertise,
+            discussed: [...discussed.values()],
+            comments: comments
+        };
+    }
+    
+    loadFindCollaborators() {
+        const container = document.getElementById('collaboratorResults');
+        if (!container) return;
+        
+        const projects = this.getProjects();
+        const myProjects = this.user ? projects.filter(project => this.getProjectRole(project)) : [];
+        
+        if (this.isVisitor || !myProjects.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔎</div>
+                    <div class="empty-title">No projects to match against</div>
+                    <p class="text-muted mb-4">Create or join a project to find researchers who share its focus</p>
+                    <a href="#projects" class="btn btn-primary">Browse Projects</a>
+                </div>
+            `;
+            return;
+        }
+        
+        const requested = this.routeParams.get('project');
+        const project = myProjects.find(p => p.id === requested) || myProjects[0];
+        const type = this.routeParams.get('type') || '';
+        const institution = this.routeParams.get('institution') || '';
+        
+        const candidates = Object.values(this.getUserDirectory())
+            .filter(researcher => researcher.id !== this.user.id && researcher.type !== 'visitor' && !this.getProjectRole(project, researcher.id));
+        const institutions = [...new Set(candidates.map(r => r.institution).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+        
+        const projectSelect = document.getElementById('collaboratorProject');
+        projectSelect.innerHTML = myProjects.map(p => `
+            <option value="${p.id}">${this.escapeHtml(p.title)}</option>
+        `).join('');
+        projectSelect.value = project.id;
+        document.getElementById('collaboratorType').value = type;
+        const institutionSelect = document.getElementById('collaboratorInstitution');
+        institutionSelect.innerHTML = `
+            <option value="">All institutions</option>
+            ${institutions.map(name => `<option value="${this.escapeAttribute(name)}">${this.escapeHtml(name)}</option>`).join('')}
+        `;
+        institutionSelect.value = institutions.includes(institution) ? institution : '';
+        
+        const topicTags = new Set([
+            ...(project.tags || []),
+            ...(project.discussions || []).flatMap(discussion => discussion.tags || [])
+        ].map(tag => tag.toLowerCase()));
+        
+        const ranked = candidates
+            .filter(researcher => (!type || researcher.type === type) && (!institutionSelect.value || researcher.institution === institutionSelect.value))
+            .map(researcher => ({ researcher, ...this.scoreCollaborator(researcher, topicTags, projects) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.researcher.name.localeCompare(b.researcher.name));
+        
+        if (!ranked.length) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔎</div>
+                    <div class="empty-title">No matching researchers</div>
+                    <p class="text-muted">
+                        ${topicTags.size ? 'Nobody outside the team lists or discusses these research domains yet. Try other filters.' : 'Add research domains to this project to find matching researchers.'}
+                    </p>
+                </div>
+            `;
+            return;
+        }
+        
+        const canInvite = this.can('invitation.create', { project, role: 'contributor' });
+        const invited = new Set(this.getInvitations(project.id)
+            .filter(i => i.inviteeId && this.getInvitationState(i) === 'active')
+            .map(i => i.inviteeId));
+        
+        container.innerHTML = ranked.map(({ researcher, score, expertise, discussed, comments }) => `
+            <div class="card">
+                <div class="flex items-start gap-4">
+                    <div class="author-avatar">${this.escapeHtml(researcher.avatar_initials || researcher.name.substring(0, 2).toUpperCase())}</div>
+                    <div class="flex-1">
+                        <div class="flex items-center gap-2 mb-1">
+                            <h3>${this.renderAuthorLink(researcher.id, researcher.name)}</h3>
+                            <span class="badge badge-primary">${score} match</span>
                         </div>
-                        
-                        <div class="space-y-4">
-                            <div>
-                                <div class="text-muted">Project</div>
-                                <div class="font-semibold">${this.escapeHtml(discussion.projectTitle)}</div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Type</div>
-                                <div class="discussion-type type-${discussion.type} inline-flex">
-                                    <i class="${this.getDiscussionIcon(discussion.type)}"></i>
-                                    <span>${discussion.type}</span>
-                                </div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Started</div>
-                                <div class="font-semibold">${this.formatDate(discussion.createdAt)}</div>
-                            </div>
-                            <div>
-                                <div class="text-muted">Engagement</div>
-                                <div class="flex items-center gap-4">
-                                    <span><i class="fas fa-heart text-red-500"></i> ${discussion.likes || 0}</span>
-                                    <span><i class="fas fa-comment text-primary"></i> ${discussion.comments || 0}</span>
-                                    <span><i class="fas fa-eye text-muted"></i> ${discussion.views || 0}</span>
-                                </div>
-                            </div>
+                        <p class="text-muted mb-2">
+                            ${USER_TYPE_LABELS[researcher.type] || 'Researcher'}${researcher.institution ? ` • ${this.escapeHtml(researcher.institution)}` : ''}
+                        </p>
+                        <div class="project-tags mb-2">
+                            ${expertise.map(tag => `<span class="project-tag followed">${this.escapeHtml(tag)}</span>`).join('')}
+                            ${discussed.map(tag => `<span class="project-tag">${this.escapeHtml(tag)}</span>`).join('')}
                         </div>
+                        <p class="text-sm text-muted">
+                            ${[
+                                expertise.length ? `Expertise in ${expertise.length} of this project's domains` : '',
+                                discussed.length ? `Started discussions on ${discussed.length} more` : '',
+                                comments ? `${comments} comment${comments === 1 ? '' : 's'} on related topics` : ''
+                            ].filter(Boolean).join(' • ')}
+                        </p>
                     </div>
+                    ${canInvite ? `
+                        <button class="btn btn-outline btn-sm" data-researcher-id="${this.escapeAttribute(researcher.id)}" onclick="app.inviteResearcher('${project.id}', this.dataset.researcherId)" ${invited.has(researcher.id) ? 'disabled' : ''}>
+                            <i class="fas fa-envelope mr-2"></i>
+                            ${invited.has(researcher.id) ? 'Invited' : 'Invite to Project'}
+                        </button>
+                    ` : ''}
                 </div>
             </div>
-        `;
+        `).join('');
+    }
+    
+    changeCollaboratorFilters() {
+        const params = new URLSearchParams();
+        params.set('project', document.getElementById('collaboratorProject').value);
+        
+        const type = document.getElementById('collaboratorType').value;
+        const institution = document.getElementById('collaboratorInstitution').value;
+        if (type) params.set('type', type);
+        if (institution) params.set('institution', institution);
+        
+        window.location.hash = `findcollaborators?${params}`;
+    }
+    
+    inviteResearcher(projectId, researcherId) {
+        const researcher = this.getResearcher(researcherId);
+        const invitation = this.createInvitation(projectId, { mode: 'direct', inviteeId: researcherId, role: 'contributor' });
+        if (!invitation) return;
+        
+        this.showToast(`Invitation sent to ${researcher?.name || 'researcher'}`, 'success');
+        this.loadFindCollaborators();
+    }
+    
+    // ========== DECISIONS ==========
+    
+    updateDecisionFields() {
+        const type = document.querySelector('#newDiscussionModal .discussion-type-btn.active')?.dataset.type;
+        document.getElementById('decisionPollFields')?.classList.toggle('hidden', type !== 'decision');
+    }
+    
+    readPollFields() {
+        const labels = [...new Set(document.getElementById('pollOptions').value
+            .split('\n')
+            .map(label => label.trim())
+            .filter(label => label))];
+        const mode = document.getElementById('pollMode').value === 'ranked' ? 'ranked' : 'single';
+        const deadline = document.getElementById('pollDeadline').value;
+        const quorum = parseInt(document.getElementById('pollQuorum').value, 10) || 0;
+        
+        if (labels.length < 2 || labels.length > 10) {
+            this.showToast('Decisions need between 2 and 10 distinct options', 'error');
+            return null;
+        }
         
-        // Update view count
-        this.incrementDiscussionViews(discussion.id);
+        if (labels.some(label => label.length > 200)) {
+            this.showToast('Options must be 200 characters or less', 'error');
+            return null;
+        }
+        
+        if (deadline && new Date(deadline) <= new Date()) {
+            this.showToast('The voting deadline must be in the future', 'error');
+            return null;
+        }
+        
+        if (quorum < 0 || quorum > 500) {
+            this.showToast('Quorum must be between 0 and 500 votes', 'error');
+            return null;
+        }
+        
+        return {
+            mode: mode,
+            options: labels.map((label, index) => ({ id: `option_${index + 1}`, label: label })),
+            deadline: deadline ? new Date(deadline).toISOString() : null,
+            quorum: quorum,
+            votes: {},
+            status: 'open',
+            closedAt: null,
+            closedBy: null
+        };
     }
     
-    // ========== PROJECT MANAGEMENT ==========
+    getPollState(poll) {
+        if (poll.status === 'closed') return 'closed';
+        if (poll.deadline && new Date(poll.deadline) <= new Date()) return 'ended';
+        return 'open';
+    }
     
-    createProject() {
-        const title = document.getElementById('projectTitle').value.trim();
-        const description = document.getElementById('projectDescription').value.trim();
-        const tagsInput = document.getElementById('projectTags').value.trim();
-        const institution = document.getElementById('projectInstitution').value.trim();
-        const position = document.getElementById('projectPosition').value;
+    // Single choice is a plurality count. Ranked choice is an instant runoff:
+    // the weakest options drop out until one holds a majority of live ballots
+    tallyPoll(poll) {
+        const ballots = Object.values(poll.votes || {}).filter(ranking => ranking.length);
+        const firstChoices = Object.fromEntries(poll.options.map(option => [option.id, 0]));
+        ballots.forEach(ranking => {
+            if (ranking[0] in firstChoices) firstChoices[ranking[0]]++;
+        });
         
-        if (!title || !description || !position) {
-            this.showToast('Title, description, and position are required', 'error');
-            return;
+        const remaining = new Set(poll.options.map(option => option.id));
+        let leaderId = null;
+        let rounds = 0;
+        
+        while (ballots.length && remaining.size) {
+            rounds++;
+            const counts = new Map([...remaining].map(id => [id, 0]));
+            let live = 0;
+            
+            ballots.forEach(ranking => {
+                const choice = ranking.find(id => remaining.has(id));
+                if (choice) {
+                    counts.set(choice, counts.get(choice) + 1);
+                    live++;
+                }
+            });
+            
+            const max = Math.max(...counts.values());
+            const min = Math.min(...counts.values());
+            
+            if (poll.mode !== 'ranked' || max * 2 > live || max === min) {
+                const leaders = [...counts].filter(([, count]) => count === max);
+                leaderId = leaders.length === 1 && max > 0 ? leaders[0][0] : null;
+                break;
+            }
+            
+            [...counts].filter(([, count]) => count === min).forEach(([id]) => remaining.delete(id));
         }
         
-        if (description.length > 2000) {
-            this.showToast('Description must be 2000 characters or less', 'error');
+        return {
+            voters: ballots.length,
+            firstChoices: firstChoices,
+            leaderId: leaderId,
+            rounds: rounds,
+            quorumMet: ballots.length >= (poll.quorum || 0)
+        };
+    }
+    
+    castVote(discussionId) {
+        const projects = this.getProjects();
+        const { project, discussion } = this.findDiscussion(projects, discussionId);
+        const poll = discussion?.poll;
+        
+        if (!poll) return;
+        
+        if (!this.authorize('decision.vote', { project, discussion }, 'Only contributing team members can vote')) return;
+        
+        if (this.getPollState(poll) !== 'open') {
+            this.showToast('Voting has closed', 'info');
             return;
         }
         
-        const tags = tagsInput ? 
-            tagsInput.split(',').map(t => t.trim()).filter(t => t) : [];
+        let ranking;
+        if (poll.mode === 'ranked') {
+            const ranks = poll.options
+                .map(option => ({ id: option.id, rank: parseInt(document.getElementById(`pollRank_${option.id}`)?.value, 10) }))
+                .filter(entry => entry.rank);
+            
+            if (!ranks.length) {
+                this.showToast('Rank at least one option', 'error');
+                return;
+            }
+            
+            if (new Set(ranks.map(entry => entry.rank)).size !== ranks.length) {
+                this.showToast('Give each option a different rank', 'error');
+                return;
+            }
+            
+            ranking = ranks.sort((a, b) => a.rank - b.rank).map(entry => entry.id);
+        } else {
+            const choice = document.querySelector(`input[name="pollChoice_${discussionId}"]:checked`)?.value;
+            
+            if (!poll.options.some(option => option.id === choice)) {
+                this.showToast('Choose an option to vote for', 'error');
+                return;
+            }
+            
+            ranking = [choice];
+        }
         
-        const project = {
-            id: `proj_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            title: title,
-            description: description,
-            tags: tags,
-            institution: institution || this.user.institution,
-            ownerId: this.user.id,
-            ownerName: this.user.name,
-            ownerType: this.user.type,
-            ownerPosition: position,
-            teamMembers: [],
-            discussions: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const changed = Boolean(poll.votes[this.user.id]);
+        poll.votes[this.user.id] = ranking;
+        this.saveJSON('thoraxlab_projects', projects);
         
+        this.showToast(changed ? 'Vote updated' : 'Vote recorded', 'success');
+        this.loadDiscussionDetail(discussionId);
+    }
+    
+    closeVoting(discussionId) {
         const projects = this.getProjects();
-        projects.push(project);
-        this.saveJSON('thoraxlab_projects', projects);
+        const { project, discussion } = this.findDiscussion(projects, discussionId);
         
-        // Add activity
-        this.addActivity({
-            type: 'project_created',
-            description: `${this.user.name} started "${title}"`,
-            projectId: project.id
-        });
+        if (!discussion?.poll || discussion.poll.status === 'closed') return;
         
-        // Update tags
-        this.updateTagsCount(tags);
+        if (!this.authorize('decision.record', { project, discussion }, 'Only the author, a project lead or a moderator can close this vote')) return;
         
-        this.showToast('Project created successfully!', 'success');
-        this.hideModal('newProjectModal');
-        this.navigateTo(`project/${project.id}`);
+        if (!confirm('Close voting? Team members will no longer be able to vote or change their votes.')) return;
+        
+        discussion.poll.status = 'closed';
+        discussion.poll.closedAt = new Date().toISOString();
+        discussion.poll.closedBy = this.user.id;
+        this.saveJSON('thoraxlab_projects', projects);
+        
+        this.showToast('Voting closed', 'success');
+        this.loadDiscussionDetail(discussionId);
     }
     
-    createDiscussion() {
-        const projectId = document.getElementById('discussionProjectId').value;
-        const title = document.getElementById('discussionTitle').value.trim();
-        const content = document.getElementById('discussionContent').value.trim();
-        const type = document.querySelector('.discussion-type-btn.active')?.dataset.type || 'brainstorm';
+    showRecordDecisionModal(discussionId) {
+        const { project, discussion } = this.findDiscussion(this.getProjects(), discussionId);
         
-        if (!title || !content) {
-            this.showToast('Topic and description are required', 'error');
+        if (!discussion || !this.can('decision.record', { project, discussion })) {
+            this.showToast('Only the author, a project lead or a moderator can record the decision', 'warning');
             return;
         }
         
-        if (content.length > 5000) {
-            this.showToast('Description must be 5000 characters or less', 'error');
+        const poll = discussion.poll;
+        const tally = poll ? this.tallyPoll(poll) : null;
+        
+        document.getElementById('decisionDiscussionId').value = discussionId;
+        document.getElementById('decisionOptionGroup').classList.toggle('hidden', !poll);
+        document.getElementById('decisionVoteSummary').textContent = poll ?
+            `${tally.voters} vote${tally.voters === 1 ? '' : 's'} cast${poll.quorum ? ` • quorum of ${poll.quorum} ${tally.quorumMet ? 'reached' : 'not reached'}` : ''}. Recording a decision closes the vote.` :
+            'No vote was held for this decision.';
+        
+        if (poll) {
+            const select = document.getElementById('decisionOption');
+            select.innerHTML = `
+                ${poll.options.map(option => `
+                    <option value="${option.id}">${this.escapeHtml(option.label)} (${tally.firstChoices[option.id]} first-choice vote${tally.firstChoices[option.id] === 1 ? '' : 's'})</option>
+                `).join('')}
+                <option value="">Another outcome (describe below)</option>
+            `;
+            select.value = tally.leaderId || '';
+        }
+        
+        this.showModal('recordDecisionModal');
+    }
+    
+    recordDecision() {
+        const discussionId = document.getElementById('decisionDiscussionId').value;
+        const projects = this.getProjects();
+        const { project, discussion } = this.findDiscussion(projects, discussionId);
+        
+        if (!discussion) return;
+        
+        if (!this.authorize('decision.record', { project, discussion }, 'Only the author, a project lead or a moderator can record the decision')) return;
+        
+        if (discussion.outcome) {
+            this.showToast('A decision has already been recorded', 'info');
             return;
         }
         
-        const discussion = {
-            id: `disc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            title: title,
-            content: content,
-            type: type,
-            authorId: this.user.id,
-            authorName: this.user.name,
-            authorType: this.user.type,
-            createdAt: new Date().toISOString(),
-            likes: 0,
-            comments: 0,
-            views: 0,
-            commentsList: []
-        };
+        const poll = discussion.poll;
+        const option = poll?.options.find(o => o.id === document.getElementById('decisionOption').value) || null;
+        const summary = document.getElementById('decisionSummary').value.trim();
+        const rationale = document.getElementById('decisionRationale').value.trim();
         
-        const projects = this.getProjects();
-        const projectIndex = projects.findIndex(p => p.id === projectId);
+        if (!option && !summary) {
+            this.showToast('Choose an option or describe the decision', 'error');
+            return;
+        }
         
-        if (projectIndex === -1) {
-            this.showToast('Project not found', 'error');
+        if (!rationale) {
+            this.showToast('Please explain the rationale for the decision', 'error');
             return;
         }
         
-        if (!projects[projectIndex].discussions) {
-            projects[projectIndex].discussions = [];
+        if (poll) {
+            const tally = this.tallyPoll(poll);
+            if (!tally.quorumMet && !confirm(`Only ${tally.voters} of the ${poll.quorum} required votes were cast. Record the decision anyway?`)) return;
         }
         
-        projects[projectIndex].discussions.push(discussion);
-        projects[projectIndex].updatedAt = new Date().toISOString();
+        const now = new Date().toISOString();
+        
+        if (poll && poll.status !== 'closed') {
+            poll.status = 'closed';
+            poll.closedAt = now;
+            poll.closedBy = this.user.id;
+        }
+        
+        discussion.outcome = {
+            optionId: option?.id || null,
+            decision: summary || option.label,
+            rationale: rationale,
+            recordedBy: this.user.id,
+            recordedByName: this.user.name,
+            recordedAt: now
+        };
+        discussion.updatedAt = now;
+        project.updatedAt = now;
         this.saveJSON('thoraxlab_projects', projects);
         
-        // Add activity
         this.addActivity({
-            type: 'discussion_started',
-            description: `${this.user.name} started discussion "${title}"`,
-            projectId: projectId,
+            type: 'decision_recorded',
+            description: `${this.user.name} recorded a decision on "${discussion.title}": ${discussion.outcome.decision}`,
+            projectId: project.id,
             discussionId: discussion.id
         });
         
-        this.showToast('Discussion started successfully!', 'success');
-        this.hideModal('newDiscussionModal');
-        this.navigateTo(`discussion/${discussion.id}`);
+        // Team entries from demo data or older team forms carry ids no account uses
+        const directory = this.getUserDirectory();
+        this.notifyEach([project.ownerId, ...(project.teamMembers || []).map(m => m.id)].filter(userId => directory[userId]).map(userId => ({
+            recipientId: userId,
+            type: 'decision_recorded',
+            message: `Decision on "${discussion.title}": ${discussion.outcome.decision}`,
+            link: `discussion/${discussion.id}`,
+            projectId: project.id
+        })));
+        
+        this.hideModal('recordDecisionModal');
+        this.showToast('Decision recorded', 'success');
+        this.loadDiscussionDetail(discussionId);
     }
     
-    addComment() {
-        const discussionId = document.getElementById('commentDiscussionId').value;
-        const content = document.getElementById('commentContent').value.trim();
+    renderDecisionPanel(discussion, project) {
+        if (discussion.type !== 'decision' && !discussion.outcome) return '';
+        
+        const { poll, outcome } = discussion;
+        const state = poll ? this.getPollState(poll) : 'closed';
+        const tally = poll ? this.tallyPoll(poll) : null;
+        const myVote = poll?.votes[this.user?.id] || [];
+        const canVote = poll && state === 'open' && this.can('decision.vote', { project, discussion });
+        const canRecord = !outcome && this.can('decision.record', { project, discussion });
+        const stateBadge = outcome ? ['badge-success', 'Decided'] :
+            state === 'open' ? ['badge-primary', 'Voting open'] : ['badge-warning', 'Awaiting decision'];
+        const optionLabel = id => poll?.options.find(option => option.id === id)?.label || '';
+        
+        return `
+            <div class="card mt-4 decision-panel">
+                <div class="card-header">
+                    <h2 class="card-title">
+                        <i class="card-icon fas fa-gavel"></i>
+                        Decision
+                    </h2>
+                    <span class="badge ${stateBadge[0]}">${stateBadge[1]}</span>
+                </div>
+                
+                ${outcome ? `
+                    <div class="decision-outcome mb-4">
+                        <div class="decision-outcome-title">${this.escapeHtml(outcome.decision)}</div>
+                        <p class="review-answer mb-2">${this.escapeHtml(outcome.rationale)}</p>
+                        <div class="text-sm text-muted">
+                            Recorded by ${this.renderAuthorLink(outcome.recordedBy, outcome.recordedByName)} • ${this.formatDate(outcome.recordedAt)}
+                        </div>
+                    </div>
+                ` : ''}
+                
+                ${poll ? `
+                    <p class="text-sm text-muted mb-3">
+                        ${poll.mode === 'ranked' ? 'Ranked choice' : 'Single choice'} •
+                        ${tally.voters} vote${tally.voters === 1 ? '' : 's'}
+                        ${poll.quorum ? ` • Quorum ${poll.quorum} ${tally.quorumMet ? 'reached' : 'not reached'}` : ''}
+                        ${poll.deadline ? ` • ${state === 'open' ? 'Closes' : 'Deadline'} ${this.formatDateTime(poll.deadline)}` : ''}
+                    </p>
+                    <div class="space-y-3 mb-4">
+                        ${poll.options.map(option => {
+                            const count = tally.firstChoices[option.id];
+                            const percent = tally.voters ? Math.round(count / tally.voters * 100) : 0;
+                            return `
+                                <div>
+                                    <div class="flex items-center gap-2 mb-1">
+                                        <span class="flex-1">${this.escapeHtml(option.label)}</span>
+                                        ${outcome?.optionId === option.id ? '<span class="badge badge-success">Chosen</span>' : ''}
+                                        ${!outcome && tally.leaderId === option.id ? '<span class="badge badge-primary">Leading</span>' : ''}
+                                        <span class="text-sm text-muted">${count} (${percent}%)</span>
+                                    </div>
+                                    <div class="progress-bar">
+                                        <div class="progress-fill" style="width: ${percent}%"></div>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    ${poll.mode === 'ranked' && tally.rounds > 1 ? `
+                        <p class="text-sm text-muted mb-4">Bars show first choices; the leader is decided by instant runoff after ${tally.rounds} rounds.</p>
+                    ` : ''}
+                    ${myVote.length ? `
+                        <p class="text-sm mb-4">Your vote: ${myVote.map(id => this.escapeHtml(optionLabel(id))).join(' › ')}</p>
+                    ` : ''}
+                    ${canVote ? this.renderVoteForm(discussion, myVote) : ''}
+                ` : outcome ? '' : `
+                    <p class="text-muted mb-4">No vote was set up for this decision.</p>
+                `}
+                
+                ${canRecord ? `
+                    <div class="flex gap-2 justify-end">
+                        ${poll && poll.status !== 'closed' ? `
+                            <button class="btn btn-outline btn-sm" onclick="app.closeVoting('${discussion.id}')">
+                                <i class="fas fa-lock"></i>
+                                Close Voting
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-primary btn-sm" onclick="app.showRecordDecisionModal('${discussion.id}')">
+                            <i class="fas fa-gavel"></i>
+                            Record Decision
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    renderVoteForm(discussion, myVote) {
+        const { poll } = discussion;
+        
+        return `
+            <div class="p-3 bg-surface rounded-lg mb-4">
+                ${poll.mode === 'ranked' ? `
+                    <p class="text-sm text-muted mb-2">Rank the options you support, 1 being your first choice</p>
+                    <div class="space-y-2">
+                        ${poll.options.map(option => `
+                            <div class="flex items-center gap-3">
+                                <select id="pollRank_${option.id}" class="form-input poll-rank-select">
+                                    <option value="">–</option>
+                                    ${poll.options.map((_, index) => `
+                                        <option value="${index + 1}" ${myVote.indexOf(option.id) === index ? 'selected' : ''}>${index + 1}</option>
+                                    `).join('')}
+                                </select>
+                                <label for="pollRank_${option.id}">${this.escapeHtml(option.label)}</label>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : `
+                    <div class="space-y-2">
+                        ${poll.options.map(option => `
+                            <label class="flex items-center gap-3">
+                                <input type="radio" name="pollChoice_${discussion.id}" value="${option.id}" ${myVote[0] === option.id ? 'checked' : ''}>
+                                <span>${this.escapeHtml(option.label)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `}
+                <button class="btn btn-primary btn-sm mt-4" onclick="app.castVote('${discussion.id}')">
+                    <i class="fas fa-vote-yea"></i>
+                    ${myVote.length ? 'Update Vote' : 'Cast Vote'}
+                </button>
+            </div>
+        `;
+    }
+    
+    renderDecisionLog(project) {
+        const decisions = (project.discussions || []).filter(discussion => discussion.type === 'decision' || discussion.outcome);
+        if (!decisions.length) return '';
+        
+        const decided = decisions
+            .filter(discussion => discussion.outcome)
+            .sort((a, b) => new Date(b.outcome.recordedAt) - new Date(a.outcome.recordedAt));
+        const pending = decisions.filter(discussion => !discussion.outcome);
+        
+        return `
+            <div class="card mt-4">
+                <div class="card-header">
+                    <h2 class="card-title">
+                        <i class="card-icon fas fa-gavel"></i>
+                        Decision Log
+                    </h2>
+                    <span class="badge badge-primary">${decided.length}</span>
+                </div>
+                
+                ${decided.length ? `
+                    <div class="space-y-3">
+                        ${decided.map(discussion => `
+                            <div class="p-3 bg-surface rounded-lg">
+                                <div class="flex items-center gap-2 mb-1">
+                                    <a href="#discussion/${discussion.id}" class="author-name flex-1">${this.escapeHtml(discussion.title)}</a>
+                                    <span class="text-sm text-muted">${this.formatDate(discussion.outcome.recordedAt)}</span>
+                                </div>
+                                <div class="font-semibold">${this.escapeHtml(discussion.outcome.decision)}</div>
+                                <p class="text-sm text-muted">${this.escapeHtml(discussion.outcome.rationale.substring(0, 200))}${discussion.outcome.rationale.length > 200 ? '…' : ''}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : '<p class="text-muted">No decisions recorded yet</p>'}
+                
+                ${pending.length ? `
+                    <h3 class="mt-4 mb-2">Awaiting a Decision</h3>
+                    <div class="space-y-2">
+                        ${pending.map(discussion => `
+                            <a href="#discussion/${discussion.id}" class="flex items-center gap-3">
+                                <span class="flex-1">${this.escapeHtml(discussion.title)}</span>
+                                ${discussion.poll ? `
+                                    <span class="text-sm text-muted">${this.tallyPoll(discussion.poll).voters} votes</span>
+                                    <span class="badge ${this.getPollState(discussion.poll) === 'open' ? 'badge-primary' : 'badge-warning'}">
+                                        ${this.getPollState(discussion.poll) === 'open' ? 'Voting open' : 'Voting closed'}
+                                    </span>
+                                ` : ''}
+                            </a>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    // ========== ACCEPTED ANSWERS ==========
+    
+    isUnansweredQuestion(discussion) {
+        return discussion.type === 'question' && !discussion.acceptedAnswer;
+    }
+    
+    getAcceptedAnswer(discussion) {
+        const commentId = discussion.acceptedAnswer?.commentId;
+        return commentId ? (discussion.commentsList || []).find(comment => comment.id === commentId) || null : null;
+    }
+    
+    // Accepting the current answer again clears it
+    toggleAcceptedAnswer(discussionId, commentId) {
+        const projects = this.getProjects();
+        const { project, discussion } = this.findDiscussion(projects, discussionId);
+        const comment = discussion?.commentsList?.find(c => c.id === commentId);
         
-        if (!content) {
-            this.showToast('Comment content is required', 'error');
-            return;
+        if (!comment || discussion.type !== 'question') return;
+        
+        if (!this.authorize('discussion.accept_answer', { project, discussion }, 'Only the question author or a project lead can accept an answer')) return;
+        
+        const now = new Date().toISOString();
+        const unaccepting = discussion.acceptedAnswer?.commentId === commentId;
+        
+        if (unaccepting) {
+            delete discussion.acceptedAnswer;
+        } else {
+            discussion.acceptedAnswer = {
+                commentId: commentId,
+                acceptedBy: this.user.id,
+                acceptedByName: this.user.name,
+                acceptedAt: now
+            };
         }
+        discussion.updatedAt = now;
+        this.saveJSON('thoraxlab_projects', projects);
         
-        this.addCommentToDiscussion(discussionId, content);
+        if (!unaccepting) {
+            this.addActivity({
+                type: 'answer_accepted',
+                description: `${this.user.name} accepted ${comment.authorName}'s answer to "${discussion.title}"`,
+                projectId: project.id,
+                discussionId: discussion.id
+            });
+            
+            this.notify(comment.authorId, 'answer_accepted', {
+                message: `${this.user.name} accepted your answer to "${discussion.title}"`,
+                link: `discussion/${discussion.id}/${comment.id}`,
+                projectId: project.id
+            });
+        }
+        
+        this.showToast(unaccepting ? 'Accepted answer cleared' : 'Answer accepted. The question is resolved.', 'success');
+        this.loadDiscussionDetail(discussionId);
     }
     
-    addQuickComment(discussionId) {
-        const content = document.getElementById('quickComment').value.trim();
+    renderAcceptedAnswer(discussion, comment) {
+        return `
+            <div class="card accepted-answer-pinned mb-4">
+                <div class="flex items-center gap-2 mb-3">
+                    <div class="resolved-badge">
+                        <i class="fas fa-check-circle"></i>
+                        Accepted Answer
+                    </div>
+                    <span class="text-sm text-muted">
+                        Accepted by ${this.escapeHtml(discussion.acceptedAnswer.acceptedByName)} • ${this.formatTimeAgo(discussion.acceptedAnswer.acceptedAt)}
+                    </span>
+                </div>
+                <div class="author-name mb-2">${this.renderAuthorLink(comment.authorId, comment.authorName)}</div>
+                <div class="markdown-body">${renderMarkdown(comment.content)}</div>
+                ${this.renderCommentReference(comment.reference)}
+                <a href="#discussion/${discussion.id}/${comment.id}" class="text-sm mt-3 inline-block">View in conversation</a>
+            </div>
+        `;
+    }
+    
+    toggleUnansweredFilter(scope) {
+        this.unansweredOnly[scope] = !this.unansweredOnly[scope];
         
-        if (!content) {
-            this.showToast('Comment content is required', 'error');
-            return;
-        }
+        const button = document.getElementById(scope === 'projects' ? 'unansweredProjectsBtn' : 'unansweredDiscussionsBtn');
+        button?.classList.toggle('active', this.unansweredOnly[scope]);
         
-        if (content.length > 1000) {
-            this.showToast('Comment must be 1000 characters or less', 'error');
-            return;
+        if (scope === 'projects') {
+            this.loadAllProjects();
+        } else {
+            this.loadFeaturedDiscussions();
         }
-        
-        this.addCommentToDiscussion(discussionId, content);
-        document.getElementById('quickComment').value = '';
-        document.getElementById('quickCommentCounter').textContent = '0/1000';
     }
     
-    addCommentToDiscussion(discussionId, content) {
-        const comment = {
-            id: `comment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            content: content,
-            authorId: this.user.id,
-            authorName: this.user.name,
-            authorType: this.user.type,
-            authorInstitution: this.user.institution,
-            createdAt: new Date().toISOString(),
-            likes: 0
-        };
+    // ========== ATTACHMENTS ==========
+    
+    getAttachmentKind(file) {
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return Object.keys(ATTACHMENT_KINDS).find(kind => {
+            const { extensions, types } = ATTACHMENT_KINDS[kind];
+            return extensions.includes(extension) && (!file.type || types.includes(file.type));
+        }) || null;
+    }
+    
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    // Returns the first problem with the picked files, or null when they can be stored
+    validateAttachmentFiles(files) {
+        if (files.length > ATTACHMENT_MAX_COUNT) {
+            return `You can attach up to ${ATTACHMENT_MAX_COUNT} files`;
+        }
+        
+        for (const file of files) {
+            if (!this.getAttachmentKind(file)) {
+                return `"${file.name}" is not a supported file type. Attach images, PDFs or CSV files.`;
+            }
+            if (!file.size) {
+                return `"${file.name}" is empty`;
+            }
+            if (file.size > ATTACHMENT_MAX_SIZE) {
+                return `"${file.name}" is larger than ${this.formatFileSize(ATTACHMENT_MAX_SIZE)}`;
+            }
+        }
         
-        const projects = this.getProjects();
-        let discussionUpdated = false;
+        return null;
+    }
+    
+    // Writes each blob and returns the metadata kept on the discussion or comment
+    async storeAttachments(files) {
+        const attachments = [];
         
-        for (const project of projects) {
-            if (project.discussions) {
-                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
-                if (discussionIndex !== -1) {
-                    if (!project.discussions[discussionIndex].commentsList) {
-                        project.discussions[discussionIndex].commentsList = [];
-                    }
-                    project.discussions[discussionIndex].commentsList.push(comment);
-                    project.discussions[discussionIndex].comments = (project.discussions[discussionIndex].comments || 0) + 1;
-                    project.discussions[discussionIndex].updatedAt = new Date().toISOString();
-                    project.updatedAt = new Date().toISOString();
-                    discussionUpdated = true;
-                    break;
-                }
+        try {
+            for (const file of files) {
+                const kind = this.getAttachmentKind(file);
+                const attachment = {
+                    id: `att_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                    name: file.name.substring(0, 200),
+                    type: file.type || ATTACHMENT_KINDS[kind].types[0],
+                    kind: kind,
+                    size: file.size,
+                    uploadedBy: this.user.id,
+                    uploadedAt: new Date().toISOString()
+                };
+                await this.store.putAttachment(attachment.id, file);
+                attachments.push(attachment);
             }
+        } catch (error) {
+            this.discardAttachments(attachments);
+            throw error;
         }
         
-        if (discussionUpdated) {
-            this.saveJSON('thoraxlab_projects', projects);
-            
-            // Add activity
-            this.addActivity({
-                type: 'comment_added',
-                description: `${this.user.name} added insight to a discussion`,
-                discussionId: discussionId
+        return attachments;
+    }
+    
+    discardAttachments(attachments) {
+        attachments.forEach(attachment => {
+            this.store.deleteAttachment(attachment.id).catch(error => {
+                console.error(`Error deleting attachment ${attachment.id}:`, error);
             });
-            
-            this.showToast('Insight added successfully!', 'success');
-            this.hideModal('commentModal');
-            this.loadDiscussionDetail(discussionId);
-        } else {
-            this.showToast('Discussion not found', 'error');
+        });
+    }
+    
+    findAttachment(attachmentId) {
+        for (const project of this.getProjects()) {
+            const match = this.getProjectAttachments(project).find(entry => entry.attachment.id === attachmentId);
+            if (match) return match;
         }
+        return null;
     }
     
-    // ========== INTERACTION METHODS ==========
+    getProjectAttachments(project) {
+        const entries = [];
+        (project.discussions || []).forEach(discussion => {
+            (discussion.attachments || []).forEach(attachment => {
+                entries.push({ attachment, project, discussion, comment: null });
+            });
+            (discussion.commentsList || []).forEach(comment => {
+                (comment.attachments || []).forEach(attachment => {
+                    entries.push({ attachment, project, discussion, comment });
+                });
+            });
+        });
+        return entries;
+    }
     
-    toggleDiscussionLike(discussionId) {
-        if (this.isVisitor) {
-            this.showToast('Guests cannot like discussions', 'warning');
+    countDiscussionAttachments(discussion) {
+        return (discussion.attachments || []).length +
+            (discussion.commentsList || []).reduce((sum, comment) => sum + (comment.attachments || []).length, 0);
+    }
+    
+    // Object URLs are typed from the attachment kind rather than the stored
+    // blob, so a mislabelled upload can never be rendered as a page
+    async getAttachmentUrl(attachment) {
+        if (this.attachmentUrls.has(attachment.id)) return this.attachmentUrls.get(attachment.id);
+        
+        const blob = await this.store.getAttachment(attachment.id);
+        if (!blob) return null;
+        
+        const { types } = ATTACHMENT_KINDS[attachment.kind];
+        const url = URL.createObjectURL(new Blob([blob], { type: types.includes(attachment.type) ? attachment.type : types[0] }));
+        this.attachmentUrls.set(attachment.id, url);
+        return url;
+    }
+    
+    async loadAttachmentThumbnails(container) {
+        for (const image of container.querySelectorAll('img[data-attachment-id]:not([src])')) {
+            const entry = this.findAttachment(image.dataset.attachmentId);
+            const url = entry && await this.getAttachmentUrl(entry.attachment);
+            if (url) {
+                image.src = url;
+            } else {
+                image.classList.add('attachment-missing');
+            }
+        }
+    }
+    
+    async toggleAttachmentPreview(attachmentId, button) {
+        const preview = button.closest('.attachment-item')?.querySelector('.attachment-preview');
+        const entry = this.findAttachment(attachmentId);
+        if (!preview || !entry) return;
+        
+        if (!preview.classList.contains('hidden')) {
+            preview.classList.add('hidden');
             return;
         }
         
-        const liked = this.toggleLike('discussion', discussionId);
-        const projects = this.getProjects();
+        preview.classList.remove('hidden');
+        if (preview.dataset.loaded) return;
         
-        for (const project of projects) {
-            if (project.discussions) {
-                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
-                if (discussionIndex !== -1) {
-                    if (liked) {
-                        project.discussions[discussionIndex].likes = (project.discussions[discussionIndex].likes || 0) + 1;
-                    } else {
-                        project.discussions[discussionIndex].likes = Math.max(0, (project.discussions[discussionIndex].likes || 0) - 1);
-                    }
-                    project.updatedAt = new Date().toISOString();
-                    break;
-                }
+        const { attachment } = entry;
+        preview.innerHTML = '<p class="text-muted text-small">Loading preview...</p>';
+        
+        try {
+            if (attachment.kind === 'csv') {
+                const blob = await this.store.getAttachment(attachment.id);
+                if (!blob) throw new Error('Attachment not found');
+                preview.innerHTML = this.renderCsvPreview(this.parseCsv(await blob.text()));
+            } else {
+                const url = await this.getAttachmentUrl(attachment);
+                if (!url) throw new Error('Attachment not found');
+                preview.innerHTML = attachment.kind === 'image' ?
+                    `<img src="${url}" alt="${this.escapeAttribute(attachment.name)}" class="attachment-full">` :
+                    `<iframe src="${url}" title="${this.escapeAttribute(attachment.name)}" class="attachment-pdf"></iframe>`;
             }
+            preview.dataset.loaded = 'true';
+        } catch (error) {
+            console.error('Error previewing attachment:', error);
+            preview.innerHTML = '<p class="text-error text-small">This file is no longer available in this browser.</p>';
         }
-        
-        this.saveJSON('thoraxlab_projects', projects);
-        this.loadDiscussionDetail(discussionId);
     }
     
-    toggleCommentLike(commentId) {
-        if (this.isVisitor) {
-            this.showToast('Guests cannot like comments', 'warning');
+    async downloadAttachment(attachmentId) {
+        const entry = this.findAttachment(attachmentId);
+        const blob = entry && await this.store.getAttachment(attachmentId);
+        
+        if (!blob) {
+            this.showToast('This file is no longer available in this browser', 'error');
             return;
         }
         
-        this.toggleLike('comment', commentId);
-        this.loadDiscussionDetail(this.currentDiscussion.id);
+        this.downloadFile(entry.attachment.name, blob, entry.attachment.type);
     }
     
-    toggleLike(type, id) {
-        const likes = this.loadJSON('thoraxlab_likes') || {};
-        const key = `${type}_${id}`;
-        
-        if (!likes[this.user.id]) {
-            likes[this.user.id] = {};
+    // Splits on commas, or semicolons when a spreadsheet exported those instead
+    parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && !field) {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
         }
         
-        const hasLiked = likes[this.user.id][key];
-        
-        if (hasLiked) {
-            delete likes[this.user.id][key];
-        } else {
-            likes[this.user.id][key] = true;
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
         }
         
-        this.saveJSON('thoraxlab_likes', likes);
-        return !hasLiked;
+        return rows.filter(cells => cells.some(cell => cell.trim()));
     }
     
-    hasLikedDiscussion(discussionId) {
-        const likes = this.loadJSON('thoraxlab_likes') || {};
-        return likes[this.user?.id]?.[`discussion_${discussionId}`] || false;
+    renderCsvPreview(rows) {
+        if (!rows.length) return '<p class="text-muted text-small">This CSV file is empty.</p>';
+        
+        const [header, ...body] = rows;
+        const shown = body.slice(0, ATTACHMENT_CSV_PREVIEW_ROWS);
+        
+        return `
+            <div class="attachment-csv">
+                <table>
+                    <thead>
+                        <tr>${header.map(cell => `<th>${this.escapeHtml(cell)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(cells => `
+                            <tr>${header.map((_, index) => `<td>${this.escapeHtml(cells[index] || '')}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${body.length > shown.length ? `
+                <p class="text-muted text-small mt-2">Showing the first ${shown.length} of ${body.length} rows. Download the file to see all of it.</p>
+            ` : ''}
+        `;
     }
     
-    hasLikedComment(commentId) {
-        const likes = this.loadJSON('thoraxlab_likes') || {};
-        return likes[this.user?.id]?.[`comment_${commentId}`] || false;
+    renderAttachments(attachments) {
+        if (!attachments?.length) return '';
+        
+        return `
+            <div class="attachment-list mt-3">
+                ${attachments.map(attachment => this.renderAttachmentItem(attachment)).join('')}
+            </div>
+        `;
     }
     
-    incrementDiscussionViews(discussionId) {
-        const projects = this.getProjects();
+    renderAttachmentItem(attachment, source = '') {
+        const kind = ATTACHMENT_KINDS[attachment.kind] || { label: 'File', icon: 'fas fa-file' };
+        
+        return `
+            <div class="attachment-item">
+                <div class="attachment-row">
+                    ${attachment.kind === 'image' ? `
+                        <img class="attachment-thumb" data-attachment-id="${attachment.id}" alt="${this.escapeAttribute(attachment.name)}">
+                    ` : `
+                        <div class="attachment-icon"><i class="${kind.icon}"></i></div>
+                    `}
+                    <div class="attachment-info">
+                        <div class="attachment-name">${this.escapeHtml(attachment.name)}</div>
+                        <div class="text-xsmall text-muted">${kind.label} • ${this.formatFileSize(attachment.size)}${source ? ` • ${source}` : ''}</div>
+                    </div>
+                    <button type="button" class="btn btn-ghost btn-sm" onclick="app.toggleAttachmentPreview('${attachment.id}', this)">
+                        <i class="fas fa-eye"></i> Preview
+                    </button>
+                    <button type="button" class="btn btn-ghost btn-sm" title="Download" onclick="app.downloadAttachment('${attachment.id}')">
+                        <i class="fas fa-download"></i>
+                    </button>
+                </div>
+                <div class="attachment-preview hidden"></div>
+            </div>
+        `;
+    }
+    
+    renderAttachmentPicker(inputId) {
+        const accept = Object.values(ATTACHMENT_KINDS).flatMap(kind => kind.extensions.map(extension => `.${extension}`)).join(',');
+        
+        return `
+            <div class="attachment-picker">
+                <label for="${inputId}" class="btn btn-ghost btn-sm">
+                    <i class="fas fa-paperclip"></i>
+                    Attach files
+                </label>
+                <input type="file" id="${inputId}" class="hidden" multiple accept="${accept}" onchange="app.updateAttachmentPicker('${inputId}')">
+                <div id="${inputId}List" class="attachment-pending"></div>
+            </div>
+        `;
+    }
+    
+    updateAttachmentPicker(inputId) {
+        const input = document.getElementById(inputId);
+        const list = document.getElementById(`${inputId}List`);
+        if (!input || !list) return;
+        
+        const files = [...(input.files || [])];
+        const error = this.validateAttachmentFiles(files);
+        
+        list.innerHTML = `
+            ${files.map(file => `
+                <span class="attachment-chip">
+                    <i class="${ATTACHMENT_KINDS[this.getAttachmentKind(file)]?.icon || 'fas fa-file'}"></i>
+                    ${this.escapeHtml(file.name)} <span class="text-muted">${this.formatFileSize(file.size)}</span>
+                </span>
+            `).join('')}
+            ${error ? `<div class="text-error text-small">${this.escapeHtml(error)}</div>` : ''}
+        `.trim();
+    }
+    
+    setProjectTab(tab) {
+        this.projectTab = tab;
+        this.renderProjectDetail();
+    }
+    
+    renderProjectFiles(project) {
+        const entries = this.getProjectAttachments(project)
+            .sort((a, b) => new Date(b.attachment.uploadedAt) - new Date(a.attachment.uploadedAt));
         
-        for (const project of projects) {
-            if (project.discussions) {
-                const discussionIndex = project.discussions.findIndex(d => d.id === discussionId);
-                if (discussionIndex !== -1) {
-                    project.discussions[discussionIndex].views = (project.discussions[discussionIndex].views || 0) + 1;
-                    project.updatedAt = new Date().toISOString();
-                    break;
-                }
-            }
+        if (!entries.length) {
+            return `
+                <div class="empty-state">
+                    <div class="empty-icon">📎</div>
+                    <div class="empty-title">No files shared yet</div>
+                    <p class="text-muted">Figures, protocols and data summaries attached to discussions appear here</p>
+                </div>
+            `;
         }
         
-        this.saveJSON('thoraxlab_projects', projects);
+        return `
+            <div class="card attachment-list">
+                ${entries.map(({ attachment, discussion, comment }) => this.renderAttachmentItem(attachment, `
+                    <a href="#discussion/${discussion.id}${comment ? `/${comment.id}` : ''}">${this.escapeHtml(discussion.title)}</a>
+                    • ${this.escapeHtml(comment ? comment.authorName : discussion.authorName)}
+                    • ${this.formatDate(attachment.uploadedAt)}
+                `)).join('')}
+            </div>
+        `;
     }
     
-    // ========== DATA MANAGEMENT ==========
+    // ========== MENTIONS ==========
     
-    getProjects() {
-        return this.loadJSON('thoraxlab_projects') || [];
+    // Project team first, then everyone else in the user directory
+    getMentionCandidates(projectId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        const team = new Set(project ? [project.ownerId, ...(project.teamMembers || []).map(member => member.id)] : []);
+        
+        // Only directory entries are real accounts that can be notified; team
+        // entries from demo data or older team forms have ids nobody signs in with
+        return Object.values(this.getUserDirectory())
+            .filter(researcher => researcher.id && researcher.name && researcher.id !== this.user?.id && researcher.type !== 'visitor')
+            .map(researcher => ({ id: researcher.id, name: researcher.name, institution: researcher.institution || '', onTeam: team.has(researcher.id) }));
     }
     
-    getActivities() {
-        return this.loadJSON('thoraxlab_activity') || [];
+    getMentionProjectId(textarea) {
+        if (textarea.closest('#newDiscussionModal')) {
+            return document.getElementById('discussionProjectId').value;
+        }
+        return this.currentDiscussion?.projectId || null;
     }
     
-    getTags() {
-        return this.loadJSON('thoraxlab_tags') || {};
+    updateMentionSuggestions(textarea) {
+        const before = textarea.value.slice(0, textarea.selectionStart);
+        const match = before.match(/(^|\s)@([^\s@[\]()]{0,30})$/);
+        
+        if (!match) {
+            this.hideMentionSuggestions();
+            return;
+        }
+        
+        const query = match[2].toLowerCase();
+        const matches = this.getMentionCandidates(this.getMentionProjectId(textarea))
+            .filter(candidate => {
+                const name = candidate.name.toLowerCase();
+                return !query || name.includes(query) || name.split(/[\s.]+/).some(word => word.startsWith(query));
+            })
+            .sort((a, b) => (b.onTeam - a.onTeam) || a.name.localeCompare(b.name))
+            .slice(0, 6);
+        
+        if (!matches.length) {
+            this.hideMentionSuggestions();
+            return;
+        }
+        
+        this.mentionState = {
+            textarea,
+            start: before.length - match[2].length - 1,
+            matches,
+            index: 0
+        };
+        this.renderMentionSuggestions();
     }
     
-    addActivity(activity) {
-        const activities = this.getActivities();
-        activities.unshift({
-            id: `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            ...activity,
-            timestamp: new Date().toISOString(),
-            userId: this.user?.id
-        });
-        
-        if (activities.length > 100) {
-            activities.length = 100;
+    renderMentionSuggestions() {
+        const container = document.getElementById('mentionSuggestions');
+        const { textarea, matches, index } = this.mentionState;
+        const rect = textarea.getBoundingClientRect();
+        
+        container.innerHTML = matches.map((candidate, i) => `
+            <button type="button" class="mention-option ${i === index ? 'active' : ''}" onmousedown="event.preventDefault(); app.selectMention(${i})">
+                <span class="author-avatar-small">${this.escapeHtml(candidate.name.substring(0, 2).toUpperCase())}</span>
+                <span>
+                    <span class="font-medium">${this.escapeHtml(candidate.name)}</span>
+                    <span class="text-xsmall text-muted">${candidate.onTeam ? 'Project team' : this.escapeHtml(candidate.institution)}</span>
+                </span>
+            </button>
+        `).join('');
+        container.style.top = `${rect.bottom + 4}px`;
+        container.style.left = `${rect.left}px`;
+        container.style.width = `${Math.min(rect.width, 320)}px`;
+        container.classList.remove('hidden');
+    }
+    
+    handleMentionKeydown(e) {
+        if (!this.mentionState || e.target !== this.mentionState.textarea) return;
+        
+        const { matches } = this.mentionState;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.mentionState.index = (this.mentionState.index + step + matches.length) % matches.length;
+            this.renderMentionSuggestions();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            this.selectMention(this.mentionState.index);
+        } else if (e.key === 'Escape') {
+            this.hideMentionSuggestions();
+        } else {
+            return;
         }
         
-        this.saveJSON('thoraxlab_activity', activities);
+        e.preventDefault();
+        e.stopPropagation();
     }
     
-    updateTagsCount(newTags) {
-        const tags = this.getTags();
+    selectMention(index) {
+        const { textarea, start, matches } = this.mentionState || {};
+        const candidate = matches?.[index];
+        if (!candidate) return;
+        
+        const token = `@[${candidate.name.replace(/[[\]]/g, '')}](user:${candidate.id}) `;
+        const end = textarea.selectionStart;
+        textarea.value = textarea.value.slice(0, start) + token + textarea.value.slice(end);
+        textarea.selectionStart = textarea.selectionEnd = start + token.length;
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        
+        this.hideMentionSuggestions();
+        textarea.focus();
+    }
+    
+    hideMentionSuggestions() {
+        this.mentionState = null;
+        document.getElementById('mentionSuggestions')?.classList.add('hidden');
+    }
+    
+    // Logs one activity entry for the mention and notifies each person mentioned
+    recordMentions(mentions, { project, discussion, comment = null }) {
+        const directory = this.getUserDirectory();
+        const mentioned = (mentions || []).filter(mention => mention.userId !== this.user.id && directory[mention.userId]);
+        if (!mentioned.length) return;
         
-        newTags.forEach(tag => {
-            if (tags[tag]) {
-                tags[tag].count += 1;
-            } else {
-                tags[tag] = { count: 1, frequency: 'low' };
-            }
+        this.addActivity({
+            type: 'mention',
+            description: `${this.user.name} mentioned ${mentioned.map(mention => mention.name).join(', ')} in "${discussion.title}"`,
+            projectId: project.id,
+            discussionId: discussion.id,
+            commentId: comment?.id || null,
+            mentionedUserIds: mentioned.map(mention => mention.userId)
         });
         
-        this.saveJSON('thoraxlab_tags', tags);
+        this.notifyEach(mentioned.map(mention => ({
+            recipientId: mention.userId,
+            type: 'mention',
+            message: comment ?
+                `${this.user.name} mentioned you in a comment on "${discussion.title}"` :
+                `${this.user.name} mentioned you in "${discussion.title}"`,
+            link: comment ? `discussion/${discussion.id}/${comment.id}` : `discussion/${discussion.id}`,
+            projectId: project.id
+        })));
     }
     
-    toggleTag(tag) {
-        if (this.selectedTags.has(tag)) {
-            this.selectedTags.delete(tag);
-        } else {
-            this.selectedTags.add(tag);
+    // ========== MARKDOWN EDITOR ==========
+    
+    // Previews are looked up as `${editorId}Preview`
+    renderMarkdownTabs(editorId) {
+        return `
+            <div class="markdown-tabs mb-2" data-editor="${editorId}">
+                <button type="button" class="markdown-tab active" data-mode="write" onclick="app.setMarkdownMode('${editorId}', 'write')">Write</button>
+                <button type="button" class="markdown-tab" data-mode="preview" onclick="app.setMarkdownMode('${editorId}', 'preview')">Preview</button>
+            </div>
+        `;
+    }
+    
+    setMarkdownMode(editorId, mode) {
+        const editor = document.getElementById(editorId);
+        const preview = document.getElementById(`${editorId}Preview`);
+        if (!editor || !preview) return;
+        
+        const previewing = mode === 'preview';
+        if (previewing) {
+            preview.innerHTML = renderMarkdown(editor.value) || '<p class="text-muted">Nothing to preview</p>';
         }
+        editor.classList.toggle('hidden', previewing);
+        preview.classList.toggle('hidden', !previewing);
         
-        document.querySelectorAll(`[data-tag="${tag}"]`).forEach(el => {
-            el.classList.toggle('active', this.selectedTags.has(tag));
+        document.querySelectorAll(`.markdown-tabs[data-editor="${editorId}"] .markdown-tab`).forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
         });
-        
-        if (window.location.hash.includes('projects')) {
-            this.loadAllProjects();
-        }
     }
     
-    calculateProjectEngagement(project) {
-        if (!project.discussions) return 0;
-        return project.discussions.reduce((sum, disc) => {
-            return sum + (disc.likes || 0) + (disc.comments || 0);
-        }, 0);
-    }
+    // ========== WORKSPACE BUNDLES ==========
     
-    // ========== UTILITY METHODS ==========
+    showExportModal() {
+        if (!this.authorize('workspace.export', {}, 'Sign in with an account to export workspace data')) return;
+        
+        document.getElementById('exportWorkspaceForm').reset();
+        const projects = this.getProjects();
+        document.getElementById('exportProjectOptions').innerHTML = projects.length ? projects.map(project => {
+            const files = this.getProjectAttachments(project).length;
+            return `
+                <label class="bundle-option p-3 bg-surface rounded-lg">
+                    <input type="checkbox" name="exportProject" value="${this.escapeAttribute(project.id)}">
+                    <div>
+                        <div class="author-name">${this.escapeHtml(project.title)}</div>
+                        <div class="text-sm text-muted">
+                            ${project.discussions.length} discussion${project.discussions.length === 1 ? '' : 's'} • ${files} file${files === 1 ? '' : 's'}
+                        </div>
+                    </div>
+                </label>
+            `;
+        }).join('') : '<p class="text-sm text-muted">There are no projects yet.</p>';
+        
+        this.updateExportScope();
+        this.showModal('exportWorkspaceModal');
+    }
     
-    getActivityIcon(type) {
-        const icons = {
-            'project_created': '<i class="fas fa-project-diagram"></i>',
-            'discussion_started': '<i class="fas fa-comments"></i>',
-            'comment_added': '<i class="fas fa-comment-medical"></i>',
-            'user_joined': '<i class="fas fa-user-plus"></i>'
-        };
-        return icons[type] || '<i class="fas fa-bell"></i>';
+    updateExportScope() {
+        const scope = document.querySelector('input[name="exportScope"]:checked')?.value;
+        document.getElementById('exportProjectOptions').classList.toggle('hidden', scope !== 'projects');
     }
     
-    getDiscussionIcon(type) {
-        const icons = {
-            'brainstorm': 'fas fa-lightbulb',
-            'question': 'fas fa-question-circle',
-            'decision': 'fas fa-gavel',
-            'insight': 'fas fa-eye'
+    // Attachment metadata on live and deleted (archived) discussions
+    collectBundleAttachments(docs) {
+        const attachments = [];
+        const collect = discussion => {
+            attachments.push(...(discussion.attachments || []));
+            (discussion.commentsList || []).forEach(comment => attachments.push(...(comment.attachments || [])));
         };
-        return icons[type] || 'fas fa-comments';
+        (docs.thoraxlab_projects || []).forEach(project => (project.discussions || []).forEach(collect));
+        (docs.thoraxlab_archive || []).forEach(entry => entry.discussion && collect(entry.discussion));
+        return attachments;
     }
     
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric', 
-            year: 'numeric' 
+    // Builds the bundle manifest for the whole workspace, or for projectIds only
+    buildWorkspaceBundle(projectIds = null) {
+        let documents = {};
+        Object.entries(BUNDLE_DOCUMENTS).forEach(([key, empty]) => {
+            documents[key] = this.loadJSON(key) || JSON.parse(JSON.stringify(empty));
         });
-    }
-    
-    formatTimeAgo(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
         
-        if (diffDays === 0) {
-            const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-            if (diffHours === 0) {
-                const diffMinutes = Math.floor(diffMs / (1000 * 60));
-                return diffMinutes <= 1 ? 'Just now' : `${diffMinutes}m ago`;
+        if (projectIds) {
+            documents = partitionBundleDocuments(documents, projectIds).selected;
+            
+            // Only the researchers the selected records mention travel with them
+            const referenced = new Set();
+            const collect = value => {
+                if (typeof value === 'string') {
+                    referenced.add(value);
+                } else if (value && typeof value === 'object') {
+                    Object.entries(value).forEach(([key, item]) => {
+                        referenced.add(key);
+                        collect(item);
+                    });
+                }
+            };
+            Object.entries(documents).forEach(([key, value]) => key !== 'thoraxlab_users' && collect(value));
+            documents.thoraxlab_users = Object.fromEntries(Object.entries(documents.thoraxlab_users)
+                .filter(([userId]) => referenced.has(userId)));
+        }
+        
+        return {
+            format: BUNDLE_FORMAT,
+            bundleVersion: BUNDLE_VERSION,
+            schemaVersion: this.getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            exportedBy: { id: this.user.id, name: this.user.name },
+            scope: projectIds ? 'projects' : 'workspace',
+            projectIds: documents.thoraxlab_projects.map(project => project.id),
+            documents: documents,
+            attachments: []
+        };
+    }
+    
+    async exportWorkspace() {
+        if (!this.authorize('workspace.export', {}, 'Sign in with an account to export workspace data')) return;
+        
+        const scope = document.querySelector('input[name="exportScope"]:checked')?.value || 'workspace';
+        const includeFiles = document.getElementById('exportIncludeAttachments').checked;
+        let projectIds = null;
+        
+        if (scope === 'projects') {
+            projectIds = [...document.querySelectorAll('input[name="exportProject"]:checked')].map(input => input.value);
+            if (!projectIds.length) {
+                this.showToast('Choose at least one project to export', 'warning');
+                return;
             }
-            return diffHours === 1 ? '1 hour ago' : `${diffHours}h ago`;
-        } else if (diffDays === 1) {
-            return 'Yesterday';
-        } else if (diffDays < 7) {
-            return `${diffDays}d ago`;
-        } else if (diffDays < 30) {
-            const weeks = Math.floor(diffDays / 7);
-            return `${weeks}w ago`;
+        }
+        
+        const bundle = this.buildWorkspaceBundle(projectIds);
+        const date = new Date().toISOString().substring(0, 10);
+        const filename = `thoraxlab-${projectIds ? 'projects' : 'workspace'}-${date}`;
+        
+        if (!includeFiles) {
+            this.downloadFile(`${filename}.json`, JSON.stringify(bundle, null, 2), 'application/json');
         } else {
-            return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            const files = [];
+            let missing = 0;
+            
+            for (const attachment of this.collectBundleAttachments(bundle.documents)) {
+                const blob = await this.store.getAttachment(attachment.id);
+                if (!blob) {
+                    missing++;
+                    continue;
+                }
+                const path = `attachments/${attachment.id}`;
+                files.push({ name: path, data: new Uint8Array(await blob.arrayBuffer()) });
+                bundle.attachments.push({ id: attachment.id, name: attachment.name, type: attachment.type, size: attachment.size, file: path });
+            }
+            
+            files.unshift({ name: BUNDLE_MANIFEST, data: new TextEncoder().encode(JSON.stringify(bundle, null, 2)) });
+            this.downloadFile(`${filename}.zip`, createZip(files), 'application/zip');
+            
+            if (missing) {
+                this.showToast(`${missing} attached file${missing === 1 ? ' is' : 's are'} no longer in this browser and were left out`, 'warning');
+            }
         }
+        
+        this.hideModal('exportWorkspaceModal');
+        this.showToast(`Exported ${bundle.projectIds.length} project${bundle.projectIds.length === 1 ? '' : 's'}`, 'success');
     }
     
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    showImportModal() {
+        if (!this.authorize('workspace.import', {}, 'Only moderators can import workspace data')) return;
+        
+        document.getElementById('importWorkspaceForm').reset();
+        this.resetWorkspaceImport();
+        this.showModal('importWorkspaceModal');
     }
     
-    // ========== MODAL MANAGEMENT ==========
+    // Any change to the file or mode invalidates the last dry run
+    resetWorkspaceImport() {
+        this.pendingImport = null;
+        document.getElementById('importSummary').innerHTML = '';
+        document.getElementById('importCommitBtn').disabled = true;
+    }
     
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('active');
-            document.body.style.overflow = 'hidden';
+    // Resolves to the parsed manifest and, for ZIP bundles, the archive entries
+    async readWorkspaceBundle(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let entries = new Map();
+        let manifest = bytes;
+        
+        if (isZipArchive(bytes)) {
+            entries = await readZip(bytes);
+            manifest = entries.get(BUNDLE_MANIFEST);
+            if (!manifest) throw new Error(`The archive has no ${BUNDLE_MANIFEST}`);
+        }
+        
+        try {
+            return { bundle: JSON.parse(new TextDecoder().decode(manifest)), entries };
+        } catch (error) {
+            throw new Error('The bundle is not valid JSON');
         }
     }
     
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('active');
-            document.body.style.overflow = '';
-            
-            const form = modal.querySelector('form');
-            if (form) form.reset();
+    async reviewWorkspaceImport() {
+        if (!this.authorize('workspace.import', {}, 'Only moderators can import workspace data')) return;
+        
+        const file = document.getElementById('importBundleFile').files[0];
+        const mode = document.getElementById('importMode').value;
+        this.resetWorkspaceImport();
+        
+        if (!file) {
+            this.showToast('Choose a bundle file to import', 'warning');
+            return;
+        }
+        
+        let read;
+        try {
+            read = await this.readWorkspaceBundle(file);
+        } catch (error) {
+            this.renderImportErrors([error.message]);
+            return;
+        }
+        
+        const { errors, documents } = validateWorkspaceBundle(read.bundle);
+        if (errors.length) {
+            this.renderImportErrors(errors);
+            return;
         }
+        
+        this.pendingImport = this.planWorkspaceImport(read.bundle, documents, read.entries, mode);
+        this.renderImportSummary(this.pendingImport);
+        document.getElementById('importCommitBtn').disabled = false;
     }
     
-    showNewDiscussionModal(projectId) {
-        document.getElementById('discussionProjectId').value = projectId;
-        this.showModal('newDiscussionModal');
+    // Works out the documents the import would produce without saving
+    // anything. Ids that already exist here are given new ones and every
+    // reference to them is rewritten.
+    planWorkspaceImport(bundle, incoming, entries, mode) {
+        const local = {};
+        Object.entries(BUNDLE_DOCUMENTS).forEach(([key, empty]) => {
+            local[key] = this.loadJSON(key) || JSON.parse(JSON.stringify(empty));
+        });
+        
+        let docs = local;
+        let replaced = [];
+        if (mode === 'replace' && bundle.scope === 'workspace') {
+            docs = JSON.parse(JSON.stringify(BUNDLE_DOCUMENTS));
+            docs.thoraxlab_users = local.thoraxlab_users;
+            replaced = local.thoraxlab_projects;
+        } else if (mode === 'replace') {
+            const { selected, rest } = partitionBundleDocuments(local, incoming.thoraxlab_projects.map(project => project.id));
+            docs = rest;
+            replaced = selected.thoraxlab_projects;
+        }
+        
+        const taken = new Set();
+        const collectIds = (discussion, add) => {
+            add(discussion.id);
+            (discussion.attachments || []).forEach(attachment => add(attachment.id));
+            (discussion.commentsList || []).forEach(comment => {
+                add(comment.id);
+                (comment.attachments || []).forEach(attachment => add(attachment.id));
+            });
+        };
+        const collectAll = (source, add) => {
+            source.thoraxlab_projects.forEach(project => {
+                add(project.id);
+                project.discussions.forEach(discussion => collectIds(discussion, add));
+            });
+            source.thoraxlab_archive.forEach(entry => {
+                add(entry.id);
+                if (entry.discussion) collectIds(entry.discussion, add);
+            });
+            ['thoraxlab_activity', 'thoraxlab_join_requests', 'thoraxlab_reviews'].forEach(key => {
+                source[key].forEach(record => add(record.id));
+            });
+            Object.values(source.thoraxlab_revisions).forEach(revisions => revisions.forEach(revision => add(revision.id)));
+        };
+        collectAll(docs, id => taken.add(id));
+        
+        const idMap = new Map();
+        let renamed = 0;
+        collectAll(incoming, id => {
+            if (typeof id !== 'string' || idMap.has(id)) return;
+            let next = id;
+            if (taken.has(id)) {
+                next = `${id.split('_')[0]}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                renamed++;
+            }
+            taken.add(next);
+            idMap.set(id, next);
+        });
+        
+        const ref = id => idMap.get(id) || id;
+        const refFields = (record, fields) => {
+            const copy = { ...record };
+            fields.forEach(field => {
+                if (copy[field]) copy[field] = ref(copy[field]);
+            });
+            return copy;
+        };
+        const refLikeKey = key => key.replace(/^(discussion|comment)_(.+)$/, (match, kind, id) => `${kind}_${ref(id)}`);
+        const refAttachments = attachments => attachments && attachments.map(attachment => refFields(attachment, ['id']));
+        const refDiscussion = discussion => ({
+            ...refFields(discussion, ['id']),
+            acceptedAnswer: discussion.acceptedAnswer && refFields(discussion.acceptedAnswer, ['commentId']),
+            attachments: refAttachments(discussion.attachments),
+            commentsList: (discussion.commentsList || []).map(comment => ({
+                ...refFields(comment, ['id', 'parentId']),
+                attachments: refAttachments(comment.attachments)
+            }))
+        });
+        const refActivity = activity => refFields(activity, ['id', 'projectId', 'discussionId', 'commentId']);
+        
+        const projects = incoming.thoraxlab_projects.map(project => ({
+            ...refFields(project, ['id']),
+            discussions: project.discussions.map(refDiscussion)
+        }));
+        docs.thoraxlab_projects = docs.thoraxlab_projects.concat(projects);
+        
+        docs.thoraxlab_activity = docs.thoraxlab_activity
+            .concat(incoming.thoraxlab_activity.map(refActivity))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, BUNDLE_ACTIVITY_LIMIT);
+        
+        docs.thoraxlab_archive = docs.thoraxlab_archive.concat(incoming.thoraxlab_archive.map(entry => ({
+            ...refFields(entry, ['id', 'projectId']),
+            discussion: entry.discussion && refDiscussion(entry.discussion),
+            likes: Object.fromEntries(Object.entries(entry.likes || {}).map(([userId, keys]) => [userId, keys.map(refLikeKey)])),
+            activities: (entry.activities || []).map(refActivity)
+        })));
+        docs.thoraxlab_join_requests = docs.thoraxlab_join_requests
+            .concat(incoming.thoraxlab_join_requests.map(request => refFields(request, ['id', 'projectId'])));
+        docs.thoraxlab_reviews = docs.thoraxlab_reviews
+            .concat(incoming.thoraxlab_reviews.map(review => refFields(review, ['id', 'projectId', 'discussionId'])));
+        
+        Object.entries(incoming.thoraxlab_revisions).forEach(([projectId, revisions]) => {
+            docs.thoraxlab_revisions[ref(projectId)] = (docs.thoraxlab_revisions[ref(projectId)] || [])
+                .concat(revisions.map(revision => refFields(revision, ['id', 'projectId'])));
+        });
+        
+        Object.entries(incoming.thoraxlab_likes).forEach(([userId, userLikes]) => {
+            Object.keys(userLikes || {}).forEach(key => {
+                (docs.thoraxlab_likes[userId] = docs.thoraxlab_likes[userId] || {})[refLikeKey(key)] = true;
+            });
+        });
+        
+        // Researchers already known here keep their profile and role; new
+        // ones never bring moderator rights with them
+        let users = 0;
+        Object.entries(incoming.thoraxlab_users).forEach(([userId, profile]) => {
+            if (docs.thoraxlab_users[userId] || !profile || typeof profile !== 'object') return;
+            docs.thoraxlab_users[userId] = { ...profile, id: userId, role: 'member' };
+            users++;
+        });
+        
+        const files = new Map((bundle.attachments || []).map(entry => [entry.id, entry.file]));
+        const importedAttachments = this.collectBundleAttachments(incoming);
+        const blobs = [];
+        importedAttachments.forEach(attachment => {
+            const data = entries.get(files.get(attachment.id));
+            if (data) blobs.push({ id: ref(attachment.id), blob: new Blob([data], { type: attachment.type }) });
+        });
+        
+        const kept = new Set(this.collectBundleAttachments(docs).map(attachment => attachment.id));
+        const discussions = incoming.thoraxlab_projects.flatMap(project => project.discussions);
+        
+        return {
+            bundle,
+            mode,
+            documents: docs,
+            blobs,
+            removedAttachmentIds: this.collectBundleAttachments(local)
+                .map(attachment => attachment.id)
+                .filter(id => !kept.has(id)),
+            addedTags: projects.flatMap(project => project.tags),
+            removedTags: replaced.flatMap(project => project.tags || []),
+            summary: {
+                projects: projects.length,
+                discussions: discussions.length,
+                comments: discussions.reduce((sum, discussion) => sum + discussion.commentsList.length, 0),
+                attachments: importedAttachments.length,
+                files: blobs.length,
+                activity: incoming.thoraxlab_activity.length,
+                records: incoming.thoraxlab_archive.length + incoming.thoraxlab_join_requests.length + incoming.thoraxlab_reviews.length +
+                    Object.values(incoming.thoraxlab_revisions).reduce((sum, revisions) => sum + revisions.length, 0),
+                users: users,
+                renamed: renamed,
+                replaced: replaced.length
+            }
+        };
     }
     
-    showCommentModal(discussionId) {
-        document.getElementById('commentDiscussionId').value = discussionId;
-        this.showModal('commentModal');
+    renderImportErrors(errors) {
+        const shown = errors.slice(0, 5);
+        document.getElementById('importSummary').innerHTML = `
+            <div class="bundle-summary bundle-summary-error p-4 rounded-lg">
+                <div class="font-medium mb-2"><i class="fas fa-exclamation-circle mr-2"></i>This bundle cannot be imported</div>
+                <ul class="text-sm space-y-1">
+                    ${shown.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
+                </ul>
+                ${errors.length > shown.length ? `<p class="text-sm mt-2">and ${errors.length - shown.length} more problem${errors.length - shown.length === 1 ? '' : 's'}</p>` : ''}
+            </div>
+        `;
     }
     
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        if (!container) return;
-        
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        
-        const icons = {
-            success: 'fa-check-circle',
-            error: 'fa-exclamation-circle',
-            warning: 'fa-exclamation-triangle',
-            info: 'fa-info-circle'
-        };
+    renderImportSummary(plan) {
+        const { bundle, summary } = plan;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const rows = [
+            ['Projects', summary.projects],
+            ['Discussions', summary.discussions],
+            ['Comments', summary.comments],
+            ['Attachments', summary.attachments ? `${summary.attachments} (${summary.files} with files)` : 0],
+            ['Activity entries', summary.activity],
+            ['Reviews, requests, revisions and archived items', summary.records],
+            ['New researchers', summary.users]
+        ];
+        
+        const notes = [];
+        if (plan.mode === 'replace') {
+            notes.push(bundle.scope === 'workspace' ?
+                `Replaces the whole workspace: ${plural(summary.replaced, 'local project')} and their history will be removed.` :
+                `Replaces ${plural(summary.replaced, 'local project')} with the same id${summary.replaced === 1 ? '' : 's'} as projects in the bundle.`);
+        }
+        if (summary.renamed) {
+            notes.push(`${plural(summary.renamed, 'record')} already exist${summary.renamed === 1 ? 's' : ''} here and will be imported under new ids.`);
+        }
+        if (summary.attachments > summary.files) {
+            notes.push(`${plural(summary.attachments - summary.files, 'attached file')} ${summary.attachments - summary.files === 1 ? 'is' : 'are'} not in the bundle and will show as unavailable.`);
+        }
+        if (bundle.schemaVersion < SCHEMA_VERSION) {
+            notes.push(`The bundle will be upgraded from data schema ${bundle.schemaVersion} to ${SCHEMA_VERSION}.`);
+        }
         
-        toast.innerHTML = `
-            <i class="fas ${icons[type]} toast-icon"></i>
-            <div class="toast-content">
-                <span>${this.escapeHtml(message)}</span>
+        document.getElementById('importSummary').innerHTML = `
+            <div class="bundle-summary p-4 bg-surface rounded-lg">
+                <div class="font-medium mb-1">Dry run: nothing has been changed yet</div>
+                <p class="text-sm text-muted mb-3">
+                    ${bundle.scope === 'workspace' ? 'Workspace' : 'Project'} bundle${Date.parse(bundle.exportedAt) ? ` exported ${this.escapeHtml(this.formatDateTime(bundle.exportedAt))}` : ''}${bundle.exportedBy?.name ? ` by ${this.escapeHtml(bundle.exportedBy.name)}` : ''}
+                </p>
+                <ul class="bundle-summary-list text-sm">
+                    ${rows.map(([label, value]) => `<li><span>${label}</span><strong>${value}</strong></li>`).join('')}
+                </ul>
+                ${notes.length ? `
+                    <ul class="bundle-summary-notes text-sm mt-3 space-y-1">
+                        ${notes.map(note => `<li><i class="fas fa-info-circle mr-2"></i>${this.escapeHtml(note)}</li>`).join('')}
+                    </ul>
+                ` : ''}
             </div>
-            <button class="toast-close">&times;</button>
         `;
+    }
+    
+    async commitWorkspaceImport() {
+        const plan = this.pendingImport;
+        if (!plan || !this.authorize('workspace.import', {}, 'Only moderators can import workspace data')) return;
         
-        container.appendChild(toast);
+        const button = document.getElementById('importCommitBtn');
+        button.disabled = true;
         
-        toast.querySelector('.toast-close').addEventListener('click', () => toast.remove());
+        try {
+            for (const { id, blob } of plan.blobs) {
+                await this.store.putAttachment(id, blob);
+            }
+        } catch (error) {
+            console.error('Error importing attachments:', error);
+            this.discardAttachments(plan.blobs);
+            this.showToast('The attached files could not be stored. Nothing was imported.', 'error');
+            button.disabled = false;
+            return;
+        }
         
-        setTimeout(() => {
-            toast.style.animation = 'slideOut 0.3s ease';
-            setTimeout(() => toast.remove(), 300);
-        }, 4000);
+        Object.keys(BUNDLE_DOCUMENTS).forEach(key => this.saveJSON(key, plan.documents[key]));
+        this.updateTagsCount(plan.removedTags, -1);
+        this.updateTagsCount(plan.addedTags);
+        
+        this.discardAttachments(plan.removedAttachmentIds.map(id => ({ id })));
+        plan.removedAttachmentIds.forEach(id => {
+            if (this.attachmentUrls.has(id)) {
+                URL.revokeObjectURL(this.attachmentUrls.get(id));
+                this.attachmentUrls.delete(id);
+            }
+        });
+        
+        const { summary } = plan;
+        this.addActivity({
+            type: 'workspace_imported',
+            description: `${this.user.name} imported ${summary.projects} project${summary.projects === 1 ? '' : 's'} from a bundle${plan.mode === 'replace' ? ', replacing existing data' : ''}`
+        });
+        
+        this.pendingImport = null;
+        this.currentProject = null;
+        this.currentDiscussion = null;
+        this.hideModal('importWorkspaceModal');
+        this.showToast(`Imported ${summary.projects} project${summary.projects === 1 ? '' : 's'}`, 'success');
+        this.handleRoute();
     }
     
-    // ========== TEAM MANAGEMENT ==========
+    // ========== REPORTS ==========
     
-    removeTeamMember(projectId, memberId) {
-        if (!confirm('Are you sure you want to remove this team member?')) return;
+    showReportModal(projectId, discussionId = null) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        if (!project) return;
+        
+        document.getElementById('projectReportForm').reset();
+        document.getElementById('reportProjectId').value = project.id;
+        document.getElementById('reportProjectTitle').textContent = project.title;
+        document.getElementById('reportDiscussion').innerHTML = `
+            <option value="">All discussions</option>
+            ${project.discussions.map(discussion => `
+                <option value="${this.escapeAttribute(discussion.id)}" ${discussion.id === discussionId ? 'selected' : ''}>${this.escapeHtml(discussion.title)}</option>
+            `).join('')}
+        `;
+        this.showModal('projectReportModal');
+    }
+    
+    // Reads the report form, or explains what is missing
+    getReportOptions() {
+        const sections = [...document.querySelectorAll('input[name="reportSection"]:checked')].map(input => input.value);
+        const from = document.getElementById('reportFrom').value;
+        const to = document.getElementById('reportTo').value;
+        
+        if (!sections.length) {
+            this.showToast('Choose at least one section for the report', 'warning');
+            return null;
+        }
+        if (from && to && from > to) {
+            this.showToast('The start date must be before the end date', 'error');
+            return null;
+        }
         
-        const projects = this.getProjects();
-        const projectIndex = projects.findIndex(p => p.id === projectId);
+        return {
+            projectId: document.getElementById('reportProjectId').value,
+            discussionId: document.getElementById('reportDiscussion').value || null,
+            sections: Object.keys(REPORT_SECTIONS).filter(section => sections.includes(section)),
+            from: from ? new Date(`${from}T00:00:00`) : null,
+            to: to ? new Date(`${to}T23:59:59.999`) : null
+        };
+    }
+    
+    // A discussion is in the report when it was started or commented on in
+    // the date range; only the comments from the range are kept
+    buildProjectReport(options) {
+        const project = this.getProjects().find(p => p.id === options.projectId);
+        if (!project) return null;
+        
+        const inRange = date => {
+            const time = new Date(date).getTime();
+            return (!options.from || time >= options.from.getTime()) && (!options.to || time <= options.to.getTime());
+        };
+        const scoped = project.discussions.filter(discussion => !options.discussionId || discussion.id === options.discussionId);
+        const discussions = scoped
+            .map(discussion => ({ ...discussion, commentsList: discussion.commentsList.filter(comment => inRange(comment.createdAt)) }))
+            .filter(discussion => inRange(discussion.createdAt) || discussion.commentsList.length);
+        const included = new Set(discussions.map(discussion => discussion.id));
+        
+        return {
+            project,
+            sections: options.sections,
+            from: options.from,
+            to: options.to,
+            discussion: options.discussionId ? scoped[0] || null : null,
+            discussions,
+            decided: scoped
+                .filter(discussion => discussion.outcome && inRange(discussion.outcome.recordedAt))
+                .sort((a, b) => new Date(a.outcome.recordedAt) - new Date(b.outcome.recordedAt)),
+            pending: scoped.filter(discussion => discussion.type === 'decision' && !discussion.outcome && included.has(discussion.id)),
+            generatedAt: new Date().toISOString(),
+            generatedBy: this.user?.name || 'Guest'
+        };
+    }
+    
+    // Self-contained page with inline styles. The running header sits in a
+    // table header group, which browsers repeat at the top of every printed page.
+    reportToHtml(report) {
+        const { project } = report;
+        const base = `${window.location.origin}${window.location.pathname}`;
+        const esc = (text) => this.escapeHtml(text || '');
+        const markdown = (source) => renderMarkdown(source).replace(/href="#/g, `href="${this.escapeAttribute(base)}#`);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const period = report.from || report.to ?
+            `${report.from ? this.formatDate(report.from) : 'Project start'} – ${report.to ? this.formatDate(report.to) : 'today'}` :
+            'All activity';
+        const title = report.discussion ? `${report.discussion.title} – ${project.title}` : project.title;
+        const linkDiscussion = discussion => report.sections.includes('discussions') && report.discussions.some(d => d.id === discussion.id) ?
+            `<a href="#discussion-${esc(discussion.id)}">${esc(discussion.title)}</a>` : esc(discussion.title);
+        const attachmentList = attachments => (attachments || []).length ?
+            `<p class="muted small">Attachments: ${attachments.map(attachment => `${esc(attachment.name)} (${this.formatFileSize(attachment.size)})`).join(', ')}</p>` : '';
+        
+        const renderComment = (comment, childrenByParent, acceptedId) => `
+            <div class="comment${comment.id === acceptedId ? ' accepted' : ''}">
+                <div class="muted small">
+                    <strong>${esc(comment.authorName)}</strong> • ${this.formatDateTime(comment.createdAt)}
+                    ${COMMENT_TYPES[comment.type] ? ` • ${COMMENT_TYPES[comment.type].label}` : ''}
+                    ${EVIDENCE_GRADES[comment.evidenceGrade] ? ` • ${EVIDENCE_GRADES[comment.evidenceGrade]} certainty` : ''}
+                    ${comment.id === acceptedId ? ' • <span class="badge">Accepted answer</span>' : ''}
+                </div>
+                <div class="markdown">${markdown(comment.content)}</div>
+                ${comment.reference ? `<p class="muted small">Reference: ${esc(comment.reference)}</p>` : ''}
+                ${attachmentList(comment.attachments)}
+                ${(childrenByParent[comment.id] || []).length ? `
+                    <div class="replies">
+                        ${childrenByParent[comment.id].map(reply => renderComment(reply, childrenByParent, acceptedId)).join('')}
+                    </div>
+                ` : ''}
+            </div>`;
+        
+        // Replies whose parent falls outside the date range start their own thread
+        const renderThread = discussion => {
+            const ids = new Set(discussion.commentsList.map(comment => comment.id));
+            const childrenByParent = {};
+            const roots = [];
+            discussion.commentsList.forEach(comment => {
+                if (comment.parentId && ids.has(comment.parentId)) {
+                    (childrenByParent[comment.parentId] = childrenByParent[comment.parentId] || []).push(comment);
+                } else {
+                    roots.push(comment);
+                }
+            });
+            return roots.map(comment => renderComment(comment, childrenByParent, discussion.acceptedAnswer?.commentId)).join('');
+        };
         
-        if (projectIndex !== -1 && projects[projectIndex].teamMembers) {
-            projects[projectIndex].teamMembers = projects[projectIndex].teamMembers.filter(m => m.id !== memberId);
-            projects[projectIndex].updatedAt = new Date().toISOString();
-            this.saveJSON('thoraxlab_projects', projects);
-            
-            this.showToast('Team member removed', 'success');
-            this.loadProjectDetail(projectId);
+        const builders = {
+            overview: () => {
+                const comments = project.discussions.reduce((sum, discussion) => sum + discussion.commentsList.length, 0);
+                const decisions = project.discussions.filter(discussion => discussion.outcome).length;
+                return `
+                    <div class="markdown"><p>${esc(project.description)}</p></div>
+                    <table>
+                        <tr><th>Project lead</th><td>${esc(project.ownerName)}</td></tr>
+                        <tr><th>Institution</th><td>${esc(project.institution) || '—'}</td></tr>
+                        <tr><th>Research domains</th><td>${esc((project.tags || []).join(', ')) || '—'}</td></tr>
+                        <tr><th>Started</th><td>${this.formatDate(project.createdAt)}</td></tr>
+                        <tr><th>Last updated</th><td>${this.formatDate(project.updatedAt)}</td></tr>
+                        <tr><th>Activity</th><td>${plural(project.discussions.length, 'discussion')}, ${plural(comments, 'comment')}, ${plural(decisions, 'decision')} recorded</td></tr>
+                    </table>`;
+            },
+            team: () => `
+                <table>
+                    <thead><tr><th>Name</th><th>Project role</th><th>Position</th><th>Institution</th></tr></thead>
+                    <tbody>
+                        <tr>
+                            <td>${esc(project.ownerName)}</td>
+                            <td>${PROJECT_ROLES.lead.label}</td>
+                            <td>${esc(this.formatProjectField('ownerPosition', project.ownerPosition))}</td>
+                            <td>${esc(this.getResearcher(project.ownerId)?.institution || project.institution)}</td>
+                        </tr>
+                        ${(project.teamMembers || []).map(member => `
+                            <tr>
+                                <td>${esc(member.name)}</td>
+                                <td>${PROJECT_ROLES[member.role]?.label || 'Contributor'}</td>
+                                <td>${esc(member.position)}</td>
+                                <td>${esc(this.getResearcher(member.id)?.institution)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`,
+            decisions: () => `
+                ${report.decided.length ? report.decided.map(discussion => `
+                    <div class="item">
+                        <h3>${linkDiscussion(discussion)}</h3>
+                        <p><strong>${esc(discussion.outcome.decision)}</strong></p>
+                        <p class="prewrap">${esc(discussion.outcome.rationale)}</p>
+                        <p class="muted small">
+                            Recorded by ${esc(discussion.outcome.recordedByName)} on ${this.formatDate(discussion.outcome.recordedAt)}
+                            ${discussion.poll ? ` • ${plural(this.tallyPoll(discussion.poll).voters, 'vote')} cast` : ''}
+                        </p>
+                    </div>
+                `).join('') : '<p class="muted">No decisions were recorded in this period.</p>'}
+                ${report.pending.length ? `
+                    <h3>Awaiting a Decision</h3>
+                    <ul>
+                        ${report.pending.map(discussion => `
+                            <li>${linkDiscussion(discussion)}${discussion.poll ? ` <span class="muted small">(${plural(this.tallyPoll(discussion.poll).voters, 'vote')}, voting ${this.getPollState(discussion.poll) === 'open' ? 'open' : 'closed'})</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}`,
+            discussions: () => report.discussions.length ? report.discussions.map(discussion => `
+                <article class="discussion" id="discussion-${esc(discussion.id)}">
+                    <h3>${esc(discussion.title)}</h3>
+                    <p class="muted small">
+                        ${esc(discussion.type)} • ${esc(discussion.authorName)} • ${this.formatDate(discussion.createdAt)}
+                        • ${plural(discussion.views || 0, 'view')} • ${plural(discussion.likes || 0, 'like')}
+                        ${discussion.acceptedAnswer ? ' • <span class="badge">Resolved</span>' : ''}
+                        ${discussion.outcome ? ' • <span class="badge">Decided</span>' : ''}
+                    </p>
+                    <div class="markdown">${markdown(discussion.content)}</div>
+                    ${attachmentList(discussion.attachments)}
+                    ${discussion.outcome ? `<p class="outcome"><strong>Decision:</strong> ${esc(discussion.outcome.decision)}</p>` : ''}
+                    <h4>${plural(discussion.commentsList.length, 'comment')}${report.from || report.to ? ' in this period' : ''}</h4>
+                    ${renderThread(discussion)}
+                </article>
+            `).join('') : '<p class="muted">No discussion activity in this period.</p>'
+        };
+        
+        const sections = report.sections.map(section => ({ id: section, title: REPORT_SECTIONS[section], html: builders[section]() }));
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${esc(title)} – Report</title>
+    <style>
+        @page { margin: 16mm 15mm; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1E293B; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; font-size: 14px; }
+        h1, h2, h3 { color: #1A365D; break-after: avoid; }
+        h2 { border-bottom: 1px solid #E2E8F0; padding-bottom: 0.25rem; margin-top: 2rem; }
+        h4 { margin: 1rem 0 0.5rem; }
+        a { color: #1A365D; }
+        table { width: 100%; border-collapse: collapse; margin: 0.5rem 0; }
+        th, td { text-align: left; vertical-align: top; padding: 0.35rem 0.5rem; border-bottom: 1px solid #E2E8F0; }
+        table:not(.layout) tr { break-inside: avoid; }
+        .layout, .layout > thead > tr > td, .layout > tbody > tr > td { border: none; padding: 0; }
+        .running-header { display: flex; justify-content: space-between; gap: 1rem; font-size: 11px; color: #64748B; border-bottom: 1px solid #E2E8F0; padding-bottom: 0.35rem; margin-bottom: 1.5rem; }
+        .muted { color: #64748B; }
+        .small { font-size: 12px; }
+        .prewrap { white-space: pre-wrap; }
+        .badge { display: inline-block; padding: 0 0.4rem; border-radius: 4px; background: #DCFCE7; color: #166534; font-size: 11px; }
+        .toc ol { padding-left: 1.25rem; }
+        .item, .discussion { break-inside: avoid-page; }
+        .item { background: #F8FAFC; border-radius: 8px; padding: 0.75rem 1rem; margin: 0.5rem 0; }
+        .item h3 { margin: 0 0 0.25rem; font-size: 1rem; }
+        .discussion { border-top: 1px solid #E2E8F0; padding-top: 0.5rem; margin-top: 1.5rem; }
+        .outcome { border-left: 3px solid #10B981; padding-left: 0.75rem; }
+        .comment { border-left: 2px solid #E2E8F0; padding: 0.25rem 0 0.25rem 0.75rem; margin: 0.75rem 0; break-inside: avoid; }
+        .comment.accepted { border-left-color: #10B981; }
+        .replies { margin-left: 0.5rem; }
+        .markdown p { margin: 0.35rem 0; }
+        .markdown pre { background: #F1F5F9; padding: 0.5rem; border-radius: 4px; white-space: pre-wrap; }
+        .markdown code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+        .markdown blockquote { border-left: 3px solid #CBD5E1; margin: 0.5rem 0; padding-left: 0.75rem; color: #475569; }
+        .md-math { font-family: 'Cambria Math', 'Times New Roman', serif; font-style: italic; }
+        @media print {
+            body { max-width: none; margin: 0; padding: 0; }
+            .report-section { break-before: page; }
+            a { color: inherit; text-decoration: none; }
         }
+    </style>
+</head>
+<body>
+    <table class="layout">
+        <thead>
+            <tr><td>
+                <div class="running-header">
+                    <span>${esc(title)}</span>
+                    <span>${period} • Generated ${this.formatDate(report.generatedAt)}</span>
+                </div>
+            </td></tr>
+        </thead>
+        <tbody>
+            <tr><td>
+                <h1>${esc(title)}</h1>
+                <p class="muted">
+                    ${report.discussion ? 'Discussion report' : 'Project report'} • ${period}<br>
+                    Prepared by ${esc(report.generatedBy)} on ${this.formatDateTime(report.generatedAt)} from <a href="${this.escapeAttribute(base)}#project/${esc(project.id)}">ThoraxLab</a>
+                </p>
+                <nav class="toc">
+                    <h2>Contents</h2>
+                    <ol>
+                        ${sections.map(section => `
+                            <li>
+                                <a href="#section-${section.id}">${section.title}</a>
+                                ${section.id === 'discussions' && report.discussions.length ? `
+                                    <ol>
+                                        ${report.discussions.map(discussion => `<li><a href="#discussion-${esc(discussion.id)}">${esc(discussion.title)}</a></li>`).join('')}
+                                    </ol>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                </nav>
+                ${sections.map(section => `
+                    <section class="report-section" id="section-${section.id}">
+                        <h2>${section.title}</h2>
+                        ${section.html}
+                    </section>
+                `).join('')}
+            </td></tr>
+        </tbody>
+    </table>
+</body>
+</html>
+`;
     }
     
-    requestToJoinProject(projectId) {
-        const projects = this.getProjects();
-        const project = projects.find(p => p.id === projectId);
+    exportProjectReport(format) {
+        const options = this.getReportOptions();
+        if (!options) return;
         
-        if (project) {
-            this.showToast(`Join request sent to ${project.ownerName}`, 'info');
-            
-            // In a real app, this would send a notification to the project owner
-            this.addActivity({
-                type: 'join_request',
-                description: `${this.user.name} requested to join "${project.title}"`,
-                projectId: projectId
-            });
+        const report = this.buildProjectReport(options);
+        if (!report) {
+            this.showToast('This project no longer exists', 'error');
+            return;
+        }
+        
+        const html = this.reportToHtml(report);
+        if (format === 'html') {
+            const slug = (report.discussion || report.project).title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+            this.downloadFile(`thoraxlab-report-${slug || 'project'}-${report.generatedAt.substring(0, 10)}.html`, html, 'text/html');
+        } else {
+            this.printReport(html);
         }
+        
+        this.hideModal('projectReportModal');
+    }
+    
+    // Prints from a hidden frame so the app page itself is left alone; the
+    // browser's print dialog offers "Save as PDF"
+    printReport(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'report-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            const view = frame.contentWindow;
+            view.addEventListener('afterprint', () => frame.remove());
+            view.focus();
+            view.print();
+        });
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
     }
     
     // ========== QUICK ACTIONS ==========
@@ -1753,22 +9951,30 @@ class ThoraxLabPro {
     handleQuickAction(action) {
         switch(action) {
             case 'new-project':
-                if (this.isVisitor) {
-                    this.showToast('Guests cannot create projects', 'warning');
-                } else {
+                if (this.authorize('project.create', {}, 'Guests cannot create projects')) {
                     this.showModal('newProjectModal');
                 }
                 break;
             case 'new-discussion':
-                if (this.isVisitor) {
-                    this.showToast('Guests cannot start discussions', 'warning');
+                if (!this.getProjects().some(project => this.can('discussion.create', { project }))) {
+                    this.showToast('Join a project team to start discussions', 'warning');
                 } else {
                     this.showToast('Navigate to a project to start a discussion', 'info');
                 }
                 break;
-            case 'request-review':
-                this.showToast('Expert review request feature coming soon', 'info');
+            case 'request-review': {
+                // Preselect whatever project or discussion is open
+                const [page, id] = window.location.hash.substring(1).split('/');
+                const discussion = page === 'discussion' ? this.currentDiscussion : null;
+                this.showReviewRequestModal(discussion?.projectId || (page === 'project' ? id : null), discussion?.id);
+                break;
+            }
+            case 'find-collaborator': {
+                const [page, id] = window.location.hash.substring(1).split('/');
+                const projectId = page === 'discussion' ? this.currentDiscussion?.projectId : page === 'project' ? id : null;
+                this.navigateTo(projectId ? `findcollaborators?project=${projectId}` : 'findcollaborators');
                 break;
+            }
         }
     }
     
@@ -1792,6 +9998,10 @@ class ThoraxLabPro {
             e.currentTarget.classList.add('active');
         });
         
+        document.querySelectorAll('.auth-mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setAuthMode(e.currentTarget.dataset.mode));
+        });
+        
         document.getElementById('professionalForm')?.addEventListener('submit', (e) => this.loginAsProfessional(e));
         document.getElementById('visitorForm')?.addEventListener('submit', (e) => this.loginAsVisitor(e));
         
@@ -1813,6 +10023,94 @@ class ThoraxLabPro {
             this.createDiscussion();
         });
         
+        document.getElementById('editProjectForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateProject();
+        });
+        
+        document.getElementById('profileForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+        
+        document.getElementById('passwordForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+        
+        document.getElementById('teamMemberForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTeamMember();
+        });
+        
+        document.getElementById('joinRequestForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitJoinRequest();
+        });
+        
+        document.getElementById('inviteCollaboratorForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitInvite();
+        });
+        
+        document.getElementById('recordDecisionForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.recordDecision();
+        });
+        
+        document.getElementById('requestReviewForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReviewRequest();
+        });
+        
+        document.getElementById('projectReportForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportProjectReport('print');
+        });
+        
+        document.getElementById('exportWorkspaceForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportWorkspace();
+        });
+        
+        document.getElementById('importWorkspaceForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reviewWorkspaceImport();
+        });
+        
+        // Workspace bundles
+        document.querySelectorAll('input[name="exportScope"]').forEach(input => {
+            input.addEventListener('change', () => this.updateExportScope());
+        });
+        ['importBundleFile', 'importMode'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.resetWorkspaceImport());
+        });
+        
+        // Expert reviews
+        document.getElementById('reviewProjectId')?.addEventListener('change', () => this.updateReviewSubjects());
+        document.getElementById('reviewExpertiseTag')?.addEventListener('change', () => this.updateReviewExpertiseMatches());
+        document.getElementById('reviewerFilter')?.addEventListener('input', () => this.filterReviewerOptions());
+        document.querySelectorAll('.reviewer-mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setReviewerMode(e.currentTarget.dataset.mode));
+        });
+        
+        // Find collaborators
+        ['collaboratorProject', 'collaboratorType', 'collaboratorInstitution'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.changeCollaboratorFilters());
+        });
+        
+        // Invitations
+        document.getElementById('inviteCollaboratorBtn')?.addEventListener('click', () => this.showInviteModal());
+        document.getElementById('inviteProjectId')?.addEventListener('change', () => this.updateInviteProject());
+        document.querySelectorAll('.invite-method-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setInviteMethod(e.currentTarget.dataset.method));
+        });
+        
+        document.getElementById('editDiscussionForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.updateDiscussion();
+        });
+        
         document.getElementById('commentForm')?.addEventListener('submit', (e) => {
             e.preventDefault();
             this.addComment();
@@ -1821,11 +10119,27 @@ class ThoraxLabPro {
         // Search and filters
         document.getElementById('projectSearch')?.addEventListener('input', () => this.loadAllProjects());
         document.getElementById('discussionSearch')?.addEventListener('input', () => this.loadFeaturedDiscussions());
+        document.getElementById('discussionSearch')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.value.trim()) {
+                this.runSearch(e.target.value.trim());
+            }
+        });
+        document.getElementById('globalSearchInput')?.addEventListener('input', (e) => this.runSearch(e.target.value.trim()));
+        
+        document.querySelectorAll('.search-kind-filter').forEach(filter => {
+            filter.addEventListener('click', (e) => {
+                this.searchKind = e.currentTarget.dataset.kind;
+                this.loadSearchResults();
+            });
+        });
+        
+        document.getElementById('unansweredDiscussionsBtn')?.addEventListener('click', () => this.toggleUnansweredFilter('discussions'));
+        document.getElementById('unansweredProjectsBtn')?.addEventListener('click', () => this.toggleUnansweredFilter('projects'));
         
         // Activity filters
-        document.querySelectorAll('.activity-filter').forEach(filter => {
+        document.querySelectorAll('.activity-filter[data-filter]').forEach(filter => {
             filter.addEventListener('click', (e) => {
-                document.querySelectorAll('.activity-filter').forEach(f => f.classList.remove('active'));
+                document.querySelectorAll('.activity-filter[data-filter]').forEach(f => f.classList.remove('active'));
                 e.currentTarget.classList.add('active');
                 this.activityFilter = e.currentTarget.dataset.filter;
                 this.loadActivityFeed();
@@ -1856,17 +10170,32 @@ class ThoraxLabPro {
         
         // Character counters
         this.setupCharacterCounter('projectDescription', 'descCounter', 2000);
+        this.setupCharacterCounter('editProjectDescription', 'editDescCounter', 2000);
         this.setupCharacterCounter('discussionContent', 'discussionCounter', 5000);
+        this.setupCharacterCounter('editDiscussionContent', 'editDiscussionCounter', 5000);
         this.setupCharacterCounter('commentContent', 'commentCounter', 1000);
         this.setupCharacterCounter('quickComment', 'quickCommentCounter', 1000);
+        this.setupCharacterCounter('joinRequestMessage', 'joinRequestCounter', 500);
         
         // Discussion type buttons
         document.querySelectorAll('.discussion-type-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.discussion-type-btn').forEach(b => b.classList.remove('active'));
+                e.currentTarget.parentElement.querySelectorAll('.discussion-type-btn').forEach(b => b.classList.remove('active'));
                 e.currentTarget.classList.add('active');
             });
         });
+        document.querySelectorAll('#newDiscussionModal .discussion-type-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.updateDecisionFields());
+        });
+        
+        // Mention autocomplete in every textarea marked data-mentions
+        document.addEventListener('input', (e) => {
+            if (e.target.matches?.('textarea[data-mentions]')) this.updateMentionSuggestions(e.target);
+        });
+        document.addEventListener('keydown', (e) => this.handleMentionKeydown(e), true);
+        document.addEventListener('focusout', (e) => {
+            if (e.target === this.mentionState?.textarea) this.hideMentionSuggestions();
+        });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {